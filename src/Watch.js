@@ -1,25 +1,244 @@
-import infuseElement from './infuseElement.js';
+import schedule from './scheduler.js';
+import { scheduleInfusion } from './infuseElement.js';
 import { addCleanupFunction } from './sweep.js';
+import { isStore, subscribe } from './store.js';
+import { isThenable } from './utils.js';
 
 /**
- * Stores all the watches. The keys are the elements being "watched" and the values are "watch maps"
- * (in which keys are event names and values are `Watch` instances).
+ * Stores all the watches. The keys are the sources being "watched" (elements or any other
+ * observable object) and the values are "watch maps" (in which keys are event names and values are
+ * `Watch` instances).
  */
 export const watches = new WeakMap();
 
+/**
+ * Matches a modifier at the end of an event name in an event map: "debounce(ms)", "throttle(ms)",
+ * "once", "capture", or "passive".
+ */
+const MODIFIER_REGEXP = /\.(debounce|throttle)\((\d+)\)$|\.(once|capture|passive)$/;
+
+/**
+ * Adapters used to subscribe to the sources being watched. Each adapter is an object with the
+ * following methods:
+ *     * `matches(source)`: Returns `true` if the adapter can subscribe to the `source`.
+ *     * `subscribe(source, eventName, callback, listenerOptions)`: Subscribes the `callback` to
+ *       the `source` and returns a function that unsubscribes it. The `callback` must be executed
+ *       with the event (or value) every time the `source` emits. The `listenerOptions` object
+ *       contains the `capture` and `passive` options of event listeners.
+ *
+ * The first adapter that matches a source is used. Adapters added using `Watch.addAdapter` are
+ * checked before the built-in adapters, which support (in this order) stores (the event name is
+ * the path of a property), `EventTarget` instances (the event name is the type of event), objects
+ * with a `subscribe` method (for instance, observables), "thenables" (for instance, promises), and
+ * async iterables. The event name is ignored by the last three.
+ */
+export const adapters = [
+	{
+		matches: source => isStore(source),
+		subscribe: (source, eventName, callback) => subscribe(source, eventName, callback),
+	},
+	{
+		matches: source => typeof source.addEventListener === 'function',
+		subscribe(source, eventName, callback, listenerOptions) {
+			const { capture = false, passive = false } = listenerOptions;
+
+			// Use a boolean unless needed, since old browsers don't support an options object.
+			source.addEventListener(eventName, callback, passive ? { capture, passive } : capture);
+
+			return () => source.removeEventListener(eventName, callback, capture);
+		},
+	},
+	{
+		matches: source => typeof source.subscribe === 'function',
+		subscribe(source, eventName, callback) {
+			/**
+			 * `subscribe` can return an unsubscribe function or a subscription object (with an
+			 * `unsubscribe` method). Otherwise, the `unsubscribe` method of the source is used.
+			 */
+			const subscription = source.subscribe(callback);
+
+			return () => {
+				if (typeof subscription === 'function') {
+					subscription();
+				} else if (subscription && typeof subscription.unsubscribe === 'function') {
+					subscription.unsubscribe();
+				} else if (typeof source.unsubscribe === 'function') {
+					source.unsubscribe(callback);
+				}
+			};
+		},
+	},
+	{
+		matches: source => isThenable(source),
+		subscribe(source, eventName, callback) {
+			let isSubscribed = true;
+			// The watchers are infused once the promise is settled (fulfilled or rejected).
+			const settle = value => isSubscribed && callback(value);
+
+			source.then(settle, settle);
+
+			return () => {
+				isSubscribed = false;
+			};
+		},
+	},
+	{
+		matches: source => typeof source[Symbol.asyncIterator] === 'function',
+		subscribe(source, eventName, callback) {
+			const iterator = source[Symbol.asyncIterator]();
+			let isSubscribed = true;
+			const next = () => iterator.next().then(({ done, value }) => {
+				if (isSubscribed && !done) {
+					callback(value);
+					next();
+				}
+			}, error => isSubscribed && callback(error));
+
+			next();
+
+			return () => {
+				isSubscribed = false;
+
+				if (typeof iterator.return === 'function') {
+					iterator.return();
+				}
+			};
+		},
+	},
+];
+
+/**
+ * Parses an event name of an event map, which can end with modifiers separated by dots. For
+ * instance, "input.debounce(300)" or "touchstart.capture.passive".
+ *
+ * @function parseEventName
+ * @param {string} str The event name (with or without modifiers).
+ * @returns {Object} An object with the `eventName` (without modifiers) and the `modifiers`: an
+ *     object with the `debounce` and `throttle` delays (in milliseconds) and the `once`,
+ *     `capture`, and `passive` flags (only the ones that were present).
+ */
+export function parseEventName(str) {
+	const modifiers = {};
+	let eventName = str;
+	let match;
+
+	while ((match = MODIFIER_REGEXP.exec(eventName)) !== null) {
+		if (match[1]) {
+			modifiers[match[1]] = Number(match[2]);
+		} else {
+			modifiers[match[3]] = true;
+		}
+
+		eventName = eventName.substring(0, match.index);
+	}
+
+	return { eventName, modifiers };
+}
+
+/**
+ * Returns the key of a watch in a watch map: the event name followed by the listener options
+ * that are enabled (for instance, "scroll passive").
+ *
+ * @function getKey
+ * @param {string} eventName The name of the event.
+ * @param {Object} listenerOptions An object with the `capture` and `passive` options.
+ * @returns {string} The key.
+ */
+function getKey(eventName, listenerOptions) {
+	const { capture, passive } = listenerOptions;
+
+	return `${ eventName }${ capture ? ' capture' : '' }${ passive ? ' passive' : '' }`;
+}
+
+/**
+ * Creates the function that dispatches events to a watcher. If a `debounce` delay is given, the
+ * `run` function is executed once no events have been dispatched during the delay. If a
+ * `throttle` delay is given, the `run` function is executed at most once per delay (the first and
+ * the last event are dispatched).
+ *
+ * @function createDispatcher
+ * @param {Function} run The function to execute with the event.
+ * @param {Object} options An object with the `debounce` or `throttle` delays.
+ * @returns {Object} An object with the `dispatch` function and a `cancel` function that clears
+ *     the pending timeout.
+ */
+function createDispatcher(run, options) {
+	const { debounce, throttle } = options;
+	let timeout = null;
+	let pendingEvent;
+	let isPending = false;
+
+	const cancel = () => {
+		clearTimeout(timeout);
+		timeout = null;
+		isPending = false;
+	};
+
+	if (debounce !== undefined) {
+		return {
+			cancel,
+			dispatch(event) {
+				clearTimeout(timeout);
+				timeout = setTimeout(() => {
+					timeout = null;
+					run(event);
+				}, debounce);
+			},
+		};
+	}
+
+	if (throttle !== undefined) {
+		const wait = () => setTimeout(() => {
+			timeout = null;
+
+			// Dispatch the last event received during the delay (if any).
+			if (isPending) {
+				isPending = false;
+				run(pendingEvent);
+				timeout = wait();
+			}
+		}, throttle);
+
+		return {
+			cancel,
+			dispatch(event) {
+				if (timeout === null) {
+					run(event);
+					timeout = wait();
+				} else {
+					isPending = true;
+					pendingEvent = event;
+				}
+			},
+		};
+	}
+
+	return { cancel, dispatch: run };
+}
+
 /**
  * This class is meant to "watch" for the given `eventName` on the `element` specified on the
- * constructor.
+ * constructor. The `element` can be any source supported by one of the `adapters`.
  */
 export default class Watch {
 	/**
 	 * `Watch` constructor.
 	 *
 	 * @constructs
-	 * @param {Element} element The element to watch.
+	 * @param {(Element|Object)} element The element (or any other source) to watch.
 	 * @param {string} eventName The name of the event.
+	 * @param {Object} [listenerOptions={}] An object with the `capture` and `passive` options of
+	 *     the event listener.
+	 * @throws {TypeError} If none of the `adapters` can subscribe to the `element`.
 	 */
-	constructor(element, eventName) {
+	constructor(element, eventName, listenerOptions = {}) {
+		const isObject = element !== null && ['object', 'function'].includes(typeof element);
+		const adapter = isObject ? adapters.find(item => item.matches(element)) : undefined;
+
+		if (!adapter) {
+			throw new TypeError(`Unable to watch "${ eventName }": the watched value is not an EventTarget, a store, or an observable source.`);
+		}
+
 		// Get the watch map for `element`.
 		let watchMap = watches.get(element);
 
@@ -30,90 +249,150 @@ export default class Watch {
 
 			/**
 			 * Add a function to clear the `watchMap` and delete the element's `watches` when the
-			 * `element` is removed from the DOM.
+			 * `element` is removed from the DOM. Other sources are unsubscribed when they're no
+			 * longer watched (see `addWatcher`).
 			 */
-			addCleanupFunction(element, () => {
-				watchMap.clear();
-				watches.delete(element);
-			});
+			if (typeof element.nodeType === 'number') {
+				addCleanupFunction(element, () => {
+					watchMap.clear();
+					watches.delete(element);
+				});
+			}
 		}
 
+		this.element = element;
+		this.key = getKey(eventName, listenerOptions);
+
 		// Add `this` watch to the watch map.
-		watchMap.set(eventName, this);
+		watchMap.set(this.key, this);
 
 		/**
-		 * The keys of this map are the elements "watching" the `element` and the values are sets
-		 * of objects (these objects contain an optional `selector`, for event delegation, and an
-		 * optional `parts` attribute inticating the parts to infuse when the event matches the
-		 * selector).
+		 * The keys of this map are the elements "watching" the `element` and the values are maps
+		 * in which keys are options objects (these objects contain an optional `selector`, for
+		 * event delegation, an optional `parts` attribute inticating the parts to infuse when the
+		 * event matches the selector, an optional `callback` to execute instead of infusing the
+		 * parts, and optional modifiers) and values are dispatchers (see `createDispatcher`).
 		 */
 		this.watchers = new Map();
 
 		/**
 		 * This callback will be executed every time the `eventName` is triggered on the `element`.
-		 * It iterates over the `watchers` and infuses their `parts` if the `event.target` matches
-		 * the `selector` or if there's no `selector`.
+		 * It iterates over the `watchers` and infuses their `parts` (or executes their `callback`)
+		 * if the `event.target` matches the `selector` or if there's no `selector`. Watchers added
+		 * with the `once` modifier are removed after their first event.
 		 */
 		const callback = (event) => {
-			for (const [watcher, optionsSet] of this.watchers) {
-				for (const options of optionsSet) {
-					const { selector, parts } = options;
+			for (const dispatchers of Array.from(this.watchers.values())) {
+				for (const [options, dispatcher] of Array.from(dispatchers)) {
+					const { selector } = options;
+
+					if (!selector || (event && event.target && event.target.matches(selector))) {
+						if (options.once) {
+							dispatchers.delete(options);
+						}
 
-					if (!selector || event.target.matches(selector)) {
-						infuseElement(watcher, parts, event);
+						dispatcher.dispatch(event);
 					}
 				}
 			}
 		};
 
-		// Set `callback` as event listener of the `element` for the `eventName`.
-		element.addEventListener(eventName, callback, false);
+		// Subscribe `callback` to the `eventName` of the `element`.
+		this.unsubscribe = adapter.subscribe(element, eventName, callback, listenerOptions);
 
 		/**
-		 * Add a function to clear `this.watchers` and remove the event listener when the
+		 * Add a function to clear `this.watchers` and unsubscribe the callback when the
 		 * `element` is removed from the DOM.
 		 */
-		addCleanupFunction(element, () => {
-			this.watchers.clear();
-			element.removeEventListener(eventName, callback, false);
-		});
+		if (typeof element.nodeType === 'number') {
+			addCleanupFunction(element, () => {
+				this.watchers.clear();
+				this.unsubscribe();
+			});
+		}
 	}
 
 	/**
 	 * Add a watcher element and infuse the specified parts of the watcher element every time the
-	 * event of this watch occurs.
+	 * event of this watch occurs. The watcher can also be a comment node, in which case a
+	 * `callback` must be provided.
 	 *
 	 * @method addWatcher
-	 * @param {Element} watcher The element that will be infused when this watch is triggered.
+	 * @param {(Element|Comment)} watcher The element that will be infused when this watch is
+	 *     triggered.
 	 * @param {Object} [options={}] Options object.
 	 * @param {string} [options.selector] A CSS selector for event delegation. If specified, the
 	 *     `watcher` element will only be infused when the `event.target` matches this selector.
 	 * @param {*} [options.parts] The parts of the `watcher` element to infuse. This value is
 	 *     used to execute the `infuseElement` function.
+	 * @param {Function} [options.callback] If provided, this function will be executed, with the
+	 *     event as the only argument, instead of infusing the `watcher` element.
+	 * @param {number} [options.debounce] Delay (in milliseconds) to wait, after the last event,
+	 *     before infusing the `watcher` element.
+	 * @param {number} [options.throttle] Minimum time (in milliseconds) between infusions of the
+	 *     `watcher` element.
+	 * @param {boolean} [options.once=false] If `true`, the `watcher` element is only infused the
+	 *     first time the event occurs.
 	 */
 	addWatcher(watcher, options = {}) {
-		let optionsSet = this.watchers.get(watcher);
+		let dispatchers = this.watchers.get(watcher);
 
 		/**
-		 * If `watcher` was not present in `this.watchers`, create a new set and add it
+		 * If `watcher` was not present in `this.watchers`, create a new map and add it
 		 * to `this.watchers`.
 		 */
-		if (!optionsSet) {
-			optionsSet = new Set();
-			this.watchers.set(watcher, optionsSet);
+		if (!dispatchers) {
+			dispatchers = new Map();
+			this.watchers.set(watcher, dispatchers);
 
 			/**
-			 * Add a function to clear the `optionsSet` and delete the `watcher` from
-			 * `this.watchers` when the `watcher` element is removed from the DOM.
+			 * Add a function to cancel pending (debounced or throttled) infusions, clear the
+			 * `dispatchers`, and delete the `watcher` from `this.watchers` when the `watcher`
+			 * element is removed from the DOM. If the watched source is not an element and it has
+			 * no other watchers, unsubscribe from it.
 			 */
 			addCleanupFunction(watcher, () => {
-				optionsSet.clear();
+				dispatchers.forEach(dispatcher => dispatcher.cancel());
+				dispatchers.clear();
 				this.watchers.delete(watcher);
+
+				if (this.watchers.size === 0 && typeof this.element.nodeType !== 'number') {
+					this.remove();
+				}
 			});
 		}
 
-		// Add the given `options` to the `optionsSet`.
-		optionsSet.add(options);
+		const { callback, parts } = options;
+		const run = (event) => {
+			if (typeof callback === 'function') {
+				schedule(callback, latestEvent => callback(latestEvent), event);
+			} else {
+				scheduleInfusion(watcher, parts, event);
+			}
+		};
+
+		// Add the given `options` and their dispatcher to the `dispatchers`.
+		dispatchers.set(options, createDispatcher(run, options));
+	}
+
+	/**
+	 * Unsubscribes from the watched source and removes this watch from `watches`.
+	 *
+	 * @method remove
+	 */
+	remove() {
+		const watchMap = watches.get(this.element);
+
+		this.watchers.clear();
+		this.unsubscribe();
+
+		if (watchMap && watchMap.get(this.key) === this) {
+			watchMap.delete(this.key);
+
+			if (watchMap.size === 0) {
+				watches.delete(this.element);
+			}
+		}
 	}
 
 	/**
@@ -121,17 +400,32 @@ export default class Watch {
 	 * given `element`. If it doesn't exists, a new `Watch` is created and returned.
 	 *
 	 * @function watchFor
-	 * @param {Element} element The element to watch.
+	 * @param {(Element|Object)} element The element (or any other source) to watch.
 	 * @param {string} eventName the name of the event.
+	 * @param {Object} [listenerOptions={}] An object with the `capture` and `passive` options of
+	 *     the event listener. Watches with different options use different event listeners.
 	 * @returns {Watch}
 	 */
-	static for(element, eventName) {
+	static for(element, eventName, listenerOptions = {}) {
 		const watchMap = watches.get(element);
+		const key = getKey(eventName, listenerOptions);
 
-		if (!watchMap || !watchMap.has(eventName)) {
-			return new Watch(element, eventName);
+		if (!watchMap || !watchMap.has(key)) {
+			return new Watch(element, eventName, listenerOptions);
 		}
 
-		return watchMap.get(eventName);
+		return watchMap.get(key);
+	}
+
+	/**
+	 * Adds an adapter to subscribe to other types of sources (see `adapters`). Adapters added
+	 * using this method are checked before the built-in adapters (and the last one added is
+	 * checked first).
+	 *
+	 * @function addAdapter
+	 * @param {Object} adapter An object with the `matches` and `subscribe` methods.
+	 */
+	static addAdapter(adapter) {
+		adapters.unshift(adapter);
 	}
 }
\ No newline at end of file
@@ -0,0 +1,256 @@
+import domino from 'domino';
+import Watch, { adapters, parseEventName, watches } from './Watch.js';
+import createStore from './store.js';
+import sweep from './sweep.js';
+import { setConfigs } from './configs.js';
+
+// Watchers are notified right away, instead of being queued (see the "scheduler" module).
+beforeAll(() => {
+	setConfigs({ scheduler: 'sync' });
+});
+
+afterAll(() => {
+	setConfigs({ scheduler: 'microtask' });
+});
+
+/**
+ * Creates an element to use as watcher and adds a watcher, with the given `callback`, to the watch
+ * for the `eventName` on the `source`.
+ */
+function watch(source, eventName, callback, modifiers = {}) {
+	const watcher = domino.createDocument('').createElement('p');
+
+	Watch.for(source, eventName).addWatcher(watcher, { ...modifiers, callback });
+
+	return watcher;
+}
+
+/**
+ * Creates a model object with `subscribe` and `unsubscribe` methods.
+ */
+function createModel() {
+	const listeners = new Set();
+
+	return {
+		listeners,
+		subscribe: listener => listeners.add(listener),
+		unsubscribe: listener => listeners.delete(listener),
+		emit: value => listeners.forEach(listener => listener(value)),
+	};
+}
+
+describe('Watch', () => {
+	it('should return the same watch for the same source and event name', () => {
+		const model = createModel();
+
+		expect(Watch.for(model, 'change')).toBe(Watch.for(model, 'change'));
+		expect(Watch.for(model, 'change')).not.toBe(Watch.for(model, 'update'));
+	});
+
+	it('should watch events of elements', () => {
+		const element = domino.createDocument('').createElement('button');
+		const callback = jest.fn();
+		const event = element.ownerDocument.createEvent('Event');
+
+		watch(element, 'click', callback);
+		event.initEvent('click', true, true);
+		element.dispatchEvent(event);
+
+		expect(callback).toHaveBeenCalledWith(event);
+	});
+
+	it('should watch sources with subscribe and unsubscribe methods', () => {
+		const model = createModel();
+		const callback = jest.fn();
+		const watcher = watch(model, 'change', callback);
+
+		model.emit('foo');
+		expect(callback).toHaveBeenCalledWith('foo');
+
+		// Unsubscribe once the source has no watchers.
+		sweep(watcher, watcher);
+		expect(model.listeners.size).toBe(0);
+		expect(watches.has(model)).toBe(false);
+	});
+
+	it('should watch observables that return subscriptions', () => {
+		const unsubscribe = jest.fn();
+		let next;
+		const observable = {
+			subscribe(observer) {
+				next = observer;
+				return { unsubscribe };
+			},
+		};
+		const callback = jest.fn();
+		const watcher = watch(observable, 'next', callback);
+
+		next(1);
+		sweep(watcher, watcher);
+
+		expect(callback).toHaveBeenCalledWith(1);
+		expect(unsubscribe).toHaveBeenCalledTimes(1);
+	});
+
+	it('should watch stores', () => {
+		const store = createStore({ user: { name: 'Ada' } });
+		const callback = jest.fn();
+		const watcher = watch(store, 'user.name', callback);
+
+		store.user.name = 'Grace';
+		sweep(watcher, watcher);
+		store.user.name = 'Ada';
+
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(callback.mock.calls[0][0]).toEqual({ path: 'user.name', value: 'Grace', oldValue: 'Ada' });
+	});
+
+	it('should watch promises', async () => {
+		const callback = jest.fn();
+		const promise = Promise.resolve('done');
+
+		watch(promise, 'resolve', callback);
+		await promise;
+
+		expect(callback).toHaveBeenCalledWith('done');
+	});
+
+	it('should watch async iterables and stop iterating when unsubscribed', async () => {
+		const callback = jest.fn();
+		const iterable = {
+			async* [Symbol.asyncIterator]() {
+				yield 1;
+				yield 2;
+				await new Promise(() => {});
+			},
+		};
+		const watcher = watch(iterable, 'next', callback);
+
+		await new Promise(done => setTimeout(done));
+		sweep(watcher, watcher);
+
+		expect(callback.mock.calls).toEqual([[1], [2]]);
+	});
+
+	it('should use adapters added using Watch.addAdapter', () => {
+		const callbacks = new Map();
+		const adapter = {
+			matches: source => source.type === 'emitter',
+			subscribe(source, eventName, callback) {
+				callbacks.set(eventName, callback);
+				return () => callbacks.delete(eventName);
+			},
+		};
+		const callback = jest.fn();
+
+		Watch.addAdapter(adapter);
+
+		try {
+			const watcher = watch({ type: 'emitter' }, 'ready', callback);
+
+			callbacks.get('ready')('value');
+			sweep(watcher, watcher);
+
+			expect(callback).toHaveBeenCalledWith('value');
+			expect(callbacks.size).toBe(0);
+		} finally {
+			adapters.splice(adapters.indexOf(adapter), 1);
+		}
+	});
+
+	it('should throw a TypeError if the source is not supported', () => {
+		expect(() => Watch.for({}, 'change')).toThrow(TypeError);
+		expect(() => Watch.for(undefined, 'change')).toThrow(TypeError);
+	});
+});
+
+describe('parseEventName', () => {
+	it('should return the event name and its modifiers', () => {
+		expect(parseEventName('input.debounce(300)')).toEqual({
+			eventName: 'input',
+			modifiers: { debounce: 300 },
+		});
+		expect(parseEventName('touchstart.capture.passive.once')).toEqual({
+			eventName: 'touchstart',
+			modifiers: { capture: true, passive: true, once: true },
+		});
+		expect(parseEventName('scroll.throttle(100)').modifiers).toEqual({ throttle: 100 });
+	});
+
+	it('should keep paths and unknown modifiers in the event name', () => {
+		expect(parseEventName('user.name')).toEqual({ eventName: 'user.name', modifiers: {} });
+		expect(parseEventName('click.twice')).toEqual({ eventName: 'click.twice', modifiers: {} });
+	});
+});
+
+describe('Watch modifiers', () => {
+	beforeEach(() => {
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	it('should debounce infusions', () => {
+		const model = createModel();
+		const callback = jest.fn();
+
+		watch(model, 'change', callback, { debounce: 300 });
+		model.emit(1);
+		jest.advanceTimersByTime(200);
+		model.emit(2);
+		jest.advanceTimersByTime(200);
+
+		expect(callback).not.toHaveBeenCalled();
+		jest.advanceTimersByTime(100);
+		expect(callback.mock.calls).toEqual([[2]]);
+	});
+
+	it('should throttle infusions', () => {
+		const model = createModel();
+		const callback = jest.fn();
+
+		watch(model, 'change', callback, { throttle: 100 });
+		model.emit(1);
+		model.emit(2);
+		model.emit(3);
+
+		expect(callback.mock.calls).toEqual([[1]]);
+		jest.advanceTimersByTime(100);
+		expect(callback.mock.calls).toEqual([[1], [3]]);
+		jest.advanceTimersByTime(100);
+		model.emit(4);
+		expect(callback.mock.calls).toEqual([[1], [3], [4]]);
+	});
+
+	it('should cancel pending infusions when the watcher is sweept', () => {
+		const model = createModel();
+		const callback = jest.fn();
+		const watcher = watch(model, 'change', callback, { debounce: 100 });
+
+		model.emit(1);
+		sweep(watcher, watcher);
+		jest.advanceTimersByTime(100);
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it('should infuse watchers with the once modifier only once', () => {
+		const model = createModel();
+		const callback = jest.fn();
+
+		watch(model, 'change', callback, { once: true });
+		model.emit(1);
+		model.emit(2);
+
+		expect(callback.mock.calls).toEqual([[1]]);
+	});
+
+	it('should use different watches for different listener options', () => {
+		const element = domino.createDocument('').createElement('div');
+
+		expect(Watch.for(element, 'scroll', { passive: true })).not.toBe(Watch.for(element, 'scroll'));
+		expect(Watch.for(element, 'focus', { capture: true })).toBe(Watch.for(element, 'focus', { capture: true }));
+	});
+});
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Types of inputs whose values are dates (in UTC). Values are objects with the `start` and `end`
+ * of the part of an ISO 8601 string (returned by `Date.prototype.toISOString`) used by each type
+ * of input, and the `prefix` and `suffix` needed to turn the value of the input back into an ISO
+ * 8601 string.
+ */
+const DATE_INPUTS = new Map([
+	['date', { start: 0, end: 10, prefix: '', suffix: 'T00:00Z' }],
+	['datetime-local', { start: 0, end: 16, prefix: '', suffix: 'Z' }],
+	['month', { start: 0, end: 7, prefix: '', suffix: '-01T00:00Z' }],
+	['time', { start: 11, end: 16, prefix: '1970-01-01T', suffix: 'Z' }],
+]);
+
+/**
+ * Returns the type of a form control in lower case: the type of an input, "select" or
+ * "select-multiple" for select elements, or the tag name for any other element.
+ *
+ * @function getControlType
+ * @param {Element} element The form control.
+ * @returns {string} The type of the control.
+ */
+function getControlType(element) {
+	const tagName = element.tagName.toLowerCase();
+
+	if (tagName === 'input') {
+		return (element.getAttribute('type') || 'text').toLowerCase();
+	}
+
+	if (tagName === 'select') {
+		return element.multiple ? 'select-multiple' : 'select';
+	}
+
+	return tagName;
+}
+
+/**
+ * Returns the type of event that indicates that the value of a two-way binding changed:
+ * "change" for checkboxes, radio buttons, select elements, and file inputs, and "input" for any
+ * other element.
+ *
+ * @function getBindingEvent
+ * @param {Element} element The form control.
+ * @returns {string} The type of event.
+ */
+export function getBindingEvent(element) {
+	const type = getControlType(element);
+	const isChange = type === 'checkbox' || type === 'radio' || type === 'file';
+
+	return isChange || type.startsWith('select') ? 'change' : 'input';
+}
+
+/**
+ * Reads the value of a `property` of a form control, converted to the type of the bound value:
+ *     * Checkboxes: If the `current` bound value is an array, a copy of the array with (or
+ *       without) the value of the checkbox, depending on whether the checkbox is checked.
+ *       Otherwise, `true` or `false`.
+ *     * Radio buttons: The value of the radio button (only if it's checked).
+ *     * Multiple select elements: An array with the values of the selected options.
+ *     * Number and range inputs: A number (`null` if the input is empty).
+ *     * Date and time inputs: A `Date` instance if the `current` bound value is a `Date` (`null`
+ *       if the input is empty). Otherwise, a string.
+ *     * Any other element: The value of the `property`.
+ *
+ * @function readControl
+ * @param {Element} element The form control.
+ * @param {string} property The bound property (for instance, "value").
+ * @param {*} current The current value of the binding.
+ * @returns {*} The value of the property or `undefined` if the binding must not be updated (for
+ *     instance, when a radio button is unchecked).
+ */
+export function readControl(element, property, current) {
+	if (property !== 'value') {
+		return element[property];
+	}
+
+	const type = getControlType(element);
+	const { value } = element;
+
+	if (type === 'checkbox') {
+		if (!Array.isArray(current)) {
+			return element.checked;
+		}
+
+		const values = current.filter(item => item !== value);
+
+		return element.checked ? [...values, value] : values;
+	}
+
+	if (type === 'radio') {
+		return element.checked ? value : undefined;
+	}
+
+	if (type === 'select-multiple') {
+		const selected = Array.from(element.options).filter(option => option.selected);
+
+		return selected.map(option => option.value);
+	}
+
+	if (type === 'number' || type === 'range') {
+		return value === '' ? null : Number(value);
+	}
+
+	if (DATE_INPUTS.has(type) && current instanceof Date) {
+		const { prefix, suffix } = DATE_INPUTS.get(type);
+
+		return value === '' ? null : new Date(`${ prefix }${ value }${ suffix }`);
+	}
+
+	return value;
+}
+
+/**
+ * Writes the bound `value` to a `property` of a form control (see `readControl`). Checkboxes are
+ * checked if the `value` is truthy or if it's an array that contains the value of the checkbox,
+ * radio buttons are checked if the `value` is equal to the value of the radio button, and the
+ * options of multiple select elements are selected if the `value` (an array) contains their
+ * values. `Date` instances are converted into the format used by each type of date input, and
+ * `null` and `undefined` values are converted into empty strings.
+ *
+ * @function writeControl
+ * @param {Element} element The form control.
+ * @param {string} property The bound property (for instance, "value").
+ * @param {*} value The value of the binding.
+ */
+export function writeControl(element, property, value) {
+	if (property !== 'value') {
+		Object.assign(element, { [property]: value });
+		return;
+	}
+
+	const type = getControlType(element);
+	let state = {};
+
+	if (type === 'checkbox') {
+		state = { checked: Array.isArray(value) ? value.includes(element.value) : !!value };
+	} else if (type === 'radio') {
+		state = {
+			checked: value !== null && value !== undefined && String(value) === element.value,
+		};
+	} else if (type === 'select-multiple') {
+		const values = Array.isArray(value) ? value.map(String) : [];
+
+		for (const option of Array.from(element.options)) {
+			option.selected = values.includes(option.value);
+		}
+	} else if (value instanceof Date && DATE_INPUTS.has(type)) {
+		const { start, end } = DATE_INPUTS.get(type);
+
+		state = {
+			value: Number.isNaN(value.getTime()) ? '' : value.toISOString().substring(start, end),
+		};
+	} else {
+		const text = value === null || value === undefined ? '' : String(value);
+
+		// Avoid moving the caret of the control when the value didn't change.
+		if (element.value !== text) {
+			state = { value: text };
+		}
+	}
+
+	Object.assign(element, state);
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+import domino from 'domino';
+import { getBindingEvent, readControl, writeControl } from './bindings.js';
+
+function createElement(html) {
+	const doc = domino.createDocument(`<body>${ html }</body>`);
+
+	return doc.body.firstElementChild;
+}
+
+describe('getBindingEvent', () => {
+	it('should return "change" for checkboxes, radio buttons, and select elements', () => {
+		expect(getBindingEvent(createElement('<input type="checkbox">'))).toBe('change');
+		expect(getBindingEvent(createElement('<input type="radio">'))).toBe('change');
+		expect(getBindingEvent(createElement('<select></select>'))).toBe('change');
+	});
+
+	it('should return "input" for other elements', () => {
+		expect(getBindingEvent(createElement('<input>'))).toBe('input');
+		expect(getBindingEvent(createElement('<input type="number">'))).toBe('input');
+		expect(getBindingEvent(createElement('<textarea></textarea>'))).toBe('input');
+	});
+});
+
+describe('readControl', () => {
+	it('should read the value of text inputs', () => {
+		expect(readControl(createElement('<input value="foo">'), 'value', '')).toBe('foo');
+	});
+
+	it('should read checkboxes as booleans or arrays of values', () => {
+		const checkbox = createElement('<input type="checkbox" value="b">');
+
+		checkbox.checked = true;
+		expect(readControl(checkbox, 'value', false)).toBe(true);
+		expect(readControl(checkbox, 'value', ['a'])).toEqual(['a', 'b']);
+
+		checkbox.checked = false;
+		expect(readControl(checkbox, 'value', ['a', 'b'])).toEqual(['a']);
+	});
+
+	it('should only read radio buttons that are checked', () => {
+		const radio = createElement('<input type="radio" value="a">');
+
+		expect(readControl(radio, 'value', 'b')).toBeUndefined();
+
+		radio.checked = true;
+		expect(readControl(radio, 'value', 'b')).toBe('a');
+	});
+
+	it('should read the selected options of multiple select elements', () => {
+		const select = createElement('<select multiple><option value="a"></option><option value="b"></option><option value="c"></option></select>');
+
+		select.options[1].selected = true;
+		select.options[2].selected = true;
+		expect(readControl(select, 'value', [])).toEqual(['b', 'c']);
+	});
+
+	it('should read number inputs as numbers', () => {
+		expect(readControl(createElement('<input type="number" value="1.5">'), 'value', 0)).toBe(1.5);
+		expect(readControl(createElement('<input type="number">'), 'value', 0)).toBeNull();
+	});
+
+	it('should read date inputs as dates if the bound value is a date', () => {
+		const input = createElement('<input type="date" value="2020-02-01">');
+
+		expect(readControl(input, 'value', new Date(0)).toISOString()).toBe('2020-02-01T00:00:00.000Z');
+		expect(readControl(input, 'value', '')).toBe('2020-02-01');
+	});
+
+	it('should read other properties', () => {
+		const checkbox = createElement('<input type="checkbox">');
+
+		checkbox.checked = true;
+		expect(readControl(checkbox, 'checked')).toBe(true);
+	});
+});
+
+describe('writeControl', () => {
+	it('should write the value of text inputs', () => {
+		const input = createElement('<input>');
+
+		writeControl(input, 'value', 'foo');
+		expect(input.value).toBe('foo');
+
+		writeControl(input, 'value', null);
+		expect(input.value).toBe('');
+	});
+
+	it('should check checkboxes using booleans or arrays of values', () => {
+		const checkbox = createElement('<input type="checkbox" value="b">');
+
+		writeControl(checkbox, 'value', true);
+		expect(checkbox.checked).toBe(true);
+
+		writeControl(checkbox, 'value', ['a']);
+		expect(checkbox.checked).toBe(false);
+	});
+
+	it('should check the radio button that has the bound value', () => {
+		const radio = createElement('<input type="radio" value="1">');
+
+		writeControl(radio, 'value', 1);
+		expect(radio.checked).toBe(true);
+
+		writeControl(radio, 'value', 2);
+		expect(radio.checked).toBe(false);
+	});
+
+	it('should select the options of multiple select elements', () => {
+		const select = createElement('<select multiple><option value="a"></option><option value="b"></option></select>');
+
+		writeControl(select, 'value', ['b']);
+		expect(Array.from(select.options).map(option => option.selected)).toEqual([false, true]);
+	});
+
+	it('should format dates for date and time inputs', () => {
+		const date = createElement('<input type="date">');
+		const time = createElement('<input type="time">');
+
+		writeControl(date, 'value', new Date('2020-02-01T10:30Z'));
+		writeControl(time, 'value', new Date('2020-02-01T10:30Z'));
+
+		expect(date.value).toBe('2020-02-01');
+		expect(time.value).toBe('10:30');
+	});
+});
\ No newline at end of file
@@ -11,11 +11,22 @@ export const contextFunctions = new Map();
  * Default configuration options.
  */
 export const DEFAULTS = [
+	/**
+	 * Prefix or regular expression used to determine if an attribute is a two-way binding (a
+	 * property of a form control that is kept in sync with an assignable expression).
+	 */
+	['bindExp', 'bind-'],
 	/**
 	 * Indicates whether or not event names in event handlers should be camel cased during the
 	 * parsing process.
 	 */
 	['camelCaseEvents', false],
+	/**
+	 * Name of the attribute that links a nested template with the "catch" template that follows
+	 * it. The value of the attribute is the template ID of the "catch" template, which is rendered
+	 * instead of the nested template if an error is thrown while infusing it.
+	 */
+	['catchId', 'data-catch'],
 	/**
 	 * Prefix or regular expression used to determine if an attribute is a constant variable
 	 * declaration.
@@ -26,6 +37,38 @@ export const DEFAULTS = [
 	 * generated context function. This configuration option is the name of that attribute.
 	 */
 	['contextFunctionId', 'data-cid'],
+	/**
+	 * Indicates whether or not event handlers should be delegated to the host element (or its
+	 * shadow root). When enabled, a single event listener per event type is added to the host and
+	 * the event handlers of the elements inside it are executed when their events bubble up to it.
+	 */
+	['delegateEvents', false],
+	/**
+	 * Indicates whether or not additional checks should be performed and warnings reported using
+	 * the console. For instance, when enabled, the `hydrate` function reports the differences
+	 * found between the server-rendered markup and the markup generated in the browser.
+	 */
+	['devMode', false],
+	/**
+	 * Name of the attribute that links a conditional template ("if" or "else-if") with the
+	 * template of the next branch ("else-if" or "else"). The value of the attribute is the
+	 * template ID of the next branch, or an empty string if there's no next branch.
+	 */
+	['elseId', 'data-else'],
+	/**
+	 * Name of the attribute that links a nested template, whose constants or watches use "await",
+	 * with the "error" template that follows it. The value of the attribute is the template ID of
+	 * the "error" template, which is rendered if the constants or watches are rejected.
+	 */
+	['errorId', 'data-error'],
+	/**
+	 * Determines how context functions are created when templates are parsed. When set to
+	 * "function", the source code of context functions is generated and evaluated using
+	 * `new Function`. When set to "interpreter", expressions are evaluated by a small interpreter
+	 * that supports the subset of JavaScript used in expressions, template literals, and event
+	 * handlers, which can be used under a Content Security Policy that doesn't allow "unsafe-eval".
+	 */
+	['evaluator', 'function'],
 	/**
 	 * Prefix or regular expression used to determine if an attribute is an event handler.
 	 */
@@ -34,6 +77,24 @@ export const DEFAULTS = [
 	 * Name of the "event" variable to use in event callbacks/listeners.
 	 */
 	['eventName', 'event'],
+	/**
+	 * Name of the attribute that links a nested template, whose constants or watches use "await",
+	 * with the "loading" template that follows it. The value of the attribute is the template ID
+	 * of the "loading" template, which is rendered while the constants or watches are pending.
+	 */
+	['loadingId', 'data-loading'],
+	/**
+	 * Function to execute when an error is thrown while infusing an element (for instance, by the
+	 * function of a part). It receives the error and an object with the `element`, the
+	 * `contextId`, the `part`, and the `event` that triggered the infusion. When set, the error
+	 * is not thrown again and the rest of the template is infused.
+	 */
+	['onError', null],
+	/**
+	 * Prefix or regular expression used to determine if an attribute defines the pending value of
+	 * an async part (the value infused while the promise returned by the part is pending).
+	 */
+	['pendingExp', 'pending-'],
 	/**
 	 * Name of the placeholder ID attribute. Nested templates are replaced with "placeholder"
 	 * templates. The presence of the placeholder ID attribute on a template indicates that the
@@ -41,6 +102,25 @@ export const DEFAULTS = [
 	 * the original nested template.
 	 */
 	['placeholderId', 'data-pid'],
+	/**
+	 * Determines when elements (and nested templates) are re-infused after a watched event occurs
+	 * or a tracked dependency changes. When set to "microtask", re-infusions are queued, merged,
+	 * and executed in the next microtask. When set to "animationFrame", they're executed in the
+	 * next animation frame. When set to "sync", they're executed right away.
+	 */
+	['scheduler', 'microtask'],
+	/**
+	 * Indicates whether or not templates are being rendered on the server (this option is enabled
+	 * by the `renderToString` function while it renders a template). When enabled, event listeners
+	 * and watches are not added, the context function ID attributes are not removed from the
+	 * infused elements, and the blocks of nested templates are marked for hydration.
+	 */
+	['serverRendering', false],
+	/**
+	 * Name of the "signal" variable available in async parts. The signal is aborted when a newer
+	 * infusion of the same part starts (or when the element is sweept).
+	 */
+	['signalName', 'signal'],
 	/**
 	 * Name of the attribute that indicates an element must be sweept when it's removed from
 	 * the DOM.
@@ -57,6 +137,12 @@ export const DEFAULTS = [
 	 * Name of the variable that contains all the tag functions.
 	 */
 	['tagsName', 'tags'],
+	/**
+	 * Indicates whether or not the properties of stores read by each part should be tracked, so
+	 * that parts are automatically re-infused when those properties change. Properties of objects
+	 * that are not stores (for instance, plain objects) are not tracked.
+	 */
+	['trackDependencies', false],
 	/**
 	 * Name of the template ID attribute. After parsing a template element, a template ID attribute
 	 * is set on the template element. This configuration option is the name of that attribute.
@@ -73,16 +159,42 @@ export const DEFAULTS = [
 const configs = new Map(DEFAULTS);
 export { configs as default };
 
+/**
+ * The global state: the configuration options and the registries of parsed templates and context
+ * functions exported by this module. The parser uses it unless it's given another state (see
+ * `createState`).
+ */
+export const globalState = { configs, contextFunctions, parsedTemplates };
+
 /**
  * Sets configuration options.
  *
  * @function setConfigs
  * @param {Object} options Configuration options object.
+ * @param {Object} [state=globalState] The state whose configuration options will be set.
  */
-export function setConfigs(options) {
+export function setConfigs(options, state = globalState) {
+	const { configs: target } = state;
+
 	if (Array.isArray(options)) {
-		options.forEach(([key, value]) => configs.set(key, value));
+		options.forEach(([key, value]) => target.set(key, value));
 	} else {
-		Object.keys(options).forEach(key => configs.set(key, options[key]));
+		Object.keys(options).forEach(key => target.set(key, options[key]));
 	}
+}
+
+/**
+ * Creates a new state: a set of configuration options (initialized with the `DEFAULTS`) and empty
+ * registries of parsed templates and context functions. A state can be passed to the parser
+ * (`parseTemplate`, `createESModule`, and `renderToString`) using the `state` option.
+ *
+ * @function createState
+ * @returns {Object} An object with the `configs`, `contextFunctions`, and `parsedTemplates` maps.
+ */
+export function createState() {
+	return {
+		configs: new Map(DEFAULTS),
+		contextFunctions: new Map(),
+		parsedTemplates: new Map(),
+	};
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+import parseDocument from './parseDocument.js';
+import parseTemplate from './parseTemplate.js';
+import createESModule, { createESModuleWithMap } from './createESModule.js';
+import renderToString from './renderToString.js';
+import { createState, setConfigs } from './configs.js';
+
+/**
+ * Creates a compiler: an object with its own configuration options and its own registries of
+ * parsed templates and context functions. The functions of a compiler work exactly like the
+ * functions of the same name, but they only use (and change) the state of the compiler, which
+ * makes it possible to use several compilers, with different configuration options, side by side
+ * in the same process (for instance, to compile multiple HTML files in a build).
+ *
+ *     import createCompiler from 'infuse.host/src/createCompiler.js';
+ *
+ *     const compiler = createCompiler({ eventHandlerExp: 'on-' });
+ *     const code = compiler.createESModule(html);
+ *
+ * The configuration options of a compiler are initialized with the default values (not with the
+ * values of the global configuration options) and the given `options`.
+ *
+ * The functions of a compiler pass its state (see `createState`) to the parser using the `state`
+ * option, so the global configuration options and registries are not used (or changed) by them.
+ * Templates parsed by a compiler, and their context functions, are only stored in the registries
+ * of the compiler, so the global `infuse` function can't find them. To infuse them, use the ES
+ * module generated by `createESModule` or the `renderToString` function of the compiler (which
+ * adds them to the global registries, since the template is infused using the global runtime).
+ *
+ * @function createCompiler
+ * @param {Object} [options={}] Configuration options (see `setConfigs`).
+ * @returns {Object} The compiler, an object with the following properties:
+ *     * `configs`: The `Map` with the configuration options of the compiler.
+ *     * `contextFunctions`: The `Map` with the context functions generated by the compiler.
+ *     * `parsedTemplates`: The `Map` with the templates parsed by the compiler.
+ *     * `setConfigs(options)`: Sets configuration options of the compiler.
+ *     * `parseDocument(htmlDocument)`: Same as the `parseDocument` function.
+ *     * `parseTemplate(template, options)`: Same as the `parseTemplate` function.
+ *     * `createESModule(htmlDocument, options)`: Same as the `createESModule` function.
+ *     * `createESModuleWithMap(htmlDocument, options)`: Same as the `createESModuleWithMap`
+ *       function.
+ *     * `renderToString(template, options)`: Same as the `renderToString` function.
+ */
+export default function createCompiler(options = {}) {
+	const state = createState();
+
+	// Wraps `fn` so that the state of the compiler is added to the options passed to it.
+	const bind = fn => (input, fnOptions = {}) => fn(input, { ...fnOptions, state });
+
+	const compiler = {
+		...state,
+		setConfigs: configOptions => setConfigs(configOptions, state),
+		parseDocument,
+		parseTemplate: bind(parseTemplate),
+		createESModule: bind(createESModule),
+		createESModuleWithMap: bind(createESModuleWithMap),
+		renderToString: bind(renderToString),
+	};
+
+	compiler.setConfigs(options);
+
+	return compiler;
+}
\ No newline at end of file
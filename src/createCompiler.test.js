@@ -0,0 +1,147 @@
+/* eslint-disable no-template-curly-in-string */
+import createCompiler from './createCompiler.js';
+import configs, { contextFunctions, parsedTemplates, setConfigs } from './configs.js';
+
+/**
+ * Parses the given HTML code using the `compiler` and returns the first template and the window
+ * used to parse it.
+ *
+ * @function getTemplate
+ * @param {Object} compiler The compiler.
+ * @param {string} html The HTML code.
+ * @returns {Array} The first template and the window.
+ */
+function getTemplate(compiler, html) {
+	const { document, window } = compiler.parseDocument(html);
+
+	return [document.querySelector('template'), window];
+}
+
+describe('createCompiler', () => {
+	it('should initialize the configuration options with the defaults and the given options', () => {
+		setConfigs({ eventName: 'e' });
+
+		try {
+			const compiler = createCompiler({ constantExp: 'let-' });
+
+			expect(compiler.configs.get('constantExp')).toBe('let-');
+			expect(compiler.configs.get('eventName')).toBe('event');
+			expect(configs.get('constantExp')).toBe('const-');
+		} finally {
+			setConfigs({ eventName: 'event' });
+		}
+	});
+
+	it('should set configuration options of the compiler only', () => {
+		const compiler = createCompiler();
+
+		compiler.setConfigs({ tagsName: 'tagFns' });
+
+		expect(compiler.configs.get('tagsName')).toBe('tagFns');
+		expect(configs.get('tagsName')).toBe('tags');
+	});
+
+	it('should parse templates using its own configuration options and registries', () => {
+		const first = createCompiler({ constantExp: 'let-' });
+		const second = createCompiler();
+		const html = '<p let-name="Ada" const-other="1">${ name }</p>';
+		const [firstTemplate, window] = getTemplate(first, html);
+		const [secondTemplate] = getTemplate(second, html);
+		const globalSize = contextFunctions.size;
+
+		first.parseTemplate(firstTemplate, { window });
+		second.parseTemplate(secondTemplate, { window });
+
+		const p1 = firstTemplate.content.querySelector('p');
+		const p2 = secondTemplate.content.querySelector('p');
+
+		// Each compiler only removes the attributes that match its own `constantExp`.
+		expect(p1.hasAttribute('let-name')).toBe(false);
+		expect(p1.hasAttribute('const-other')).toBe(true);
+		expect(p2.hasAttribute('let-name')).toBe(true);
+		expect(p2.hasAttribute('const-other')).toBe(false);
+
+		const tid1 = firstTemplate.getAttribute('data-tid');
+		const tid2 = secondTemplate.getAttribute('data-tid');
+
+		expect(first.parsedTemplates.get(tid1)).toBe(firstTemplate);
+		expect(first.parsedTemplates.has(tid2)).toBe(false);
+		expect(second.parsedTemplates.get(tid2)).toBe(secondTemplate);
+		expect(parsedTemplates.has(tid1) || parsedTemplates.has(tid2)).toBe(false);
+
+		expect(first.contextFunctions.has(p1.getAttribute('data-cid'))).toBe(true);
+		expect(second.contextFunctions.has(p1.getAttribute('data-cid'))).toBe(false);
+		expect(contextFunctions.size).toBe(globalSize);
+	});
+
+	it('should create ES modules without interfering with other compilers', () => {
+		const first = createCompiler();
+		const second = createCompiler({ eventHandlerExp: /^when-(\w+)$/ });
+		const [template, window] = getTemplate(first, '<p class="${ host.name }">Text</p>');
+
+		first.parseTemplate(template, { window });
+
+		const cid = template.content.querySelector('p').getAttribute('data-cid');
+		const code = second.createESModule('<button when-click="host.go()">Go</button>');
+
+		// The context functions of the first compiler are not included or cleared.
+		expect(code).not.toContain(`'${ cid }'`);
+		expect(code).toContain('host.go()');
+		expect(first.contextFunctions.has(cid)).toBe(true);
+		expect(second.contextFunctions.size).toBe(0);
+	});
+
+	it('should restore the global configuration options when parsing fails', () => {
+		const compiler = createCompiler({ constantExp: 'let-' });
+		const [template, window] = getTemplate(compiler, '<p class="${ host.name">Text</p>');
+
+		expect(() => compiler.parseTemplate(template, { window })).toThrow(SyntaxError);
+		expect(configs.get('constantExp')).toBe('const-');
+	});
+
+	it('should keep the changes made by nested calls to other compilers', () => {
+		const outer = createCompiler({ constantExp: 'let-' });
+		const inner = createCompiler();
+		const [outerTemplate, window] = getTemplate(outer, '<p let-a="1">${ a }</p>');
+		const [innerTemplate] = getTemplate(inner, '<p const-b="2">${ b }</p>');
+		const uniqueId = (prefix) => {
+			// Parse the template of the inner compiler while the outer compiler is parsing.
+			if (!inner.parsedTemplates.size) {
+				inner.parseTemplate(innerTemplate, { window });
+			}
+
+			return `${ prefix }${ outer.parsedTemplates.size + outer.contextFunctions.size }`;
+		};
+
+		outer.parseTemplate(outerTemplate, { window, uniqueId });
+
+		expect(outer.parsedTemplates.get('template0')).toBe(outerTemplate);
+		expect(outer.contextFunctions.size).toBe(1);
+		expect(inner.parsedTemplates.size).toBe(1);
+		expect(inner.contextFunctions.size).toBe(1);
+		expect(innerTemplate.content.querySelector('p').hasAttribute('const-b')).toBe(false);
+	});
+
+	it('should not change the global configuration options while parsing', () => {
+		const compiler = createCompiler({ constantExp: 'let-' });
+		const [template, window] = getTemplate(compiler, '<p let-a="1">${ a }</p>');
+		const seen = [];
+		const uniqueId = (prefix) => {
+			seen.push(configs.get('constantExp'));
+			return `${ prefix }${ seen.length }`;
+		};
+
+		compiler.parseTemplate(template, { window, uniqueId });
+
+		expect(seen).toEqual(['const-', 'const-']);
+	});
+
+	it('should render templates to strings using its own configuration options', () => {
+		const compiler = createCompiler({ constantExp: 'let-' });
+		const [template] = getTemplate(compiler, '<p let-name="${ data.name }">${ name }</p>');
+		const html = compiler.renderToString(template, { data: { name: 'Ada' } });
+
+		expect(html).toContain('Ada');
+		expect(compiler.contextFunctions.size).toBe(1);
+	});
+});
\ No newline at end of file
@@ -1,6 +1,11 @@
+import { Buffer } from 'buffer';
 import parseDocument from './parseDocument.js';
 import parseTemplate from './parseTemplate.js';
-import configs, { contextFunctions, parsedTemplates } from './configs.js';
+import { searchEventHandler } from './parseParts.js';
+import splitFragments from './splitFragments.js';
+import TemplateSyntaxError, { getLocation } from './diagnostics.js';
+import createSourceMap, { locateStartTags } from './sourceMap.js';
+import { globalState } from './configs.js';
 
 /**
  * Path to the configs module to use in generated ES modules.
@@ -29,44 +34,269 @@ export const uniqueIdFn = function createUniqueIdFunction(fullHash, hashLength =
 };
 
 /**
- * Generates an ES module from an HTML document. If the provided `htmlDocument` is a string, it is
- * parsed into an actual `Document`. It is then ran through the infuse.host parser and the source
- * code for an ES module is generated. The returned ES module exports:
+ * Returns all the elements of the given `node` in document order (pre-order), including the
+ * elements in the contents of templates.
  *
- *     * The resulting `document`, after all the parsing is performed by infuse.host.
- *     * Default export: The first template found in the exported `document`.
- *     * All other templates found in `document`, using their predefined or generated
- *       "template ids" as export names.
+ * @function getElements
+ * @param {Node} node The node whose descendant elements will be returned.
+ * @param {Element[]} [elements=[]] The array to which the elements are added.
+ * @returns {Element[]} The `elements` array.
+ */
+function getElements(node, elements = []) {
+	const parent = node.content || node;
+
+	for (let child = parent.firstChild; child !== null; child = child.nextSibling) {
+		if (child.nodeType === 1) {
+			elements.push(child);
+			getElements(child, elements);
+		}
+	}
+
+	return elements;
+}
+
+/**
+ * Returns the source code of the expressions, template literals, and event handlers found in the
+ * attributes and text child nodes of an `element`, in the same order in which they appear in the
+ * HTML source code. This must be done before the element is parsed, since the parser removes
+ * parsed attributes and replaces the text of parsed child nodes.
  *
- * The generated ES module also loads all the `contextFunctions`, generated by the infuse.host
- * parser, into memory.
+ * @function getSnippets
+ * @param {Element} element The element.
+ * @param {Object} state The state whose configuration options are used by the parser.
+ * @returns {string[]} The source code of the expressions, template literals, and event handlers.
+ */
+function getSnippets(element, state) {
+	const snippets = [];
+	const eventHandlerExp = state.configs.get('eventHandlerExp');
+	const addFragments = (input) => {
+		let fragments;
+
+		try {
+			fragments = splitFragments(input, state);
+		} catch (error) {
+			// Malformed input is reported by the parser.
+			return;
+		}
+
+		for (const fragment of fragments || []) {
+			if (typeof fragment !== 'string') {
+				snippets.push(fragment.expression || fragment.template);
+			}
+		}
+	};
+
+	for (const { name, value } of Array.from(element.attributes)) {
+		if (searchEventHandler(name, eventHandlerExp) !== null) {
+			snippets.push(value.trim());
+		} else {
+			addFragments(value);
+		}
+	}
+
+	if (element.tagName.toLowerCase() !== 'template') {
+		for (let node = element.firstChild; node !== null; node = node.nextSibling) {
+			if (node.nodeType === 3 && node.length > 3) {
+				addFragments(node.data);
+			}
+		}
+	}
+
+	return snippets.filter(snippet => snippet !== '');
+}
+
+/**
+ * Finds the position of each element of the `document` within the HTML `source` code, as well as
+ * the positions of the expressions, template literals, and event handlers of each element. Elements
+ * that don't appear in the `source` (for instance, elements implied by the parser) are ignored.
  *
- * @function createESModule
- * @param {(string|Document)} htmlDocument The HTML document as a string (HTML source code) or as an
- *     instance of `Document`.
- * @param {Object} [options={}] Options object.
- * @param {number} [options.hashLength=7] The length of the hash to use when generating unique
- *     element IDs. The hash is used to avoid collisions with IDs of elements in other documents.
- * @param {Function} [options.uniqueId] A function to generate unique ID values during the
- *     parsing process.
- * @param {string} [options.configsPath='infuse.host/src/configs'] Path to the infuse.host
- *     configs module to use in the generated ES module.
- * @returns {string} The source code of the generated ES module.
+ * @function locateElements
+ * @param {Document} document The parsed document (before its templates are parsed).
+ * @param {string} source The HTML source code of the `document`.
+ * @param {Object} state The state whose configuration options are used by the parser.
+ * @returns {Map} A map in which keys are elements and values are objects with the `start` and
+ *     `end` offsets of the start tag of the element and its `snippets`. Each snippet is an object
+ *     with the `code` and the `offset` of the snippet within the `source` (or the offset of the
+ *     element if the snippet can't be found, for instance, when it contains character
+ *     references).
  */
-export default function createESModule(htmlDocument, options = {}) {
+function locateElements(document, source, state) {
+	const positions = new Map();
+	const tags = locateStartTags(source);
+	let t = 0;
+
+	for (const element of getElements(document)) {
+		const name = element.tagName.toLowerCase();
+		// Look ahead a few tags, in case the parser ignored some of them.
+		const end = Math.min(t + 4, tags.length);
+		let i = t;
+
+		while (i < end && tags[i].name !== name) {
+			i++;
+		}
+
+		if (i < end) {
+			const { start, end: tagEnd } = tags[i];
+			let cursor = start;
+
+			const snippets = getSnippets(element, state).map((code) => {
+				const offset = source.indexOf(code, cursor);
+
+				if (offset === -1) {
+					return { code, offset: start };
+				}
+
+				cursor = offset + code.length;
+				return { code, offset };
+			});
+
+			positions.set(element, { start, end: tagEnd, snippets });
+			t = i + 1;
+		}
+	}
+
+	return positions;
+}
+
+/**
+ * Adds the location of a syntax error within the HTML `source` code (the `sourceFileName`,
+ * `sourceLine`, and `sourceColumn`) to the details of the `error`. The location of the attribute
+ * (or text node) is found using the position of its element.
+ *
+ * @function locateError
+ * @param {TemplateSyntaxError} error The error thrown by the parser.
+ * @param {string} source The HTML source code.
+ * @param {Map} positions The map returned by `locateElements`.
+ * @param {string} sourceFileName The name of the HTML file.
+ */
+function locateError(error, source, positions, sourceFileName) {
+	const position = positions.get(error.element);
+
+	if (!position) {
+		return;
+	}
+
+	const { start, end } = position;
+	let offset = start;
+
+	if (error.attribute) {
+		const name = error.attribute.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const match = new RegExp(`\\s${ name }\\s*=\\s*["']?`, 'i').exec(source.substring(start, end));
+
+		if (match) {
+			offset = start + match.index + match[0].length + (error.offset || 0);
+		}
+	} else if (error.source) {
+		const index = source.indexOf(error.source, end);
+
+		if (index !== -1) {
+			offset = index + (error.offset || 0);
+		}
+	}
+
+	const { line, column } = getLocation(source, offset);
+
+	error.addDetails({ sourceFileName, sourceLine: line, sourceColumn: column });
+}
+
+/**
+ * Generates the mappings of a source map for the context functions in the generated `code`. The
+ * beginning of each context function is mapped to the start tag of its element and each
+ * expression, template literal, and event handler is mapped to its position in the HTML source.
+ *
+ * @function mapContextFunctions
+ * @param {string} code The source code of the generated ES module.
+ * @param {Map} positions The map returned by `locateElements`.
+ * @param {Object} state The state used to parse the templates.
+ * @returns {Object[]} An array of mappings (see `createSourceMap`).
+ */
+function mapContextFunctions(code, positions, state) {
+	const mappings = [];
+	const contextFnId = state.configs.get('contextFunctionId');
+
+	for (const [element, { start, snippets }] of positions) {
+		const cid = element.getAttribute(contextFnId);
+		const prefix = `contextFunctions.set('${ cid }', `;
+		const fnStart = cid === null ? -1 : code.indexOf(prefix);
+
+		if (fnStart !== -1) {
+			const fnEnd = code.indexOf('\n});', fnStart);
+			const fnBody = fnStart + prefix.length;
+			// Offsets of snippets that have already been mapped (snippets may be repeated).
+			const used = new Set();
+
+			mappings.push({ generated: fnBody, original: start });
+
+			/**
+			 * Snippets are searched from the beginning of the function, since the order in the
+			 * function (constants, event listeners, watches, and parts) differs from the source.
+			 */
+			for (const { code: snippet, offset } of snippets) {
+				let generated = code.indexOf(snippet, fnBody);
+
+				while (used.has(generated)) {
+					generated = code.indexOf(snippet, generated + 1);
+				}
+
+				if (generated !== -1 && generated < fnEnd) {
+					used.add(generated);
+					mappings.push({ generated, original: offset });
+				}
+			}
+		}
+	}
+
+	return mappings;
+}
+
+/**
+ * Parses the templates of an HTML document and generates the source code of the ES module (see
+ * `createESModule`), along with what's needed to generate its source map.
+ *
+ * @function generateModule
+ * @param {(string|Document)} htmlDocument The HTML document (see `createESModule`).
+ * @param {Object} options The options object (see `createESModule`).
+ * @returns {Object} An object with the generated `code`, the HTML `source` code, the
+ *     `sourceFileName`, the `positions` of the elements (see `locateElements`), and the `state`
+ *     used to parse the templates.
+ * @throws {TemplateSyntaxError} If a template contains a malformed expression, template literal,
+ *     or event handler.
+ */
+function generateModule(htmlDocument, options) {
 	const lines = [''];
-	const templateId = configs.get('templateId');
+	const { state = globalState } = options;
+	const { contextFunctions, parsedTemplates } = state;
+	const templateId = state.configs.get('templateId');
 	const configsPath = options.configsPath || DEFAULT_CONFIGS_PATH;
 
 	// Parse the document.
 	const { doctype, document, hash, window } = parseDocument(htmlDocument);
 	// If a unique ID function was not provided, create one using the document's `hash`.
 	const uniqueId = options.uniqueId || uniqueIdFn(hash, options.hashLength);
+	const sourceFileName = options.sourceFileName || 'template.html';
+	// The HTML source code and the positions of the elements (for the source map and errors).
+	const source = typeof htmlDocument === 'string' ? htmlDocument : `${ doctype }\n${ document.documentElement.outerHTML }`;
+	const positions = locateElements(document, source, state);
 
-	// Find and parse all templates in the `document`. This changes the document's DOM.
+	/**
+	 * Find and parse all templates in the `document`. This changes the document's DOM. The source
+	 * code of the context functions is needed, so the "function" evaluator is always used (the
+	 * templates are parsed using a copy of the configuration options of the `state`).
+	 */
+	const configs = new Map([...state.configs, ['evaluator', 'function']]);
+	const parseState = { ...state, configs };
 	let templates = Array.from(document.querySelectorAll('template'));
-	for (let i = 0; i < templates.length; i++) {
-		parseTemplate(templates[i], { uniqueId, window });
+
+	try {
+		for (let i = 0; i < templates.length; i++) {
+			parseTemplate(templates[i], { uniqueId, window, state: parseState });
+		}
+	} catch (error) {
+		if (error instanceof TemplateSyntaxError) {
+			locateError(error, source, positions, sourceFileName);
+		}
+
+		throw error;
 	}
 
 	// Since the document's DOM changed, we need to find all templates again.
@@ -102,7 +332,7 @@ export default function createESModule(htmlDocument, options = {}) {
 	contextFunctions.clear();
 	parsedTemplates.clear();
 
-	return `import { contextFunctions, parsedTemplates } from '${ configsPath }';
+	const code = `import { contextFunctions, parsedTemplates } from '${ configsPath }';
 
 const html = \`${ doctype }\n${ document.body.outerHTML.replace(/\\?`/g, '\\`') }\`;
 
@@ -113,4 +343,102 @@ const templates = doc.getElementsByTagName('template');
 export { doc as document };
 export default templates[0];
 ${ lines.join('\n') }`;
+
+	return { code, source, sourceFileName, positions, state };
+}
+
+/**
+ * Generates the source map (version 3) of an ES module generated by `generateModule`.
+ *
+ * @function generateMap
+ * @param {string} code The source code of the generated ES module.
+ * @param {Object} generated The `source`, `sourceFileName`, `positions`, and `state` returned by
+ *     `generateModule`.
+ * @returns {Object} The source map.
+ */
+function generateMap(code, { source, sourceFileName, positions, state }) {
+	return createSourceMap({
+		code,
+		source,
+		sourceFileName,
+		mappings: mapContextFunctions(code, positions, state),
+	});
+}
+
+/**
+ * Generates an ES module from an HTML document. If the provided `htmlDocument` is a string, it is
+ * parsed into an actual `Document`. It is then ran through the infuse.host parser and the source
+ * code for an ES module is generated. The returned ES module exports:
+ *
+ *     * The resulting `document`, after all the parsing is performed by infuse.host.
+ *     * Default export: The first template found in the exported `document`.
+ *     * All other templates found in `document`, using their predefined or generated
+ *       "template ids" as export names.
+ *
+ * The generated ES module also loads all the `contextFunctions`, generated by the infuse.host
+ * parser, into memory.
+ *
+ * @function createESModule
+ * @param {(string|Document)} htmlDocument The HTML document as a string (HTML source code) or as an
+ *     instance of `Document`.
+ * @param {Object} [options={}] Options object.
+ * @param {number} [options.hashLength=7] The length of the hash to use when generating unique
+ *     element IDs. The hash is used to avoid collisions with IDs of elements in other documents.
+ * @param {Function} [options.uniqueId] A function to generate unique ID values during the
+ *     parsing process.
+ * @param {string} [options.configsPath='infuse.host/src/configs'] Path to the infuse.host
+ *     configs module to use in the generated ES module.
+ * @param {(boolean|string)} [options.sourceMap=false] If `true` (or "inline"), generates a source
+ *     map (version 3), which maps each context function, part, and event handler back to its
+ *     element, attribute, or text node in the HTML source code, and appends it to the generated
+ *     code as a data URL. Use `createESModuleWithMap` to get the source map as a separate object.
+ * @param {string} [options.sourceFileName='template.html'] The name of the HTML file, which is
+ *     used as the source in the source map and in the location of syntax errors.
+ * @param {Object} [options.state=globalState] The state whose configuration options are used to
+ *     parse the templates (see `createState`). Its registries are cleared once the ES module is
+ *     generated.
+ * @returns {string} The source code of the generated ES module.
+ * @throws {TemplateSyntaxError} If a template contains a malformed expression, template literal,
+ *     or event handler. The error includes the line and column within the HTML source code.
+ */
+export default function createESModule(htmlDocument, options = {}) {
+	const { code, ...generated } = generateModule(htmlDocument, options);
+
+	if (!options.sourceMap) {
+		return code;
+	}
+
+	const map = generateMap(code, generated);
+	const base64 = Buffer.from(JSON.stringify(map)).toString('base64');
+
+	return `${ code }\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${ base64 }`;
+}
+
+/**
+ * Generates an ES module from an HTML document (see `createESModule`) along with its source map
+ * (version 3), which maps each context function, part, and event handler back to its element,
+ * attribute, or text node in the HTML source code.
+ *
+ *     const { code, map } = createESModuleWithMap(html, { sourceMapURL: 'template.js.map' });
+ *
+ * @function createESModuleWithMap
+ * @param {(string|Document)} htmlDocument The HTML document as a string (HTML source code) or as an
+ *     instance of `Document`.
+ * @param {Object} [options={}] The same options of `createESModule` (except `sourceMap`) and:
+ * @param {string} [options.sourceMapURL] The URL of the source map. If provided, a
+ *     `sourceMappingURL` comment is added to the generated code.
+ * @returns {Object} An object with the source `code` of the generated ES module and the source
+ *     `map`.
+ * @throws {TemplateSyntaxError} If a template contains a malformed expression, template literal,
+ *     or event handler. The error includes the line and column within the HTML source code.
+ */
+export function createESModuleWithMap(htmlDocument, options = {}) {
+	const { code, ...generated } = generateModule(htmlDocument, options);
+	const map = generateMap(code, generated);
+
+	if (options.sourceMapURL) {
+		return { code: `${ code }\n//# sourceMappingURL=${ options.sourceMapURL }`, map };
+	}
+
+	return { code, map };
 }
\ No newline at end of file
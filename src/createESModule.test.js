@@ -1,6 +1,6 @@
 /* eslint-disable no-template-curly-in-string */
 import domino from 'domino';
-import createESModule, { uniqueIdFn } from './createESModule.js';
+import createESModule, { createESModuleWithMap, uniqueIdFn } from './createESModule.js';
 
 /**
  * Simulates the DOMParser class available in the browser. Uses domino to parse HTML.
@@ -45,6 +45,57 @@ function importESModule(source, core = {}) {
 	return importModule(contextFunctions || new Map(), parsedTemplates || new Map(), DOMParser);
 }
 
+/**
+ * Decodes the "mappings" of a source map into an array of segments. Each segment is an object with
+ * the (zero-based) `line` and `column` of the generated code and the `originalLine` and
+ * `originalColumn` in the source.
+ *
+ * @function decodeMappings
+ * @param {string} mappings The "mappings" of a source map.
+ * @returns {Object[]} The decoded segments.
+ */
+function decodeMappings(mappings) {
+	const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+	const segments = [];
+	const previous = [0, 0, 0, 0];
+
+	mappings.split(';').forEach((line, lineIndex) => {
+		previous[0] = 0;
+
+		for (const segment of line.split(',').filter(str => str !== '')) {
+			const values = [];
+			let value = 0;
+			let shift = 0;
+
+			for (const char of segment) {
+				const digit = chars.indexOf(char);
+
+				value += (digit % 32) * (2 ** shift);
+				shift += 5;
+
+				if (digit < 32) {
+					values.push(value % 2 === 1 ? -(value - 1) / 2 : value / 2);
+					value = 0;
+					shift = 0;
+				}
+			}
+
+			values.forEach((delta, i) => {
+				previous[i] += delta;
+			});
+
+			segments.push({
+				line: lineIndex,
+				column: previous[0],
+				originalLine: previous[2],
+				originalColumn: previous[3],
+			});
+		}
+	});
+
+	return segments;
+}
+
 describe('uniqueIdFn', () => {
 	// MD5 hash for "<div></div>".
 	const HASH = 'f9df91370d9b344946e23cbcd6a1541f';
@@ -185,4 +236,89 @@ describe('createESModule', () => {
 			expect(callback()).toBe('bar');
 		});
 	});
+
+	describe('with source maps', () => {
+		const HTML = '<div>\n\t<p class="${ host.type }">${ host.text }</p>\n\t<button onclick="host.count++">+</button>\n</div>';
+
+		/**
+		 * Finds the segment of the source map that maps the end of the first occurrence of `prefix`
+		 * and the beginning of `snippet` in the generated `code`.
+		 */
+		function findSegment(code, map, prefix, snippet = '') {
+			const offset = code.indexOf(prefix + snippet) + prefix.length;
+			const lines = code.substr(0, offset).split('\n');
+			const line = lines.length - 1;
+			const column = lines[line].length;
+
+			return decodeMappings(map.mappings).find(s => s.line === line && s.column === column);
+		}
+
+		it('should return the code and a version 3 source map', () => {
+			const { code, map } = createESModuleWithMap(HTML, { sourceFileName: 'a.html' });
+
+			expect(typeof code).toBe('string');
+			expect(code).not.toContain('sourceMappingURL');
+			expect(map.version).toBe(3);
+			expect(map.sources).toEqual(['a.html']);
+			expect(map.sourcesContent).toEqual([HTML]);
+		});
+
+		it('should map context functions, parts, and event handlers to the HTML source', () => {
+			const { code, map } = createESModuleWithMap(HTML);
+			const cid = /data-cid="(p[^"]+)"/.exec(code)[1];
+
+			expect(findSegment(code, map, `contextFunctions.set('${ cid }', `)).toMatchObject({
+				originalLine: 1,
+				originalColumn: 1,
+			});
+			expect(findSegment(code, map, '', 'host.type')).toMatchObject({
+				originalLine: 1,
+				originalColumn: 14,
+			});
+			expect(findSegment(code, map, '', 'host.text')).toMatchObject({
+				originalLine: 1,
+				originalColumn: 30,
+			});
+			expect(findSegment(code, map, '', 'host.count++')).toMatchObject({
+				originalLine: 2,
+				originalColumn: 18,
+			});
+		});
+
+		it('should add a "sourceMappingURL" comment if the URL of the source map is provided', () => {
+			const { code } = createESModuleWithMap(HTML, { sourceMapURL: 'a.js.map' });
+
+			expect(code.endsWith('\n//# sourceMappingURL=a.js.map')).toBe(true);
+		});
+
+		it('should append the source map as a data URL if the "sourceMap" option is set', () => {
+			const code = createESModule(HTML, { sourceMap: true });
+			const prefix = '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,';
+			const index = code.lastIndexOf(prefix);
+
+			expect(index).not.toBe(-1);
+
+			const json = Buffer.from(code.substr(index + prefix.length), 'base64').toString();
+			const { map } = createESModuleWithMap(HTML);
+
+			expect(JSON.parse(json)).toEqual(map);
+			expect(code.substr(0, index)).toBe(createESModule(HTML));
+			expect(createESModule(HTML, { sourceMap: 'inline' })).toBe(code);
+		});
+	});
+
+	it('should report the location of syntax errors within the HTML source code', () => {
+		const html = '<div>\n\t<p title="${ host.title }">${ host.text. }</p>\n</div>';
+		let error = null;
+
+		try {
+			createESModule(html, { sourceFileName: 'page.html' });
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).toBeInstanceOf(SyntaxError);
+		expect(error).toMatchObject({ sourceLine: 2, sourceColumn: 32 });
+		expect(error.message).toContain('page.html:2:32');
+	});
 });
\ No newline at end of file
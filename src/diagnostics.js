@@ -0,0 +1,94 @@
+/**
+ * Converts an `offset` (position) within the `input` string into one-based line and column
+ * numbers.
+ *
+ * @function getLocation
+ * @param {string} input The string.
+ * @param {number} offset The position within the `input`.
+ * @returns {Object} An object with the `line` and `column`.
+ */
+export function getLocation(input, offset) {
+	const lines = input.substr(0, offset).split('\n');
+
+	return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Generates the message of a `TemplateSyntaxError` using the `reason` and all the available
+ * details about the location of the error.
+ *
+ * @function formatMessage
+ * @param {TemplateSyntaxError} error The error.
+ * @returns {string} The message.
+ */
+function formatMessage(error) {
+	const details = [];
+
+	if (error.templateId) {
+		details.push(`template "${ error.templateId }"`);
+	}
+
+	if (error.tagName) {
+		details.push(`<${ error.tagName }> element`);
+		details.push(error.attribute ? `"${ error.attribute }" attribute` : 'text');
+	}
+
+	if (error.line) {
+		details.push(`line ${ error.line }, column ${ error.column }`);
+	}
+
+	if (error.sourceLine) {
+		details.push(`${ error.sourceFileName }:${ error.sourceLine }:${ error.sourceColumn }`);
+	}
+
+	return details.length > 0 ? `${ error.reason } (${ details.join(', ') })` : error.reason;
+}
+
+/**
+ * Error thrown when the expressions, template literals, or event handlers of a template are
+ * malformed. The message includes all the details known about the location of the error, which
+ * are added as the error propagates through the parser (see `addDetails`). Details include:
+ *     * `source`: The value of the attribute (or text node) that contains the error.
+ *     * `offset`: The position of the error within the `source`.
+ *     * `line` and `column`: The one-based line and column of the error within the `source`.
+ *     * `tagName`: The tag name of the element (lower case).
+ *     * `attribute`: The name of the attribute or `null` if the error is in a text node.
+ *     * `templateId`: The ID of the template that contains the element.
+ *     * `sourceFileName`, `sourceLine`, and `sourceColumn`: The name of the HTML file and the
+ *       one-based line and column of the error within it (added by `createESModule`).
+ *
+ * @class TemplateSyntaxError
+ * @extends SyntaxError
+ */
+export default class TemplateSyntaxError extends SyntaxError {
+	/**
+	 * @param {string} reason The description of the error (without the location).
+	 * @param {Object} [details={}] The details about the location of the error.
+	 */
+	constructor(reason, details = {}) {
+		super(reason);
+
+		this.name = 'TemplateSyntaxError';
+		this.reason = reason;
+		this.addDetails(details);
+	}
+
+	/**
+	 * Adds details about the location of the error and updates the message. If the details
+	 * include the `source` and `offset`, the `line` and `column` are calculated.
+	 *
+	 * @param {Object} details The details to add.
+	 * @returns {TemplateSyntaxError} The error itself.
+	 */
+	addDetails(details) {
+		Object.assign(this, details);
+
+		if (details.source !== undefined && details.offset !== undefined) {
+			Object.assign(this, getLocation(details.source, details.offset));
+		}
+
+		this.message = formatMessage(this);
+
+		return this;
+	}
+}
\ No newline at end of file
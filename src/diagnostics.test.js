@@ -0,0 +1,36 @@
+import TemplateSyntaxError, { getLocation } from './diagnostics.js';
+
+describe('getLocation', () => {
+	it('should return one-based line and column numbers', () => {
+		expect(getLocation('abc', 0)).toEqual({ line: 1, column: 1 });
+		expect(getLocation('abc\ndef', 5)).toEqual({ line: 2, column: 2 });
+	});
+});
+
+describe('TemplateSyntaxError', () => {
+	it('should be a SyntaxError', () => {
+		const error = new TemplateSyntaxError('Invalid');
+
+		expect(error).toBeInstanceOf(SyntaxError);
+		expect(error.name).toBe('TemplateSyntaxError');
+		expect(error.message).toBe('Invalid');
+	});
+
+	it('should calculate the line and column using the source and offset', () => {
+		const error = new TemplateSyntaxError('Invalid', { source: 'a\nbc', offset: 3 });
+
+		expect(error.line).toBe(2);
+		expect(error.column).toBe(2);
+		expect(error.message).toBe('Invalid (line 2, column 2)');
+	});
+
+	it('should update the message when details are added', () => {
+		const error = new TemplateSyntaxError('Invalid', { source: 'abc', offset: 1 });
+
+		error.addDetails({ tagName: 'p', attribute: 'class' });
+		error.addDetails({ templateId: 'template1' });
+		error.addDetails({ sourceFileName: 'a.html', sourceLine: 3, sourceColumn: 7 });
+
+		expect(error.message).toBe('Invalid (template "template1", <p> element, "class" attribute, line 1, column 2, a.html:3:7)');
+	});
+});
\ No newline at end of file
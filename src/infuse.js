@@ -1,243 +1,1976 @@
-import Watch from './Watch.js';
-import { result } from './utils.js';
+import Watch, { parseEventName } from './Watch.js';
+import { isThenable, result } from './utils.js';
+import reportError, { reportAsyncError } from './reportError.js';
+import { getBindingEvent, readControl } from './bindings.js';
+import { attributeChanged, getObservedAttributes, initializeProperties } from './properties.js';
+import { callHook, scheduleAfterRender, scheduleUpdate } from './lifecycle.js';
 import infuseElement from './infuseElement.js';
-import sweep, { addCleanupFunction } from './sweep.js';
+import { flushSync } from './scheduler.js';
+import sweep, { addCleanupFunction, sweepElement } from './sweep.js';
+import { isStore } from './store.js';
 import configs, { contexts, contextFunctions, parsedTemplates } from './configs.js';
 
 // Export the `sweep` function as `clear`.
 export { sweep as clear };
 
+// Export the `flushSync` function, which executes the queued re-infusions right away.
+export { flushSync };
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+/**
+ * Stack of the error boundaries whose blocks are being infused. Each boundary is an object with a
+ * `handle` function, which is called by `reportError` (see the "reportError" module). Elements
+ * (and blocks) keep a reference to the boundary at the top of the stack when they're created, so
+ * that errors thrown when they're re-infused are also handled by the boundary.
+ */
+const boundaries = [];
+
+/**
+ * Returns the error boundary at the top of the `boundaries` stack or `undefined` if the stack is
+ * empty.
+ *
+ * @function currentBoundary
+ * @returns {Object} The error boundary.
+ */
+function currentBoundary() {
+	return boundaries[boundaries.length - 1];
+}
+
+/**
+ * Adds the `context` of an `element` to `contexts`, along with a cleanup function that deletes it
+ * when the `element` is removed from the DOM.
+ *
+ * @function addContext
+ * @param {Element} element The element.
+ * @param {Object} context The context object.
+ */
+function addContext(element, context) {
+	contexts.set(element, context);
+
+	addCleanupFunction(element, () => {
+		contexts.delete(element);
+	});
+}
+
+/**
+ * Completes a context object returned by the context function of an `element` and adds it to
+ * `contexts`.
+ *
+ * @function registerContext
+ * @param {Element} element The element.
+ * @param {Object} context The context object.
+ * @param {Object} details An object with the `id` of the context function, the error `boundary`
+ *     of the element, and the `childNodes` of the element (when the element was infused).
+ * @returns {Object} The context object.
+ */
+function registerContext(element, context, details) {
+	const { id, boundary, childNodes } = details;
+
+	/**
+	 * Keep references to the text child nodes infused by the element's parts, since the indexes
+	 * of the child nodes change when nested templates are infused.
+	 */
+	const textNodes = new Map();
+
+	if (context.parts) {
+		for (const part of context.parts.keys()) {
+			if (typeof part === 'number') {
+				textNodes.set(part, childNodes[part]);
+			}
+		}
+	}
+
+	/**
+	 * Keep the ID of the context function and the error boundary, which are used to report the
+	 * errors thrown by the parts of the element.
+	 */
+	Object.assign(context, { id, boundary, textNodes });
+	addContext(element, context);
+
+	return context;
+}
+
+/**
+ * Executes the context function of an `element` and registers the resulting context object (see
+ * `registerContext`), once the promise is resolved if the context function is async.
+ *
+ * @function callContextFunction
+ * @param {Element} element The element.
+ * @param {Array} args The arguments of the context function: [host, data, iterationData].
+ * @param {Object} details The `details` passed to `registerContext`.
+ * @returns {(Object|Promise)} The context object (or a promise that resolves to it), or
+ *     `undefined` if the context function threw an error (see `reportError`).
+ */
+function callContextFunction(element, args, details) {
+	const { id, boundary } = details;
+	const ctxFn = contextFunctions.get(id);
+	const info = { element, contextId: id, part: null, event: undefined };
+	let context;
+
+	// Execute the context function to create a new context object for the given `element`.
+	try {
+		context = ctxFn.call(element, ...args, configs.get('tags'));
+	} catch (error) {
+		reportError(error, info, boundary);
+		return undefined;
+	}
+
+	if (!isThenable(context)) {
+		return registerContext(element, context, details);
+	}
+
+	let isSweept = false;
+
+	// Keep a copy of the child nodes, since nested templates are infused before the promise resolves.
+	const asyncDetails = { ...details, childNodes: Array.from(details.childNodes) };
+
+	// Ignore the result of the promise if the element is removed from the DOM before it resolves.
+	addCleanupFunction(element, () => {
+		isSweept = true;
+	});
+
+	return context.then(
+		ctx => (isSweept ? undefined : registerContext(element, ctx, asyncDetails)),
+		(error) => {
+			if (!isSweept) {
+				reportAsyncError(error, info, boundary);
+			}
+
+			return undefined;
+		},
+	);
+}
+
 /**
- * Creates a context object for the given `element`.
+ * Creates a context object for the given `element`. If the constants (or watches) of the element
+ * use "await", the context function returns a promise, in which case the context is created once
+ * the promise is resolved (unless the element is sweept before that).
  *
  * @function createContext
  * @param {Element} element The element for which the context will be created.
  * @param {Element} host The host element.
  * @param {Object} data The data object.
  * @param {Object} iterationData The iteration data object.
- * @returns {Object} The created context object or `undefined` if the element doesn't have the
- *     context function id attribute.
+ * @returns {(Object|Promise)} The created context object (or a promise that resolves to it), or
+ *     `undefined` if the element doesn't have the context function id attribute or if the context
+ *     function threw an error (see `reportError`).
+ */
+export function createContext(element, host, data, iterationData) {
+	const contextFnId = configs.get('contextFunctionId');
+
+	// Do not proceed if the element doesn't have the context function id attribute.
+	if (!element.hasAttribute(contextFnId)) {
+		return undefined;
+	}
+
+	/**
+	 * Get the ID of the element's context function and remove the attribute. The attribute is kept
+	 * when rendering on the server so that the generated markup can be hydrated.
+	 */
+	const ctxId = element.getAttribute(contextFnId);
+	if (!configs.get('serverRendering')) {
+		element.removeAttribute(contextFnId);
+	}
+
+	const details = { id: ctxId, boundary: currentBoundary(), childNodes: element.childNodes };
+
+	return callContextFunction(element, [host, data, iterationData], details);
+}
+
+/**
+ * Reports the errors thrown by the callbacks of a promise (for instance, while infusing an element
+ * once its async context is created) using `reportAsyncError`, so that they don't become unhandled
+ * promise rejections.
+ *
+ * @function catchAsync
+ * @param {Promise} promise The promise.
+ * @param {(Element|HTMLTemplateElement)} element The element (or template) being infused.
+ */
+function catchAsync(promise, element) {
+	const info = { element, contextId: null, part: null, event: undefined };
+
+	promise.catch(error => reportAsyncError(error, info));
+}
+
+/**
+ * Adds the given `watcher` to the `Watch` instances defined by the `watches` of a context object.
+ * Every time one of the watched events occurs, the `watcher` will be infused or, if provided, the
+ * `callback` will be executed. The watched variable can be an element or any other source
+ * supported by the adapters of the "Watch" module. If it's a store (see the "store" module), the
+ * event map contains paths of properties in the store instead of event types.
+ *
+ * @function addWatches
+ * @param {(Element|Comment)} watcher The element (or comment node) "watching" for events.
+ * @param {Object} context The context object, which contains the `watches` and `constants`.
+ * @param {Function} [callback] Function to execute, instead of infusing the `watcher`, when one of
+ *     the watched events occurs.
+ */
+function addWatches(watcher, context, callback) {
+	const { constants, watches } = context;
+
+	/**
+	 * Keys in `watches` are names of the constants/elements to "watch" and the values are
+	 * event maps, which can be:
+	 *     * A string: 'eventType1[ selector1][; eventType2[ selector2]]'
+	 *     * An array: [['eventType1[ selector1][; eventType2[ selector2]]', 'parts']]
+	 *     * An object: {'eventType1[ selector1][; eventType2[ selector2]]': 'parts'}
+	 *
+	 * Event types can be followed by modifiers (see `parseEventName` in the "Watch" module). For
+	 * instance: 'input.debounce(300) [name=q]'. Paths of stores can't have modifiers, since their
+	 * properties can have the same names as the modifiers (for instance, "settings.once").
+	 */
+	Array.from(watches.keys()).forEach((name) => {
+		const el = name === 'this' ? watcher : constants[name];
+		let eventMap = watches.get(name);
+
+		if (!(eventMap instanceof Map)) {
+			// Turn `eventMap` (string, array, or object) into a `Map` instance.
+			if (typeof eventMap === 'string') {
+				eventMap = [[eventMap, '*']];
+			} else if (!Array.isArray(eventMap)) {
+				eventMap = Object.keys(eventMap).map(key => ([key, eventMap[key]]));
+			}
+			eventMap = new Map(eventMap);
+		}
+
+		Array.from(eventMap.keys()).forEach((key) => {
+			// These are the parts that will be infused when the event is triggered.
+			const parts = eventMap.get(key);
+
+			key.trim().split(';').forEach((eventAndSelector) => {
+				let selector = null;
+				let eventName = eventAndSelector.trim();
+				const i = eventName.indexOf(' ');
+
+				/**
+				 * If `eventName` contains a space, everything before the space is the
+				 * event name and everything after the space is the selector.
+				 */
+				if (i !== -1) {
+					selector = eventName.substr(i + 1);
+					eventName = eventName.substring(0, i);
+				}
+
+				const { modifiers, eventName: type } = isStore(el)
+					? { modifiers: {}, eventName }
+					: parseEventName(eventName);
+				const { capture, passive } = modifiers;
+
+				/**
+				 * Get a `Watch` for the `type` of event on the `el` element (or any other source, such
+				 * as a store, in which case `type` is the path of a property in the store).
+				 */
+				const watch = Watch.for(el, type, { capture, passive });
+				// Add `watcher` as watcher.
+				watch.addWatcher(watcher, { ...modifiers, selector, parts, callback });
+			});
+		});
+	});
+}
+
+/**
+ * Types of events that don't bubble. Their event handlers are never delegated.
+ */
+const NON_BUBBLING_EVENTS = new Set([
+	'abort', 'blur', 'error', 'focus', 'invalid', 'load', 'loadend', 'loadstart', 'mouseenter',
+	'mouseleave', 'pointerenter', 'pointerleave', 'progress', 'resize', 'scroll', 'toggle', 'unload',
+]);
+
+/**
+ * Stores the types of the events delegated to each root (a host element or its shadow root). Keys
+ * are roots and values are sets of event types.
+ */
+const delegatedEvents = new WeakMap();
+
+/**
+ * Returns the type of event of an event listener key (the event name followed by the modifiers of
+ * the event handler, separated by dots).
+ *
+ * @function getEventType
+ * @param {string} key The key of the event listener in the `eventListeners` of a context.
+ * @returns {string} The type of event.
+ */
+function getEventType(key) {
+	const i = key.indexOf('.');
+
+	return i === -1 ? key : key.substring(0, i);
+}
+
+/**
+ * Indicates whether an event listener can be delegated to the host. Event listeners of events that
+ * don't bubble, or that have listener options (see event handler modifiers), are added to the
+ * element itself.
+ *
+ * @function canDelegate
+ * @param {Object} context The context object of the element.
+ * @param {string} key The key of the event listener in the `eventListeners` of the context.
+ * @returns {boolean}
+ */
+function canDelegate(context, key) {
+	const hasOptions = !!context.eventListenerOptions && context.eventListenerOptions.has(key);
+
+	return !hasOptions && !NON_BUBBLING_EVENTS.has(getEventType(key));
+}
+
+/**
+ * Adds a single event listener for the given type of events to the root of the `host` (the host
+ * itself or its shadow root), unless it was already added. When an event bubbles up to the root,
+ * the listener walks from the target of the event up to the root and executes the event listeners
+ * of the elements (infused by the `host`) that delegated them, until one of them stops the
+ * propagation of the event.
+ *
+ * @function delegateEvent
+ * @param {Element} host The host element.
+ * @param {string} type The type of event.
+ */
+function delegateEvent(host, type) {
+	// eslint-disable-next-line no-use-before-define
+	const root = getRoot(host);
+	let types = delegatedEvents.get(root);
+
+	if (!types) {
+		types = new Set();
+		delegatedEvents.set(root, types);
+	}
+
+	if (types.has(type)) {
+		return;
+	}
+
+	types.add(type);
+
+	root.addEventListener(type, (event) => {
+		for (let node = event.target; node && node !== root; node = node.parentNode) {
+			const context = contexts.get(node);
+			const isDelegated = context && context.isDelegated && context.constants.host === host;
+
+			if (isDelegated) {
+				context.eventListeners.forEach((callback, key) => {
+					if (getEventType(key) === type && canDelegate(context, key)) {
+						callback(event);
+					}
+				});
+			}
+
+			if (event.cancelBubble) {
+				break;
+			}
+		}
+	}, false);
+}
+
+/**
+ * Infuses an element that already has a context and, if needed, adds its event listeners
+ * (including the ones of two-way bindings) and watches.
+ *
+ * @function connectElement
+ * @param {Element} element The element to infuse.
+ * @param {Object} context The context object of the element.
+ */
+function connectElement(element, context) {
+	const { bindings, eventListenerOptions, eventListeners, watches } = context;
+
+	infuseElement(element);
+
+	// Event listeners and watches are not needed when rendering on the server.
+	if (configs.get('serverRendering')) {
+		return;
+	}
+
+	// Add event listeners.
+	if (eventListeners) {
+		const { host } = context.constants || {};
+		// eslint-disable-next-line no-use-before-define
+		const root = configs.get('delegateEvents') && host ? getRoot(host) : null;
+		const isDelegated = !!root && typeof root.addEventListener === 'function';
+
+		/* eslint-disable-next-line no-param-reassign */
+		context.isDelegated = isDelegated;
+
+		eventListeners.forEach((callback, key) => {
+			const name = getEventType(key);
+
+			// Delegate the event listener to the host, which doesn't require a cleanup function.
+			if (isDelegated && canDelegate(context, key)) {
+				delegateEvent(host, name);
+				return;
+			}
+
+			const options = (eventListenerOptions && eventListenerOptions.get(key)) || {};
+			const { capture = false, once = false, passive = false } = options;
+			const listenerOptions = once || passive ? { capture, once, passive } : capture;
+
+			// Add the event listener to the element.
+			element.addEventListener(name, callback, listenerOptions);
+
+			/**
+			 * Add a function to remove the event listener when the `element` is
+			 * removed from the DOM.
+			 */
+			addCleanupFunction(element, () => {
+				element.removeEventListener(name, callback, capture);
+			});
+		});
+	}
+
+	// Add the event listeners that update the expressions of two-way bindings.
+	if (bindings) {
+		const type = getBindingEvent(element);
+
+		bindings.forEach((assign, property) => {
+			const listener = () => {
+				const current = context.parts.get(`=${ property }`)();
+				const value = readControl(element, property, current);
+
+				if (value !== undefined) {
+					assign(value);
+				}
+			};
+
+			element.addEventListener(type, listener, false);
+
+			addCleanupFunction(element, () => {
+				element.removeEventListener(type, listener, false);
+			});
+		});
+	}
+
+	// Add watches.
+	if (watches) {
+		addWatches(element, context);
+	}
+}
+
+/**
+ * Creates a context for the given `element`, infuses it, and if needed, adds event listeners and
+ * watches.
+ *
+ * @function initializeElement
+ * @param {Element} element The element to infuse.
+ * @param {Element} host The host element.
+ * @param {Object} [data] The data object.
+ * @param {Object} [iterationData] Optional iteration data object.
+ */
+export function initializeElement(element, host, data, iterationData) {
+	const context = createContext(element, host, data, iterationData);
+
+	// If the context is async, the element is infused once the context is created.
+	if (isThenable(context)) {
+		catchAsync(context.then(ctx => ctx && connectElement(element, ctx)), element);
+	} else if (context) {
+		connectElement(element, context);
+	}
+}
+
+/**
+ * Creates the context of an element that was already infused again, using new iteration data (for
+ * instance, when the index of a kept item of an iterating template changes), and infuses the
+ * element in place. The event listeners and watches of the previous context are removed and added
+ * again, and the text nodes of the element's parts are kept.
+ *
+ * @function refreshElement
+ * @param {Element} element The element.
+ * @param {Object} iterationData The new iteration data object.
+ */
+function refreshElement(element, iterationData) {
+	const { id, boundary, constants, textNodes } = contexts.get(element);
+	const childNodes = [];
+
+	// `registerContext` looks up the text nodes of the parts by their indexes.
+	textNodes.forEach((node, part) => {
+		childNodes[part] = node;
+	});
+
+	sweepElement(element);
+
+	const args = [constants.host, constants.data, iterationData];
+	const context = callContextFunction(element, args, { id, boundary, childNodes });
+
+	if (isThenable(context)) {
+		catchAsync(context.then(ctx => ctx && connectElement(element, ctx)), element);
+	} else if (context) {
+		connectElement(element, context);
+	}
+}
+
+/**
+ * Clone and infuse the given template.
+ *
+ * @param {Element} host The host element.
+ * @param {HTMLTemplate} template The HTML template element to clone and infuse.
+ * @param {Object} [data={}] Optional data object.
+ * @param {Object} [iterationData={}] Optional iteration data object.
+ * @returns {DocumentFragment} The infused document fragment.
+ */
+export function infuseTemplate(host, template, data = {}, iterationData = {}) {
+	const fragment = template.content.cloneNode(true);
+	const selector = `[${ configs.get('contextFunctionId') }]`;
+
+	// Search for, initialize, and infuse all elements that have a context function ID attribute.
+	for (const element of Array.from(fragment.querySelectorAll(selector))) {
+		initializeElement(element, host, data, iterationData);
+	}
+
+	const placeholderId = configs.get('placeholderId');
+
+	// Search for placeholder templates and iterate over them.
+	for (const placeholder of Array.from(fragment.querySelectorAll(`[${ placeholderId }]`))) {
+		// Get the placeholder ID, which is the ID of the original template.
+		const tid = placeholder.getAttribute(placeholderId);
+		// Use the ID to get the original template.
+		const nestedTemplate = parsedTemplates.get(tid);
+		/**
+		 * Call `infuseBlock` using the original template. The generated nodes are placed between
+		 * two comment nodes so that the block can be re-infused later.
+		 */
+		// eslint-disable-next-line no-use-before-define
+		const nestedFragment = infuseBlock(host, nestedTemplate, data, iterationData);
+
+		// Replace the placeholder with the fragment returned by `infuseBlock`.
+		placeholder.parentNode.replaceChild(nestedFragment, placeholder);
+	}
+
+	return fragment;
+}
+
+/**
+ * Stores the state of the blocks generated by iterating and conditional templates. Keys are the
+ * comment nodes that mark the start of each block and values are objects with the following
+ * attributes:
+ *     * `host`, `template`, `data`, and `iterationData`: The arguments used to infuse the block.
+ *     * `context`: The context object of the template.
+ *     * `start` and `end`: The comment nodes that mark the start and end of the block.
+ *     * `items`: An array of the rendered items (iterating templates only). Each item is an
+ *       object with the `key` and `value` of the iteration, the `iteration` data object, and the
+ *       `nodes` generated for the iteration.
+ *     * `branches`: An array of the branches of a conditional template. Each branch is an object
+ *       with the `template` of the branch, its `condition` function (`null` for "else"), and the
+ *       name of the `part` of the condition ("if" or "else-if").
+ *     * `branch`: Index of the rendered branch (-1 if none of the conditions was met).
+ *     * `nodes`: The nodes generated by the rendered branch.
+ *     * `boundary`: The error boundary of the block (see `boundaries`).
+ *     * `failed`: Indicates that the block must be infused again from scratch the next time it's
+ *       re-infused, since the context function of the template threw an error or the "catch"
+ *       template is being rendered instead of the contents of the block.
+ *     * `pending`: The promise returned by the context function of the template, while it's
+ *       pending (if the constants or watches of the template use "await").
+ */
+const blocks = new WeakMap();
+
+/**
+ * Reports an error thrown by the context function (`part` is `null`) or by a part ("each", "key",
+ * "if", or "else-if") of a nested template (see `reportError`).
+ *
+ * @function reportTemplateError
+ * @param {*} error The error.
+ * @param {HTMLTemplateElement} template The nested template.
+ * @param {string} part The name of the part.
+ */
+function reportTemplateError(error, template, part) {
+	const contextId = template.getAttribute(configs.get('contextFunctionId'));
+
+	reportError(error, { element: template, contextId, part, event: undefined }, currentBoundary());
+}
+
+/**
+ * Creates a context object for a template. Unlike other elements, the context function ID
+ * attribute is not removed from the template since the same template can be infused multiple
+ * times.
+ *
+ * @function createTemplateContext
+ * @param {HTMLTemplateElement} template The template element.
+ * @param {Element} host The host element.
+ * @param {Object} data The data object.
+ * @param {Object} iterationData The iteration data object.
+ * @returns {Object} The created context object, `undefined` if the template doesn't have the
+ *     context function id attribute, or `null` if the context function threw an error (see
+ *     `reportError`).
+ */
+function createTemplateContext(template, host, data, iterationData) {
+	const ctxId = template.getAttribute(configs.get('contextFunctionId'));
+
+	if (ctxId === null) {
+		return undefined;
+	}
+
+	const ctxFn = contextFunctions.get(ctxId);
+
+	try {
+		return ctxFn.call(template, host, data, iterationData, configs.get('tags'));
+	} catch (error) {
+		reportTemplateError(error, template, null);
+		return null;
+	}
+}
+
+/**
+ * Evaluates the "each" expression of an iterating template and returns the resulting collection.
+ *
+ * @function evaluateCollection
+ * @param {Object} context The context object of the iterating template.
+ * @returns {*} A collection (a value that has a `forEach` method).
+ */
+function evaluateCollection(context) {
+	const fn = context.parts && context.parts.get('each');
+
+	if (typeof fn !== 'function') {
+		throw new TypeError('The template attribute "each" is either invalid or missing.');
+	}
+
+	// Evaluate the expression of the "each" attribute.
+	const collection = fn();
+
+	if (!collection || typeof collection.forEach !== 'function') {
+		throw new TypeError('Evaluating the "each" expression resulted in an invalid value. The expression must return a value that has a "forEach" method, for instance: an array, a Map, or a Set.');
+	}
+
+	return collection;
+}
+
+/**
+ * Creates the iteration data object of a single iteration of an iterating block. The object
+ * contains the same attributes as the block's `iterationData` object, plus the values of the
+ * iteration.
+ *
+ * @function createIteration
+ * @param {Object} block The block object.
+ * @param {Array} args The values of the iteration: [value, key, collection].
+ * @returns {Object} The iteration data object.
+ */
+function createIteration(block, args) {
+	const { forVariableNames } = block.context;
+	const iteration = { ...block.iterationData };
+
+	/**
+	 * Add the values of this iteration (`args` contains [value, key, collection]) to the
+	 * `iteration` object using the variable names specified in the `forVariableNames` array.
+	 */
+	for (let i = 0; i < forVariableNames.length; i++) {
+		const name = forVariableNames[i];
+		iteration[name] = args[i];
+	}
+
+	return iteration;
+}
+
+/**
+ * Clones and infuses the template of a `block` for a single iteration.
+ *
+ * @function infuseItem
+ * @param {Object} block The block object.
+ * @param {Array} args The values of the iteration: [value, key, collection].
+ * @param {*} key The key of the iteration.
+ * @returns {Object} An item object with the `key`, the `value`, the `iteration` data object, the
+ *     generated `nodes`, and the `fragment` that contains the nodes.
+ */
+function infuseItem(block, args, key) {
+	const { host, template, data } = block;
+	const iteration = createIteration(block, args);
+
+	// Call `infuseTemplate` using the data object of this iteration.
+	const fragment = infuseTemplate(host, template, data, iteration);
+
+	return {
+		key,
+		value: args[0],
+		iteration,
+		nodes: Array.from(fragment.childNodes),
+		fragment,
+	};
+}
+
+/**
+ * Indicates whether two iteration data objects of the same iterating block have the same values.
+ *
+ * @function isSameIteration
+ * @param {Object} previous The iteration data object used to infuse an item.
+ * @param {Object} iteration The new iteration data object of the item.
+ * @returns {boolean}
+ */
+function isSameIteration(previous, iteration) {
+	return Object.keys(iteration).every(name => previous[name] === iteration[name]);
+}
+
+/**
+ * Evaluates the "each" expression of a block's template and returns an array with the values and
+ * key of each iteration. If the template doesn't have a "key" attribute, the value of each
+ * iteration is used as its key.
+ *
+ * @function iterate
+ * @param {Object} block The block object.
+ * @returns {Array} An array of objects, each one with the `args` ([value, key, collection]) and
+ *     the `key` of an iteration. The array is empty if evaluating the "each" expression or any of
+ *     the keys throws an error (see `reportError`).
+ */
+function iterate(block) {
+	const { context } = block;
+	const iterations = [];
+	let part = 'each';
+
+	try {
+		const collection = evaluateCollection(context);
+
+		part = 'key';
+		collection.forEach((...args) => {
+			const key = typeof context.key === 'function' ? context.key(...args) : args[0];
+			iterations.push({ args, key });
+		});
+	} catch (error) {
+		reportTemplateError(error, block.template, part);
+		return [];
+	}
+
+	return iterations;
+}
+
+/**
+ * Removes the given nodes from the DOM and "sweeps" them.
+ *
+ * @function removeNodes
+ * @param {Node[]} nodes The nodes to remove.
+ */
+function removeNodes(nodes) {
+	for (const node of nodes) {
+		if (node.parentNode) {
+			node.parentNode.removeChild(node);
+		}
+
+		sweep(node, node);
+	}
+}
+
+/**
+ * Re-evaluates the "each" expression of an iterating template and updates the block of nodes
+ * that the template generated. The new collection is compared against the previous one, using
+ * the keys of the iterations, to insert, move, and remove only the affected items. The nodes of
+ * items whose key is kept are moved (if needed) and, if any of their iteration variables changed
+ * (for instance, the value or the index), refreshed in place (see `refreshNodes`).
+ *
+ * @function updateIteration
+ * @param {Object} block The block object of an iterating template.
+ */
+function updateIteration(block) {
+	const { start, end } = block;
+	const parent = end.parentNode;
+	const previous = new Map();
+	const items = [];
+
+	// Index the previously rendered items by their keys.
+	for (const item of block.items) {
+		if (previous.has(item.key)) {
+			removeNodes(item.nodes);
+		} else {
+			previous.set(item.key, item);
+		}
+	}
+
+	for (const { args, key } of iterate(block)) {
+		let item = previous.get(key);
+
+		if (item === undefined) {
+			item = infuseItem(block, args, key);
+		} else {
+			const iteration = createIteration(block, args);
+
+			previous.delete(key);
+
+			// Infuse the nodes of the kept item again if its iteration variables changed.
+			if (!isSameIteration(item.iteration, iteration)) {
+				Object.assign(item, { value: args[0], iteration });
+				// eslint-disable-next-line no-use-before-define
+				refreshNodes(item.nodes, block.host, iteration);
+			}
+		}
+
+		items.push(item);
+	}
+
+	// Remove and sweep the items that were not reused.
+	for (const item of previous.values()) {
+		removeNodes(item.nodes);
+	}
+
+	/**
+	 * Insert new items and move reused items, in order, after the `cursor` (the last node of the
+	 * previous item or the `start` of the block).
+	 */
+	let cursor = start;
+	for (const item of items) {
+		const { nodes } = item;
+
+		if (item.fragment) {
+			parent.insertBefore(item.fragment, cursor.nextSibling);
+			delete item.fragment;
+		} else if (nodes.length > 0 && nodes[0] !== cursor.nextSibling) {
+			for (const node of nodes) {
+				parent.insertBefore(node, cursor.nextSibling);
+				cursor = node;
+			}
+		}
+
+		if (nodes.length > 0) {
+			cursor = nodes[nodes.length - 1];
+		}
+	}
+
+	/* eslint-disable-next-line no-param-reassign */
+	block.items = items;
+}
+
+/**
+ * Returns the index of the first branch, of a conditional block, whose condition is met. Returns
+ * -1 if none of the conditions are met. Conditions that throw an error (see `reportError`) are
+ * considered not met.
+ *
+ * @function selectBranch
+ * @param {Object} block The block object of a conditional template.
+ * @returns {number} The index of the selected branch.
+ */
+function selectBranch(block) {
+	return block.branches.findIndex(({ template, condition, part }) => {
+		if (condition === null) {
+			return true;
+		}
+
+		try {
+			return !!condition();
+		} catch (error) {
+			reportTemplateError(error, template, part);
+			return false;
+		}
+	});
+}
+
+/**
+ * Clones and infuses the template of a branch of a conditional block.
+ *
+ * @function infuseBranch
+ * @param {Object} block The block object of a conditional template.
+ * @param {number} branch Index of the branch to infuse.
+ * @returns {DocumentFragment} The infused document fragment (empty if `branch` is -1).
+ */
+function infuseBranch(block, branch) {
+	const { host, data, iterationData } = block;
+
+	if (branch === -1) {
+		return block.template.ownerDocument.createDocumentFragment();
+	}
+
+	return infuseTemplate(host, block.branches[branch].template, data, iterationData);
+}
+
+/**
+ * Re-evaluates the conditions of a conditional block and, if a different branch must be rendered,
+ * removes (and sweeps) the nodes of the previous branch and replaces them with a newly infused
+ * fragment of the selected branch.
+ *
+ * @function updateCondition
+ * @param {Object} block The block object of a conditional template.
+ */
+function updateCondition(block) {
+	const branch = selectBranch(block);
+
+	// Do nothing if the same branch is still selected.
+	if (branch === block.branch) {
+		return;
+	}
+
+	removeNodes(block.nodes);
+
+	const fragment = infuseBranch(block, branch);
+
+	Object.assign(block, { branch, nodes: Array.from(fragment.childNodes) });
+	block.end.parentNode.insertBefore(fragment, block.end);
+}
+
+/**
+ * Removes (and sweeps) the nodes of a block generated by a template that is neither an iterating
+ * nor a conditional template, and replaces them with a newly infused fragment of the template.
+ *
+ * @function updateTemplate
+ * @param {Object} block The block object.
+ */
+function updateTemplate(block) {
+	const { host, template, data, iterationData } = block;
+
+	removeNodes(block.nodes);
+
+	const fragment = infuseTemplate(host, template, data, iterationData);
+
+	// eslint-disable-next-line no-param-reassign
+	block.nodes = Array.from(fragment.childNodes);
+	block.end.parentNode.insertBefore(fragment, block.end);
+}
+
+/**
+ * Returns the state of a block that depends on the context of its template: the `branches` of
+ * conditional templates and an empty array of `items` for iterating templates. If the context
+ * function of the template threw an error, the block is marked as `failed`.
+ *
+ * @function initializeBlock
+ * @param {Object} block The block object, which includes the `context` of the template.
+ * @returns {Object} The state to assign to the block.
+ */
+function initializeBlock(block) {
+	const { host, template, data, iterationData, context } = block;
+	const elseId = configs.get('elseId');
+	const parts = context && context.parts ? context.parts : new Map();
+
+	if (context === null) {
+		return { failed: true };
+	}
+
+	if (template.hasAttribute(elseId)) {
+		const branches = [];
+
+		// Follow the chain of branches ("if", "else-if", and "else" templates).
+		for (let branch = template; branch;) {
+			const ctx = branch === template
+				? context
+				: createTemplateContext(branch, host, data, iterationData);
+			const branchParts = ctx && ctx.parts ? ctx.parts : new Map();
+			const part = branchParts.has('if') ? 'if' : 'else-if';
+			const next = branch.getAttribute(elseId);
+			let condition = branchParts.get(part) || null;
+
+			// The condition of a branch whose context function threw an error is never met.
+			if (ctx === null) {
+				condition = () => false;
+			}
+
+			branches.push({ template: branch, condition, part });
+			branch = next ? parsedTemplates.get(next) : null;
+		}
+
+		return { branches };
+	}
+
+	if (parts.has('each') || (context && context.forVariableNames)) {
+		return { items: [] };
+	}
+
+	return {};
+}
+
+/**
+ * Creates the block object of a nested template (see `blocks`). For conditional templates, the
+ * block includes the `branches` of the template, and for iterating templates, an empty array of
+ * `items`. If the context function of the template returns a promise, the block is `pending`
+ * until the promise is settled (see `awaitContext`).
+ *
+ * @function createBlock
+ * @param {Element} host The host element.
+ * @param {HTMLTemplate} template The HTML template.
+ * @param {Object} data The data object.
+ * @param {Object} iterationData The iteration data object.
+ * @param {Comment} start The comment node that marks the start of the block.
+ * @param {Comment} end The comment node that marks the end of the block.
+ * @returns {Object} The block object. If the context function of the template throws an error, the
+ *     block is marked as `failed`.
+ */
+function createBlock(host, template, data, iterationData, start, end) {
+	const context = createTemplateContext(template, host, data, iterationData);
+	const block = { host, template, data, iterationData, context, start, end };
+
+	if (isThenable(context)) {
+		block.context = undefined;
+		block.pending = context;
+	} else {
+		Object.assign(block, initializeBlock(block));
+	}
+
+	return block;
+}
+
+/**
+ * Markers added to the data of comment nodes when rendering on the server, so that the blocks
+ * can be found by the `hydrate` function. The start of each block is marked with
+ * `BLOCK_MARKER`, followed by the template ID and, for conditional templates, an "at" sign and the
+ * index of the rendered branch. The start of each item of an iterating block is marked with a
+ * comment node that contains `ITEM_MARKER` and the end of each block with `END_MARKER`.
+ */
+const BLOCK_MARKER = '{';
+const ITEM_MARKER = '[';
+const END_MARKER = '}';
+
+/**
+ * Removes (and sweeps) all the nodes between the start and the end of a block.
+ *
+ * @function clearBlock
+ * @param {Object} block The block object.
+ */
+function clearBlock(block) {
+	const nodes = [];
+
+	for (let node = block.start.nextSibling; node && node !== block.end; node = node.nextSibling) {
+		nodes.push(node);
+	}
+
+	removeNodes(nodes);
+}
+
+/**
+ * Executes `fn` within the given error boundary. The `boundary` is added to the top of the
+ * `boundaries` stack while `fn` is executed, so that the elements and blocks created by `fn` use
+ * it. Errors reported to the boundary while `fn` is executed are thrown (to stop infusing the
+ * contents of the boundary) and caught here, where they are handled by calling `handle`. By
+ * default, `handle` replaces the contents of the boundary's block with its "catch" template.
+ *
+ * @function withinBoundary
+ * @param {Object} boundary The error boundary (`fn` is simply executed if it's `undefined`).
+ * @param {Function} fn The function to execute.
+ * @param {Function} [handle] The function that handles the errors reported to the boundary.
+ * @returns {*} The value returned by `fn` or, if an error was reported, by `handle`.
+ */
+function withinBoundary(boundary, fn, handle) {
+	if (!boundary) {
+		return fn();
+	}
+
+	// Whether this is a nested call for the same boundary.
+	const rendering = boundaries.includes(boundary);
+	let reported;
+
+	boundaries.push(boundary);
+
+	try {
+		return fn();
+	} catch (error) {
+		/**
+		 * Errors that were not reported to this boundary are thrown again, as well as reported
+		 * errors when this is a nested call for the same boundary (the outer call handles them).
+		 */
+		if (rendering || error !== boundary.error) {
+			throw error;
+		}
+
+		reported = error;
+	} finally {
+		boundaries.pop();
+	}
+
+	// eslint-disable-next-line no-param-reassign
+	boundary.error = undefined;
+
+	// eslint-disable-next-line no-use-before-define
+	return handle ? handle(reported) : showFallback(boundary.block, reported);
+}
+
+/**
+ * Creates an error boundary for the block of a nested template that has a "catch" template. When
+ * an error is reported to the boundary (see `reportError`) while the block is being infused, the
+ * error is thrown to stop infusing the block. Otherwise (for instance, when an element of the
+ * block is re-infused by a watch), the contents of the block are immediately replaced with the
+ * "catch" template.
+ *
+ * @function createBoundary
+ * @returns {Object} The error boundary, whose `block` must be set once the block is created.
+ */
+function createBoundary() {
+	const boundary = {
+		parent: currentBoundary(),
+		block: null,
+		error: undefined,
+		handle(error) {
+			if (boundaries.includes(boundary)) {
+				boundary.error = error;
+				throw error;
+			}
+
+			// eslint-disable-next-line no-use-before-define
+			showFallback(boundary.block, error);
+		},
+	};
+
+	return boundary;
+}
+
+/**
+ * Clones and infuses the "catch" template of a block (see `createBoundary`), which is rendered
+ * instead of the contents of the block. The `error` is available in the expressions of the
+ * "catch" template as a constant, whose name is the value of the "catch" attribute ("error" by
+ * default). Errors thrown while infusing the "catch" template are handled by the parent boundary.
+ *
+ * @function renderFallback
+ * @param {Object} block The block object.
+ * @param {*} error The error that was reported to the block's boundary.
+ * @returns {DocumentFragment} The infused "catch" template (or `undefined` if the parent boundary
+ *     handled an error).
+ */
+function renderFallback(block, error) {
+	const { host, template, data, iterationData, boundary } = block;
+	const fallback = parsedTemplates.get(template.getAttribute(configs.get('catchId')));
+	const name = fallback.getAttribute('catch').trim() || 'error';
+
+	return withinBoundary(boundary.parent, () => {
+		const fragment = infuseTemplate(host, fallback, data, { ...iterationData, [name]: error });
+
+		const state = { failed: true, nodes: Array.from(fragment.childNodes) };
+
+		if (block.items) {
+			state.items = [];
+		} else if (block.branches) {
+			state.branch = -1;
+		}
+
+		Object.assign(block, state);
+
+		return fragment;
+	});
+}
+
+/**
+ * Replaces the contents of a block, which is already in the DOM, with its "catch" template.
+ *
+ * @function showFallback
+ * @param {Object} block The block object.
+ * @param {*} error The error that was reported to the block's boundary.
+ */
+function showFallback(block, error) {
+	// Do nothing if the block has been sweept.
+	if (blocks.get(block.start) !== block) {
+		return;
+	}
+
+	clearBlock(block);
+
+	const fragment = renderFallback(block, error);
+
+	if (fragment) {
+		block.end.parentNode.insertBefore(fragment, block.end);
+	}
+}
+
+/**
+ * Clones and infuses the "loading" or "error" template linked with the template of a block (see
+ * the "parseTemplate" module) and updates the `nodes` of the block. The `error` is available in
+ * the expressions of the "error" template as a constant, whose name is the value of the "error"
+ * attribute ("error" by default).
+ *
+ * @function renderLinked
+ * @param {Object} block The block object.
+ * @param {string} type The type of the linked template ("loading" or "error").
+ * @param {*} [error] The reason why the context function of the template was rejected.
+ * @returns {DocumentFragment} The infused template (empty if there's no linked template).
+ */
+function renderLinked(block, type, error) {
+	const { host, template, data, iterationData } = block;
+	const tid = template.getAttribute(configs.get(`${ type }Id`));
+	let fragment;
+
+	if (tid) {
+		const linked = parsedTemplates.get(tid);
+		const constants = type === 'error' ? { [linked.getAttribute('error').trim() || 'error']: error } : {};
+
+		fragment = infuseTemplate(host, linked, data, { ...iterationData, ...constants });
+	} else {
+		fragment = template.ownerDocument.createDocumentFragment();
+	}
+
+	// eslint-disable-next-line no-param-reassign
+	block.nodes = Array.from(fragment.childNodes);
+
+	return fragment;
+}
+
+/**
+ * Waits for the promise returned by the context function of a `pending` block (when the constants
+ * or watches of the template use "await"). Once it's resolved, the contents of the block (usually
+ * the "loading" template) are replaced with the infused template. If it's rejected, the "error"
+ * template is rendered instead or, if there's no "error" template, the error is reported (see
+ * `reportError`). Results are ignored if the block is sweept before the promise is settled.
+ *
+ * @function awaitContext
+ * @param {Object} block The pending block object.
+ */
+function awaitContext(block) {
+	const { pending, template, start, end } = block;
+	const isCurrent = () => blocks.get(start) === block && block.pending === pending;
+	const render = fn => withinBoundary(block.boundary, () => {
+		clearBlock(block);
+		end.parentNode.insertBefore(fn(), end);
+	});
+
+	catchAsync(pending.then((context) => {
+		if (!isCurrent()) {
+			return;
+		}
+
+		Object.assign(block, { pending: undefined, context });
+		Object.assign(block, initializeBlock(block));
+		// eslint-disable-next-line no-use-before-define
+		render(() => renderBlock(block));
+
+		// If the template has watches, re-infuse the block when the watched events occur.
+		if (context.watches && !configs.get('serverRendering')) {
+			// eslint-disable-next-line no-use-before-define
+			addWatches(start, context, () => reinfuseBlock(start));
+		}
+	}, (error) => {
+		if (!isCurrent()) {
+			return;
+		}
+
+		Object.assign(block, { pending: undefined, context: null, failed: true });
+
+		if (template.hasAttribute(configs.get('errorId'))) {
+			render(() => renderLinked(block, 'error', error));
+		} else {
+			render(() => {
+				reportTemplateError(error, template, null);
+				// eslint-disable-next-line no-use-before-define
+				return renderBlock(block);
+			});
+		}
+	}), template);
+}
+
+/**
+ * Clones and infuses the template (or the selected branch) of a block and returns the generated
+ * nodes. The state of the block (`items`, `branch`, and `nodes`) is updated accordingly. While the
+ * block is `pending`, the "loading" template is rendered instead (see `awaitContext`).
+ *
+ * @function renderBlock
+ * @param {Object} block The block object.
+ * @returns {DocumentFragment} The infused document fragment (empty if the block `failed`).
+ */
+function renderBlock(block) {
+	const { host, template, data, iterationData } = block;
+	const doc = template.ownerDocument;
+	const state = {};
+	let fragment;
+
+	if (block.failed) {
+		fragment = doc.createDocumentFragment();
+		state.nodes = [];
+	} else if (block.pending) {
+		fragment = renderLinked(block, 'loading');
+		awaitContext(block);
+	} else if (block.branches) {
+		state.branch = selectBranch(block);
+		fragment = infuseBranch(block, state.branch);
+		state.nodes = Array.from(fragment.childNodes);
+	} else if (block.items) {
+		const isServer = configs.get('serverRendering');
+
+		fragment = doc.createDocumentFragment();
+
+		/**
+		 * Iterate over the result of the "each" expression, calling `infuseTemplate` for each
+		 * iteration, and adding the generated fragments to `fragment`.
+		 */
+		state.items = iterate(block).map(({ args, key }) => {
+			const item = infuseItem(block, args, key);
+
+			// When rendering on the server, mark the start of each item.
+			if (isServer) {
+				fragment.appendChild(doc.createComment(ITEM_MARKER));
+			}
+
+			fragment.appendChild(item.fragment);
+			delete item.fragment;
+
+			return item;
+		});
+	} else {
+		fragment = infuseTemplate(host, template, data, iterationData);
+		state.nodes = Array.from(fragment.childNodes);
+	}
+
+	Object.assign(block, state);
+
+	return fragment;
+}
+
+/**
+ * Infuses a block that `failed` from scratch: the context of the template is created again (if
+ * its context function threw an error) and the contents of the block (for instance, its "catch"
+ * template) are replaced with the newly infused template.
+ *
+ * @function recoverBlock
+ * @param {Object} block The block object.
+ */
+function recoverBlock(block) {
+	const { host, template, data, iterationData, start, end } = block;
+
+	Object.assign(block, { failed: false }, block.context === null
+		? createBlock(host, template, data, iterationData, start, end)
+		: {});
+
+	clearBlock(block);
+	end.parentNode.insertBefore(renderBlock(block), end);
+}
+
+/**
+ * Updates a block, nested in the nodes of a refreshed item, using new iteration data (see
+ * `refreshNodes`). The context of the template is created again. The nodes of a rendered block
+ * are kept: iterating blocks are updated (see `updateIteration`), conditional blocks swap the
+ * branch if the selected branch changed, and the nodes of the rendered branch (or template) are
+ * refreshed. Blocks that `failed` or are `pending` are infused again from scratch.
+ *
+ * @function refreshBlock
+ * @param {Object} block The block object.
+ * @param {Object} iterationData The new iteration data object.
+ */
+function refreshBlock(block, iterationData) {
+	const { host, template, data, start, end } = block;
+	const isRendered = !block.failed && !block.pending;
+
+	Object.assign(block, { iterationData });
+
+	withinBoundary(block.boundary, () => {
+		const context = createTemplateContext(template, host, data, iterationData);
+
+		if (isThenable(context)) {
+			Object.assign(block, { context: undefined, pending: context, failed: false });
+		} else {
+			const state = initializeBlock({ ...block, context });
+
+			if (isRendered && !state.failed) {
+				const { branch } = block;
+
+				Object.assign(block, { context }, block.branches ? { branches: state.branches } : {});
+
+				if (block.items) {
+					updateIteration(block);
+				} else if (block.branches) {
+					updateCondition(block);
+				}
+
+				// The nodes of the block were kept if the same branch is still rendered.
+				if (!block.items && block.branch === branch) {
+					// eslint-disable-next-line no-use-before-define
+					refreshNodes(block.nodes, host, iterationData);
+				}
+
+				return;
+			}
+
+			Object.assign(block, { context, pending: undefined, failed: false }, state);
+		}
+
+		clearBlock(block);
+		end.parentNode.insertBefore(renderBlock(block), end);
+	});
+
+	// Replace the watches of the block, which use the previous context of the template.
+	sweepElement(start);
+	// eslint-disable-next-line no-use-before-define
+	registerBlock(block);
+}
+
+/**
+ * Refreshes the elements (see `refreshElement`) and nested blocks (see `refreshBlock`) infused by
+ * the `host` in the given nodes, and their descendants, using new iteration data. Elements and
+ * blocks infused by other hosts (for instance, in the contents of a nested custom element) are
+ * skipped.
+ *
+ * @function refreshNodes
+ * @param {Node[]} nodes The nodes (for instance, the nodes of a kept item of an iterating block).
+ * @param {Element} host The host element.
+ * @param {Object} iterationData The new iteration data object.
+ */
+function refreshNodes(nodes, host, iterationData) {
+	for (let i = 0; i < nodes.length; i++) {
+		const node = nodes[i];
+		const block = blocks.get(node);
+
+		if (block) {
+			if (block.host === host) {
+				refreshBlock(block, iterationData);
+			}
+
+			// Skip the nodes of the block, which are refreshed (or replaced) by `refreshBlock`.
+			i = Math.max(i, nodes.indexOf(block.end));
+		} else if (node.nodeType === ELEMENT_NODE) {
+			const context = contexts.get(node);
+
+			if (context && context.constants.host === host) {
+				refreshElement(node, iterationData);
+			}
+
+			refreshNodes(Array.from(node.childNodes), host, iterationData);
+		}
+	}
+}
+
+/**
+ * Updates the block of nodes generated by a nested template. Iterating templates are updated using
+ * the keys of the new collection, conditional templates are updated by swapping the rendered
+ * branch (if the selected branch changed), and any other template is cloned and infused again.
+ * Errors are handled by the error boundary of the block, if it has one.
+ *
+ * @function reinfuseBlock
+ * @param {Comment} start The comment node that marks the start of the block.
+ */
+export function reinfuseBlock(start) {
+	const block = blocks.get(start);
+
+	/**
+	 * Do nothing if `start` is not the start of a block (it might have been sweept) or if the
+	 * block is waiting for the context of its template.
+	 */
+	if (!block || block.pending) {
+		return;
+	}
+
+	withinBoundary(block.boundary, () => {
+		if (block.failed) {
+			recoverBlock(block);
+		} else if (block.items) {
+			updateIteration(block);
+		} else if (block.branches) {
+			updateCondition(block);
+		} else {
+			updateTemplate(block);
+		}
+	});
+
+	scheduleUpdate(block.host);
+}
+
+/**
+ * Stores the given `block` in `blocks` and, if the template has watches, adds them so that the
+ * block is re-infused when the watched events occur.
+ *
+ * @function registerBlock
+ * @param {Object} block The block object.
+ */
+function registerBlock(block) {
+	const { context, start } = block;
+
+	blocks.set(start, block);
+
+	// Add a function to delete the `block` when it's removed from the DOM.
+	addCleanupFunction(start, () => {
+		blocks.delete(start);
+	});
+
+	// If the template has watches, re-infuse the block when the watched events occur.
+	if (context && context.watches && !configs.get('serverRendering')) {
+		addWatches(start, context, () => reinfuseBlock(start));
+	}
+}
+
+/**
+ * Clones and infuses the given template and places the generated nodes between two comment
+ * nodes, which mark the start and end of the block, so that the block can be updated using
+ * `reinfuseBlock` (or a watch on the template). If the template has an "each" attribute, it will
+ * evaluate the expression, iterate over the result, and clone and infuse the template once for
+ * each iteration. If the template has an "if" attribute, the first branch ("if", "else-if", or
+ * "else" templates) whose condition is met will be cloned and infused. If the template is followed
+ * by a "catch" template, the block is an error boundary (see `createBoundary`).
+ *
+ * @function infuseBlock
+ * @param {Element} host The host element.
+ * @param {HTMLTemplate} template The HTML template.
+ * @param {Object} data The data object.
+ * @param {Object} iterationData The iteration data object.
+ * @returns {DocumentFragment} The infused document fragment, including the comment nodes.
+ */
+function infuseBlock(host, template, data, iterationData) {
+	const doc = template.ownerDocument;
+	const start = doc.createComment('');
+	const end = doc.createComment('');
+	const isBoundary = template.hasAttribute(configs.get('catchId'));
+	const boundary = isBoundary ? createBoundary() : currentBoundary();
+	// Used if the context function of the template reports an error to the boundary.
+	let block = {
+		host, template, data, iterationData, context: null, start, end, boundary,
+	};
+	let fragment;
+
+	if (isBoundary) {
+		boundary.block = block;
+		fragment = withinBoundary(boundary, () => {
+			block = createBlock(host, template, data, iterationData, start, end);
+			block.boundary = boundary;
+			boundary.block = block;
+
+			return renderBlock(block);
+		}, error => renderFallback(block, error));
+	} else {
+		block = createBlock(host, template, data, iterationData, start, end);
+		block.boundary = boundary;
+		fragment = renderBlock(block);
+	}
+
+	// When rendering on the server, mark the start and end of the block.
+	if (configs.get('serverRendering')) {
+		const tid = template.getAttribute(configs.get('templateId'));
+
+		start.data = `${ BLOCK_MARKER }${ tid }${ block.branches ? `@${ block.branch }` : '' }`;
+		end.data = END_MARKER;
+	}
+
+	fragment.insertBefore(start, fragment.firstChild);
+	fragment.appendChild(end);
+	registerBlock(block);
+
+	return fragment;
+}
+
+/**
+ * Clone and infuse the given template. If the template has a context function (for instance, if
+ * it's an iterating or a conditional template, or if it has watches), the generated nodes are
+ * placed between two comment nodes that mark the start and end of the block (see
+ * `infuseBlock`). Nested templates are always infused as blocks.
+ *
+ * @function infuse
+ * @param {Element} host The host element.
+ * @param {HTMLTemplate} template The HTML template.
+ * @param {Object} [data={}] Optional data object.
+ * @param {Object} [iterationData={}] Optional iteration data object.
+ * @returns {DocumentFragment} The infused document fragment.
+ */
+export default function infuse(host, template, data = {}, iterationData = {}) {
+	// If the template doesn't have a context function, call infuseTemplate.
+	if (!template.hasAttribute(configs.get('contextFunctionId'))) {
+		return infuseTemplate(host, template, data, iterationData);
+	}
+
+	return infuseBlock(host, template, data, iterationData);
+}
+
+/**
+ * Reports a difference between server-rendered markup and the markup expected by the `hydrate`
+ * function, if the `devMode` configuration option is enabled.
+ *
+ * @function reportMismatch
+ * @param {string} message Description of the difference.
+ * @param {...*} details Nodes or values related to the difference.
+ */
+function reportMismatch(message, ...details) {
+	if (configs.get('devMode')) {
+		// eslint-disable-next-line no-console
+		console.warn(`Hydration mismatch: ${ message }`, ...details);
+	}
+}
+
+/**
+ * Returns the template ID and the index of the rendered branch (conditional templates only)
+ * stored in a comment node that marks the start of a server-rendered block. Returns `null` if the
+ * given `node` doesn't mark the start of a block.
+ *
+ * @function parseBlockMarker
+ * @param {Node} node The node to check.
+ * @returns {Object} An object with the `tid` and `branch` (`undefined` for non-conditional
+ *     templates) or `null`.
+ */
+function parseBlockMarker(node) {
+	if (node.nodeType !== COMMENT_NODE || !node.data.startsWith(BLOCK_MARKER)) {
+		return null;
+	}
+
+	const [tid, branch] = node.data.substr(BLOCK_MARKER.length).split('@');
+
+	return { tid, branch: branch === undefined ? undefined : Number(branch) };
+}
+
+/**
+ * Returns the nodes of a server-rendered block (the siblings between `start` and the comment node
+ * that marks the end of the block), skipping the nodes of nested blocks.
+ *
+ * @function getBlockNodes
+ * @param {Comment} start The comment node that marks the start of the block.
+ * @returns {Object} An object with the `nodes` of the block and its `end` (`null` if the end of
+ *     the block wasn't found).
+ */
+function getBlockNodes(start) {
+	const nodes = [];
+	let depth = 0;
+
+	for (let node = start.nextSibling; node; node = node.nextSibling) {
+		if (node.nodeType === COMMENT_NODE && node.data === END_MARKER && depth === 0) {
+			return { nodes, end: node };
+		}
+
+		if (parseBlockMarker(node)) {
+			depth++;
+		} else if (node.nodeType === COMMENT_NODE && node.data === END_MARKER) {
+			depth--;
+		}
+
+		nodes.push(node);
+	}
+
+	return { nodes, end: null };
+}
+
+/**
+ * Splits the nodes of a server-rendered iterating block into the nodes of each item (using the
+ * comment nodes that mark the start of each item) and removes the item markers.
+ *
+ * @function splitItems
+ * @param {Node[]} nodes The nodes of the block.
+ * @returns {Array} An array with the nodes of each item.
  */
-export function createContext(element, host, data, iterationData) {
-	const tags = configs.get('tags');
-	const contextFnId = configs.get('contextFunctionId');
+function splitItems(nodes) {
+	const groups = [];
+	let depth = 0;
 
-	// Do not proceed if the element doesn't have the context function id attribute.
-	if (!element.hasAttribute(contextFnId)) {
-		return undefined;
+	for (const node of nodes) {
+		const isComment = node.nodeType === COMMENT_NODE;
+
+		if (isComment && node.data === ITEM_MARKER && depth === 0) {
+			groups.push([]);
+			node.parentNode.removeChild(node);
+		} else {
+			if (parseBlockMarker(node)) {
+				depth++;
+			} else if (isComment && node.data === END_MARKER) {
+				depth--;
+			}
+
+			if (groups.length > 0) {
+				groups[groups.length - 1].push(node);
+			}
+		}
 	}
 
-	// Get the ID of the element's context function and remove the attribute.
-	const ctxId = element.getAttribute(contextFnId);
-	element.removeAttribute(contextFnId);
+	return groups;
+}
 
-	// Get the element's context function.
-	const ctxFn = contextFunctions.get(ctxId);
+/**
+ * Finds the text child nodes of a server-rendered `element` that correspond to the text parts of
+ * the element. The child nodes of the `original` element (the element in the template) are
+ * matched with the child nodes of the server-rendered element, taking into account that nested
+ * templates are rendered as blocks and that empty text nodes are lost when the markup is
+ * serialized (missing text nodes are added).
+ *
+ * @function findTextNodes
+ * @param {Element} element The server-rendered element.
+ * @param {Element} original The element in the template.
+ * @param {Object} context The context object of the element.
+ * @returns {Map} A map in which keys are text parts and values are text nodes.
+ */
+function findTextNodes(element, original, context) {
+	const placeholderId = configs.get('placeholderId');
+	const textNodes = new Map();
+	const matches = [];
+	let node = element.firstChild;
+	let previous = null;
 
-	// Execute the context function to create a new context object for the given `element`.
-	const context = ctxFn.call(element, host, data, iterationData, tags);
+	for (const child of Array.from(original.childNodes)) {
+		if (child.nodeType === TEXT_NODE) {
+			if (previous !== null && previous.nodeType === TEXT_NODE) {
+				// Adjacent text nodes are merged when the markup is serialized.
+				matches.push(matches[matches.length - 1]);
+			} else {
+				if (node === null || node.nodeType !== TEXT_NODE) {
+					const text = element.ownerDocument.createTextNode('');
+					element.insertBefore(text, node);
+					node = text;
+				}
 
-	// Add it to `contexts` and infuse the element.
-	contexts.set(element, context);
+				matches.push(node);
+				node = node.nextSibling;
+			}
+		} else if (child.nodeType === ELEMENT_NODE && child.hasAttribute(placeholderId)) {
+			// Nested templates are rendered as blocks.
+			const end = node && parseBlockMarker(node) ? getBlockNodes(node).end : null;
 
-	// Add a function to delete the element's `context` when the `element` is removed from the DOM.
-	addCleanupFunction(element, () => {
-		contexts.delete(element);
-	});
+			matches.push(node);
+			node = end ? end.nextSibling : null;
+		} else {
+			matches.push(node);
+			node = node && node.nextSibling;
+		}
 
-	return context;
+		previous = child;
+	}
+
+	if (context.parts) {
+		for (const part of context.parts.keys()) {
+			if (typeof part === 'number') {
+				textNodes.set(part, matches[part]);
+			}
+		}
+	}
+
+	return textNodes;
 }
 
 /**
- * Creates a context for the given `element`, infuses it, and if needed, adds event listeners and
- * watches.
+ * Returns a string with the attributes and the text parts of an element, which is used to detect
+ * if hydrating the element changed it.
  *
- * @function initializeElement
- * @param {Element} element The element to infuse.
- * @param {Element} host The host element.
- * @param {Object} [data] The data object.
- * @param {Object} [iterationData] Optional iteration data object.
+ * @function describeElement
+ * @param {Element} element The element.
+ * @param {Object} context The context object of the element.
+ * @returns {string} The attributes and text parts of the element.
  */
-export function initializeElement(element, host, data, iterationData) {
-	const context = createContext(element, host, data, iterationData);
-	const { constants, eventListeners, watches } = context;
+function describeElement(element, context) {
+	const sweepFlag = configs.get('sweepFlag');
+	const attributes = Array.from(element.attributes)
+		.filter(({ name }) => name !== sweepFlag)
+		.map(({ name, value }) => `${ name }="${ value }"`);
+	const texts = Array.from(context.textNodes.values(), node => (node ? node.data : null));
 
-	infuseElement(element);
+	return JSON.stringify([attributes, texts]);
+}
 
-	// Add event listeners.
-	if (eventListeners) {
-		eventListeners.forEach((callback, name) => {
-			// Add the event listener to the element.
-			element.addEventListener(name, callback, false);
+/**
+ * Hydrates a server-rendered element: creates its context, matches its text parts with its text
+ * child nodes, and adds event listeners and watches. The element is infused again, so if the data
+ * used in the browser is different, the element is updated.
+ *
+ * @function hydrateElement
+ * @param {Element} element The server-rendered element.
+ * @param {Object} scope An object with the `host`, the `template` that generated the element, the
+ *     `data` object, and the `iterationData` object.
+ */
+function hydrateElement(element, scope) {
+	const contextFnId = configs.get('contextFunctionId');
+	const cid = element.getAttribute(contextFnId);
 
-			/**
-			 * Add a function to remove the event listener when the `element` is
-			 * removed from the DOM.
-			 */
-			addCleanupFunction(element, () => {
-				element.removeEventListener(name, callback, false);
-			});
-		});
+	if (cid === null) {
+		return;
 	}
 
-	// Do not continue if there are no watches.
-	if (!watches) {
-		return;
+	const { host, template, data, iterationData } = scope;
+	const original = template.content.querySelector(`[${ contextFnId }="${ cid }"]`);
+
+	if (!original) {
+		reportMismatch(`the element doesn't belong to the template "${ template.getAttribute(configs.get('templateId')) }".`, element);
 	}
 
+	const context = createContext(element, host, data, iterationData);
+
 	/**
-	 * Keys in `watches` are names of the constants/elements to "watch" and the values are
-	 * event maps, which can be:
-	 *     * A string: 'eventType1[ selector1][; eventType2[ selector2]]'
-	 *     * An array: [['eventType1[ selector1][; eventType2[ selector2]]', 'parts']]
-	 *     * An object: {'eventType1[ selector1][; eventType2[ selector2]]': 'parts'}
+	 * Elements whose context is async were not infused on the server, they're infused once their
+	 * context is created.
 	 */
-	Array.from(watches.keys()).forEach((name) => {
-		const el = name === 'this' ? element : constants[name];
-		let eventMap = watches.get(name);
+	if (isThenable(context)) {
+		catchAsync(context.then((ctx) => {
+			if (ctx && original) {
+				ctx.textNodes = findTextNodes(element, original, ctx);
+			}
 
-		if (!(eventMap instanceof Map)) {
-			// Turn `eventMap` (string, array, or object) into a `Map` instance.
-			if (typeof eventMap === 'string') {
-				eventMap = [[eventMap, '*']];
-			} else if (!Array.isArray(eventMap)) {
-				eventMap = Object.keys(eventMap).map(key => ([key, eventMap[key]]));
+			if (ctx) {
+				connectElement(element, ctx);
 			}
-			eventMap = new Map(eventMap);
-		}
+		}), element);
 
-		Array.from(eventMap.keys()).forEach((key) => {
-			// These are the parts that will be infused when the event is triggered.
-			const parts = eventMap.get(key);
+		return;
+	}
 
-			key.trim().split(';').forEach((eventAndSelector) => {
-				let selector = null;
-				let eventName = eventAndSelector.trim();
-				const i = eventName.indexOf(' ');
+	// The context function threw an error (see `reportError`).
+	if (!context) {
+		return;
+	}
 
-				/**
-				 * If `eventName` contains a space, everything before the space is the
-				 * event name and everything after the space is the selector.
-				 */
-				if (i !== -1) {
-					selector = eventName.substr(i + 1);
-					eventName = eventName.substring(0, i);
-				}
+	if (original) {
+		context.textNodes = findTextNodes(element, original, context);
+	}
 
-				// Get a `Watch` for the `eventName` on the `el` element.
-				const watch = Watch.for(el, eventName);
-				// Add `element` as watcher.
-				watch.addWatcher(element, { selector, parts });
-			});
-		});
-	});
+	const isDevMode = configs.get('devMode');
+	const before = isDevMode ? describeElement(element, context) : null;
+
+	connectElement(element, context);
+
+	if (isDevMode) {
+		const after = describeElement(element, context);
+
+		if (before !== after) {
+			reportMismatch('the element was updated during hydration.', element, { server: before, client: after });
+		}
+	}
 }
 
 /**
- * Clone and infuse the given template.
+ * Hydrates a list of server-rendered sibling nodes, including their descendants and the blocks
+ * between them.
  *
- * @param {Element} host The host element.
- * @param {HTMLTemplate} template The HTML template element to clone and infuse.
- * @param {Object} [data={}] Optional data object.
- * @param {Object} [iterationData={}] Optional iteration data object.
- * @returns {DocumentFragment} The infused document fragment.
+ * @function hydrateNodes
+ * @param {Node[]} nodes The nodes to hydrate.
+ * @param {Object} scope An object with the `host`, the `template` that generated the nodes, the
+ *     `data` object, and the `iterationData` object.
  */
-export function infuseTemplate(host, template, data = {}, iterationData = {}) {
-	const fragment = template.content.cloneNode(true);
-	const selector = `[${ configs.get('contextFunctionId') }]`;
+function hydrateNodes(nodes, scope) {
+	for (let i = 0; i < nodes.length; i++) {
+		const node = nodes[i];
+		const marker = parseBlockMarker(node);
 
-	// Search for, initialize, and infuse all elements that have a context function ID attribute.
-	for (const element of Array.from(fragment.querySelectorAll(selector))) {
-		initializeElement(element, host, data, iterationData);
+		if (marker) {
+			// eslint-disable-next-line no-use-before-define
+			const end = hydrateBlock(node, marker, scope);
+
+			// Skip the nodes of the block.
+			while (end && i < nodes.length - 1 && nodes[i] !== end) {
+				i++;
+			}
+		} else if (node.nodeType === ELEMENT_NODE) {
+			hydrateElement(node, scope);
+			hydrateNodes(Array.from(node.childNodes), scope);
+		}
 	}
+}
 
-	const placeholderId = configs.get('placeholderId');
+/**
+ * Hydrates the server-rendered nodes of a block (see `hydrateBlock`). The nodes of a block whose
+ * context function threw an error are removed, and the nodes of a `pending` block are replaced
+ * with its "loading" template.
+ *
+ * @function hydrateContents
+ * @param {Object} block The block object.
+ * @param {Node[]} nodes The nodes between the start and the end of the block.
+ * @param {Object} marker The template ID and branch index returned by `parseBlockMarker`.
+ * @param {Object} scope An object with the `host`, the `data` object, and the `iterationData`
+ *     object.
+ */
+function hydrateContents(block, nodes, marker, scope) {
+	const { host, template, data, start, end } = block;
+	const state = {};
 
-	// Search for placeholder templates and iterate over them.
-	for (const placeholder of Array.from(fragment.querySelectorAll(`[${ placeholderId }]`))) {
-		// Get the placeholder ID, which is the ID of the original template.
-		const tid = placeholder.getAttribute(placeholderId);
-		// Use the ID to get the original template.
-		const nestedTemplate = parsedTemplates.get(tid);
-		// Call `infuse` using the original template.
-		// eslint-disable-next-line no-use-before-define
-		const nestedFragment = infuse(host, nestedTemplate, data, iterationData);
+	if (block.failed) {
+		removeNodes(nodes);
+		state.nodes = [];
+	} else if (block.pending) {
+		// The context of the template is async, render the "loading" template until it resolves.
+		removeNodes(nodes);
+		end.parentNode.insertBefore(renderBlock(block), end);
+	} else if (block.branches) {
+		const branch = selectBranch(block);
 
-		// Replace the placeholder with the fragment returned by `infuse`.
-		placeholder.parentNode.replaceChild(nestedFragment, placeholder);
+		state.branch = branch;
+
+		if (branch === marker.branch) {
+			state.nodes = nodes;
+
+			if (branch !== -1) {
+				hydrateNodes(nodes, { ...scope, template: block.branches[branch].template });
+			}
+		} else {
+			reportMismatch(`expected branch ${ branch } of template "${ marker.tid }", but found branch ${ marker.branch }.`, start);
+			removeNodes(nodes);
+
+			const fragment = infuseBranch(block, branch);
+			state.nodes = Array.from(fragment.childNodes);
+			end.parentNode.insertBefore(fragment, end);
+		}
+	} else if (block.items) {
+		const groups = splitItems(nodes);
+		const iterations = iterate(block);
+
+		if (groups.length === iterations.length) {
+			state.items = iterations.map(({ args, key }, i) => {
+				const iteration = createIteration(block, args);
+
+				hydrateNodes(groups[i], { host, template, data, iterationData: iteration });
+
+				return {
+					key,
+					value: args[0],
+					iteration,
+					nodes: groups[i],
+				};
+			});
+		} else {
+			reportMismatch(`expected ${ iterations.length } items of template "${ marker.tid }", but found ${ groups.length }.`, start);
+			removeNodes(nodes.filter(node => node.parentNode));
+			updateIteration(block);
+		}
+	} else {
+		state.nodes = nodes;
+		hydrateNodes(nodes, { ...scope, template });
 	}
 
-	return fragment;
+	Object.assign(block, state);
 }
 
 /**
- * Clone and infuse the given template. If the template has an "each" attribute with a valid
- * expression, it will evaluate the expression, iterate over the result, clone and infuse the
- * template once for each iteration, and join the generated fragments together.
+ * Hydrates a server-rendered block: creates its block object (see `blocks`) and hydrates the
+ * nodes of the block. If the rendered branch of a conditional template or the number of items
+ * of an iterating template don't match, the nodes of the block are replaced with newly infused
+ * nodes.
  *
- * @function infuse
- * @param {Element} host The host element.
- * @param {HTMLTemplate} template The HTML template.
- * @param {Object} [data={}] Optional data object.
- * @param {Object} [iterationData={}] Optional iteration data object.
- * @returns {DocumentFragment} The infused document fragment.
+ * @function hydrateBlock
+ * @param {Comment} start The comment node that marks the start of the block.
+ * @param {Object} marker The template ID and branch index returned by `parseBlockMarker`.
+ * @param {Object} scope An object with the `host`, the `data` object, and the `iterationData`
+ *     object.
+ * @returns {Comment} The comment node that marks the end of the block (or `null`).
  */
-export default function infuse(host, template, data = {}, iterationData = {}) {
-	// Create a context (if one can be created).
-	const context = createContext(template, host, data, iterationData);
+function hydrateBlock(start, marker, scope) {
+	const { host, data, iterationData } = scope;
+	const template = parsedTemplates.get(marker.tid);
+	const { nodes, end } = getBlockNodes(start);
 
-	// If the context couldn't be created, call infuseTemplate.
-	if (!context) {
-		return infuseTemplate(host, template, data, iterationData);
+	if (!template || !end) {
+		reportMismatch(`invalid block "${ marker.tid }".`, start);
+		return end;
 	}
 
-	const { forVariableNames, parts } = context;
-	const fn = parts.get('each');
+	const isBoundary = template.hasAttribute(configs.get('catchId'));
+	const boundary = isBoundary ? createBoundary() : currentBoundary();
+	// Used if the context function of the template reports an error to the boundary.
+	let block = {
+		host, template, data, iterationData, context: null, start, end, boundary,
+	};
 
-	if (typeof fn !== 'function') {
-		throw new TypeError('The template attribute "each" is either invalid or missing.');
-	}
+	// eslint-disable-next-line no-param-reassign
+	start.data = '';
+	end.data = '';
 
-	// Evaluate the expression of the "each" attribute.
-	const collection = fn();
+	if (isBoundary) {
+		boundary.block = block;
+		withinBoundary(boundary, () => {
+			block = createBlock(host, template, data, iterationData, start, end);
+			block.boundary = boundary;
+			boundary.block = block;
+			hydrateContents(block, nodes, marker, scope);
+		}, (error) => {
+			// Replace the server-rendered nodes with the "catch" template.
+			clearBlock(block);
 
-	if (!collection || typeof collection.forEach !== 'function') {
-		throw new TypeError('Evaluating the "each" expression resulted in an invalid value. The expression must return a value that has a "forEach" method, for instance: an array, a Map, or a Set.');
-	}
+			const fragment = renderFallback(block, error);
 
-	/**
-	 * Iterate over the result of the "each" expression, calling `infuseTemplate` for each
-	 * iteration, and adding the generated fragments to `fragments`.
-	 */
-	const fragments = [];
-	collection.forEach((...args) => {
-		// Create a new `iteration` data object containing the same attributes as `iterationData`.
-		const iteration = { ...iterationData };
+			if (fragment) {
+				end.parentNode.insertBefore(fragment, end);
+			}
+		});
+	} else {
+		block = createBlock(host, template, data, iterationData, start, end);
+		block.boundary = boundary;
+		hydrateContents(block, nodes, marker, scope);
+	}
 
-		/**
-		 * Add the values of this iteration (`args` contains [value, key, collection]) to the
-		 * `iteration` object using the variable names specified in the `forVariableNames` array.
-		 */
-		for (let i = 0; i < forVariableNames.length; i++) {
-			const name = forVariableNames[i];
-			iteration[name] = args[i];
-		}
+	registerBlock(block);
 
-		// Call `infuseTemplate`, using the `iteration` object, and add `fragment` to `fragments`.
-		const fragment = infuseTemplate(host, template, data, iteration);
-		fragments.push(fragment);
-	});
+	return end;
+}
 
-	// Return empty fragment if the iteration didn't generate any fragments.
-	if (fragments.length === 0) {
-		return document.createDocumentFragment();
-	}
+/**
+ * Hydrates the markup generated on the server by `renderToString` (see the "renderToString"
+ * module). Instead of cloning and infusing the template, the existing elements are matched with
+ * their context functions (using the context function ID attributes kept by `renderToString`) and
+ * the blocks of nested templates are matched with their templates (using the comment nodes that
+ * mark them). Contexts are created and event listeners and watches are added without re-creating
+ * the elements, so the result is the same as if the template had been infused in the browser.
+ *
+ * The `host`, `template`, `data`, and `iterationData` must be equivalent to the ones used to
+ * render the markup on the server. If the `devMode` configuration option is enabled, differences
+ * between the server-rendered markup and the expected markup are reported using the console.
+ *
+ *     // The contents of `host` were rendered on the server.
+ *     hydrate(host, template, { items: ['a', 'b'] });
+ *
+ * @function hydrate
+ * @param {Element} host The host element, which contains the server-rendered markup (in its
+ *     shadow root, if it has one).
+ * @param {HTMLTemplate} template The HTML template used to render the markup.
+ * @param {Object} [data={}] Optional data object.
+ * @param {Object} [iterationData={}] Optional iteration data object.
+ */
+export function hydrate(host, template, data = {}, iterationData = {}) {
+	// eslint-disable-next-line no-use-before-define
+	const root = getRoot(host);
 
-	// Join the fragments generated during the iteration and return the resulting fragment.
-	return fragments.reduce((accumulator, fragment) => {
-		accumulator.appendChild(fragment);
-		return accumulator;
-	});
+	hydrateNodes(Array.from(root.childNodes), { host, template, data, iterationData });
 }
 
 /**
@@ -245,6 +1978,15 @@ export default function infuse(host, template, data = {}, iterationData = {}) {
  */
 const closedShadowRoots = new WeakMap();
 
+/**
+ * Stores the output of each rendered host. The keys are host elements and the values are objects
+ * with the `first` and `last` nodes generated by `render` (`null` if the template generated no
+ * nodes), an `isSweept` flag, which indicates that the memory allocated to infuse the output was
+ * cleared (after the host was removed from the DOM), and the `detached` contexts and blocks (see
+ * `detachHost`).
+ */
+const renderedHosts = new WeakMap();
+
 /**
  * Returns the root of the given element. The root can be a "closed" Shadow DOM, which is stored in
  * `closedShadowRoots`, an "open" Shadow DOM, which is stored in `element.shadowRoot`, or the
@@ -258,13 +2000,101 @@ function getRoot(element) {
 	return closedShadowRoots.get(element) || element.shadowRoot || element;
 }
 
+/**
+ * Value of `NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT`, used to find the elements and the
+ * comment nodes (that mark the start of blocks) generated by a host.
+ */
+const SHOW_ELEMENTS_AND_COMMENTS = 0x81;
+
+/**
+ * Clears the memory allocated to infuse the contents of a `host` (see `sweep`), which removes the
+ * event listeners, watches, and subscriptions of its elements and blocks, but keeps the nodes.
+ * Returns the contexts of the elements and the blocks, so that they can be attached again if the
+ * host is added back to the DOM (see `reattachHost`).
+ *
+ * @function detachHost
+ * @param {Element} host The host element.
+ * @returns {Object} An object with the `contexts` ([element, context] pairs) and the `blocks`.
+ */
+function detachHost(host) {
+	const root = getRoot(host);
+	const detached = { contexts: [], blocks: [] };
+	const doc = host.ownerDocument;
+	const iterator = doc.createNodeIterator(root, SHOW_ELEMENTS_AND_COMMENTS);
+	const nodes = root === host ? [] : [host];
+
+	for (let node; (node = iterator.nextNode()) !== null;) {
+		nodes.push(node);
+	}
+
+	for (const node of nodes) {
+		if (contexts.has(node)) {
+			detached.contexts.push([node, contexts.get(node)]);
+		} else if (blocks.has(node)) {
+			detached.blocks.push(blocks.get(node));
+		}
+	}
+
+	sweep(host, root);
+
+	return detached;
+}
+
+/**
+ * Attaches the contexts and blocks returned by `detachHost` again, when the host is added back to
+ * the DOM. The elements are infused again (to reflect changes made while the host was detached)
+ * and their event listeners and watches are added again. The watches of blocks are added again and
+ * iterating and conditional blocks are updated. Elements and blocks that were already attached
+ * again (for instance, by a nested host) are skipped.
+ *
+ * @function reattachHost
+ * @param {Object} detached The object returned by `detachHost`.
+ */
+function reattachHost(detached) {
+	for (const [element, context] of detached.contexts) {
+		if (!contexts.has(element)) {
+			addContext(element, context);
+			connectElement(element, context);
+		}
+	}
+
+	const reattached = detached.blocks.filter(block => !blocks.has(block.start));
+
+	reattached.forEach(registerBlock);
+
+	// Blocks removed while updating a previous block are skipped by `reinfuseBlock`.
+	for (const block of reattached) {
+		if (block.items || block.branches) {
+			reinfuseBlock(block.start);
+		}
+	}
+}
+
 /**
  * Uses (extends) the given element class to define a custom element class that uses the `infuse`
  * function to generate its contents. The `template` getter must be overwritten to return a
- * template, which would be cloned and infused when the element is added to the DOM (when
- * `connectedCallback` is called). When the element is removed from the DOM (and
+ * template, which would be cloned and infused when the element is added to the DOM for the first
+ * time (when `connectedCallback` is called). When the element is removed from the DOM (and
  * `disconnectedCallback` is called) all memory allocated by infuse process (associated with the
- * element **and any of its descendants**) will be cleared.
+ * element **and any of its descendants**) will be cleared, unless the element is added back to the
+ * DOM right away (for instance, when it's moved to a different position). If the element is added
+ * back to the DOM after its memory was cleared, the event listeners and watches of its contents
+ * are added again (the contents are only rendered again by `rerender`).
+ *
+ * The custom element class can define the following lifecycle methods (hooks), which are called
+ * using `callHook` (see the "lifecycle" module) only if they're defined:
+ *
+ * * `beforeRender()`: Called right before `this.template` is cloned and infused.
+ * * `afterRender()`: Called once the rendered contents are in the DOM, after the `afterRender`
+ *   methods of the hosts nested in the contents have finished. It can return a promise, in which
+ *   case the hosts that contain this element wait until the promise is resolved.
+ * * `afterUpdate()`: Called (once per microtask) after elements or nested templates in the
+ *   contents of this element are re-infused (for instance, by watches).
+ * * `beforeSweep()`: Called right before the memory allocated to infuse the contents of this
+ *   element is cleared.
+ *
+ * Properties that are kept in sync with attributes can be declared using a static `properties`
+ * object (see `getDeclarations` in the "properties" module).
  *
  * This function defines a class that extends the given `ElementClass`. The returned class can be
  * extended to define custom elements. This function can be used to define [custom
@@ -281,11 +2111,20 @@ function getRoot(element) {
 export function CustomHost(ElementClass) {
 	return class extends ElementClass {
 		/**
-		 * If `this.shadowRootMode` is set, this constructor creates a shadow root and renders
-		 * `this.template` into the shadow root.
+		 * Returns the names of the attributes of the properties declared in the static `properties`
+		 * object of the class (see `getDeclarations` in the "properties" module).
+		 */
+		static get observedAttributes() {
+			return getObservedAttributes(this);
+		}
+
+		/**
+		 * Initializes the declared properties and, if `this.shadowRootMode` is set, this
+		 * constructor creates a shadow root and renders `this.template` into the shadow root.
 		 */
 		constructor() {
 			super();
+			initializeProperties(this);
 			const mode = result(this, 'shadowRootMode');
 
 			// If `this.shadowRootMode` is set...
@@ -305,52 +2144,160 @@ export function CustomHost(ElementClass) {
 
 		/**
 		 * Clones and infuses `this.template` and appends the resulting fragment to the element's
-		 * root (a Shadow DOM or directly to the element in the regular DOM).
+		 * root (a Shadow DOM or directly to the element in the regular DOM). Performs no action if
+		 * the element has already been rendered (use `rerender` to replace the generated contents).
 		 *
 		 * @method render
 		 */
 		render() {
 			const template = result(this, 'template');
 
-			if (template instanceof HTMLTemplateElement) {
-				const root = getRoot(this);
+			if (renderedHosts.has(this) || !(template instanceof HTMLTemplateElement)) {
+				return;
+			}
+
+			callHook(this, 'beforeRender');
+
+			// Clone and infuse the `template`.
+			const fragment = infuse(this, template);
+			const root = getRoot(this);
+			// The "afterRender" hook waits until the element is in the DOM.
+			const output = {
+				first: fragment.firstChild,
+				last: fragment.lastChild,
+				isSweept: false,
+				isRendering: !this.isConnected,
+			};
 
-				// Clone and infuse the `template` and append the resulting fragment to `root`.
-				root.appendChild(infuse(this, template));
+			renderedHosts.set(this, output);
+
+			// Append the resulting fragment to the element's root.
+			root.appendChild(fragment);
+
+			if (!output.isRendering) {
+				scheduleAfterRender(this, root);
+			}
+		}
+
+		/**
+		 * Clears the memory allocated to infuse the contents generated by `render`, removes them
+		 * from the element's root, and calls `render` again.
+		 *
+		 * @method rerender
+		 */
+		rerender() {
+			const output = renderedHosts.get(this);
+
+			if (output && !output.isSweept) {
+				callHook(this, 'beforeSweep');
+			}
+
+			if (output && output.first) {
+				const { first, last } = output;
+				const nodes = [];
+
+				// Find the generated nodes (the blocks of nested templates might have changed).
+				for (let node = first; node; node = node === last ? null : node.nextSibling) {
+					nodes.push(node);
+				}
+
+				nodes.forEach((node) => {
+					sweep(node, node);
+
+					if (node.parentNode) {
+						node.parentNode.removeChild(node);
+					}
+				});
 			}
+
+			renderedHosts.delete(this);
+			this.render();
+		}
+
+		/**
+		 * Sets the declared property that corresponds to the changed attribute, converting the
+		 * value of the attribute into the type of the property.
+		 *
+		 * @method attributeChangedCallback
+		 * @param {string} name The name of the attribute.
+		 * @param {?string} oldValue The previous value of the attribute.
+		 * @param {?string} newValue The new value of the attribute.
+		 */
+		attributeChangedCallback(name, oldValue, newValue) {
+			attributeChanged(this, name, newValue);
 		}
 
 		/**
 		 * Uses the template provided by the `template` getter to generate the contents of this
-		 * element when the element is added to the DOM. Performs no action if the `template` getter
-		 * returns a falsy value.
+		 * element when the element is added to the DOM for the first time. If the element is added
+		 * back to the DOM after its memory was cleared (see `disconnectedCallback`), the existing
+		 * nodes are kept (along with their state, for instance, the values of form fields) and
+		 * their event listeners and watches are added again (see `reattachHost`). Performs no
+		 * action if the `template` getter returns a falsy value.
 		 *
 		 * @method connectedCallback
 		 */
 		connectedCallback() {
-			// Call `this.render` if this element doesn't use a Shadow DOM.
-			if (!this.shadowRootMode) {
+			const output = renderedHosts.get(this);
+
+			if (output && output.isSweept) {
+				const { detached } = output;
+
+				Object.assign(output, { isSweept: false, detached: null });
+				reattachHost(detached);
+			} else if (output && output.isRendering) {
+				// The contents were rendered before the element was added to the DOM.
+				output.isRendering = false;
+				scheduleAfterRender(this, getRoot(this));
+			} else if (!this.shadowRootMode) {
+				// Call `this.render` if this element doesn't use a Shadow DOM.
 				this.render();
 			}
 		}
 
 		/**
 		 * When the element is removed from the DOM, this method clears all memory associated with
-		 * this element, **and any of its descendants**, that was allocated by infuse process.
+		 * this element, **and any of its descendants**, that was allocated by infuse process. The
+		 * memory is cleared in a microtask, and only if the element hasn't been added back to the
+		 * DOM by then, so that moving the element (which removes it and adds it back to the DOM)
+		 * keeps its event listeners and watches. The generated nodes and their contexts are kept,
+		 * so that they can be attached again (see `connectedCallback`). Errors thrown while
+		 * clearing the memory are reported using `reportAsyncError`.
 		 *
 		 * @method disconnectedCallback
 		 */
 		disconnectedCallback() {
-			sweep(this, getRoot(this));
-			closedShadowRoots.delete(this);
+			const info = { element: this, contextId: null, part: null, event: undefined };
+
+			Promise.resolve().then(() => {
+				const output = renderedHosts.get(this);
+
+				if (this.isConnected) {
+					return;
+				}
+
+				callHook(this, 'beforeSweep', true);
+
+				if (output) {
+					output.isSweept = true;
+					output.detached = detachHost(this);
+				} else {
+					sweep(this, getRoot(this));
+				}
+			}).catch(error => reportAsyncError(error, info));
 		}
 	};
 }
 
+/**
+ * The `HTMLElement` class is not available when rendering templates on the server (in Node.js).
+ */
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
 /**
  * This class extends the `HTMLElement` class and can be used to define [custom
  * elements](https://developers.google.com/web/fundamentals/web-components/customelements).
  *
  * @class
  */
-export class Host extends CustomHost(HTMLElement) {}
\ No newline at end of file
+export class Host extends CustomHost(BaseElement) {}
\ No newline at end of file
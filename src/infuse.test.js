@@ -0,0 +1,1330 @@
+/* eslint-disable no-template-curly-in-string */
+import domino from 'domino';
+import { setConfigs } from './configs.js';
+import infuse, {
+	clear, CustomHost, flushSync, reinfuseBlock,
+} from './infuse.js';
+import parseDocument from './parseDocument.js';
+import parseTemplate from './parseTemplate.js';
+import createStore from './store.js';
+
+function createTemplate(html) {
+	const { document } = parseDocument(`<template>${ html }</template>`);
+	const template = document.querySelector('template');
+
+	parseTemplate(template, { window: domino.impl });
+
+	return template;
+}
+
+function render(template, data) {
+	const host = template.ownerDocument.createElement('div');
+
+	host.appendChild(infuse(host, template, data));
+
+	return host;
+}
+
+function getHTML(host) {
+	return host.innerHTML.replace(/ data-sweep=""/g, '').replace(/<!---->/g, '');
+}
+
+// Dispatches an event and executes the re-infusions queued by it right away.
+function dispatch(target, type) {
+	const event = target.ownerDocument.createEvent('Event');
+
+	event.initEvent(type, true, true);
+	target.dispatchEvent(event);
+	flushSync();
+}
+
+describe('error handling', () => {
+	afterEach(() => {
+		setConfigs({ onError: null });
+	});
+
+	it('should throw errors if there\'s no onError function or error boundary', () => {
+		const template = createTemplate('<p>${ data.missing.text }</p>');
+
+		expect(() => render(template, {})).toThrow(TypeError);
+	});
+
+	it('should report errors to the onError function and render the rest of the template', () => {
+		const onError = jest.fn();
+		const template = createTemplate('<p title="${ data.missing.title }">${ data.text }</p><span>${ data.text }</span>');
+
+		setConfigs({ onError });
+		const host = render(template, { text: 'foo' });
+		const [error, info] = onError.mock.calls[0];
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(error).toBeInstanceOf(TypeError);
+		expect(info.element).toBe(host.querySelector('p'));
+		expect(info.contextId).toMatch(/^\w+$/);
+		expect(info.part).toBe('title');
+		expect(info.event).toBeUndefined();
+		expect(getHTML(host)).toBe('<p>foo</p><span>foo</span>');
+	});
+
+	it('should report the event that triggered the infusion', () => {
+		const onError = jest.fn();
+		const template = createTemplate('<p watch-host="update">${ host.item.text }</p>');
+		const host = template.ownerDocument.createElement('div');
+
+		setConfigs({ onError });
+		host.item = { text: 'foo' };
+		host.appendChild(infuse(host, template));
+		host.item = null;
+		dispatch(host, 'update');
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][1].part).toBe(0);
+		expect(onError.mock.calls[0][1].event.type).toBe('update');
+	});
+
+	it('should report errors thrown by context functions', () => {
+		const onError = jest.fn();
+		const template = createTemplate('<p const-text="${ data.missing.text }">${ text }</p><span>bar</span>');
+
+		setConfigs({ onError });
+		const host = render(template, {});
+
+		expect(onError.mock.calls[0][1].part).toBeNull();
+		expect(getHTML(host)).toContain('<span>bar</span>');
+	});
+
+	it('should render the "catch" template instead of the nested template', () => {
+		const template = createTemplate('<div><template><p>${ data.missing.text }</p><b>!</b></template><template catch="err"><p>Error: ${ err.constructor.name }</p></template></div>');
+		const host = render(template, {});
+
+		expect(getHTML(host)).toBe('<div><p>Error: TypeError</p></div>');
+	});
+
+	it('should make the error available as "error" by default', () => {
+		const template = createTemplate('<template each="${ data.missing.items }"><p>${ value }</p></template><template catch><p>${ error instanceof TypeError }</p></template>');
+		const host = render(template, {});
+
+		expect(getHTML(host)).toBe('<p>true</p>');
+	});
+
+	it('should call onError and render the "catch" template', () => {
+		const onError = jest.fn();
+		const template = createTemplate('<template if="${ data.missing.a }"><p>A</p></template><template else><p>B</p></template><template catch><p>Error</p></template><span>C</span>');
+
+		setConfigs({ onError });
+		const host = render(template, {});
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][1].part).toBe('if');
+		expect(getHTML(host)).toBe('<p>Error</p><span>C</span>');
+	});
+
+	it('should render the "catch" template when a re-infused element throws an error', () => {
+		const template = createTemplate('<template><p watch-host="update">${ host.item.text }</p><b>!</b></template><template catch><p>Error</p></template><span>bar</span>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.item = { text: 'foo' };
+		host.appendChild(infuse(host, template));
+		expect(getHTML(host)).toBe('<p>foo</p><b>!</b><span>bar</span>');
+
+		host.item = null;
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<p>Error</p><span>bar</span>');
+	});
+
+	it('should recover when the nested template is re-infused without errors', () => {
+		const template = createTemplate('<template watch-host="update"><p>${ host.item.text }</p></template><template catch><p>Error</p></template>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.appendChild(infuse(host, template));
+		expect(getHTML(host)).toBe('<p>Error</p>');
+
+		host.item = { text: 'foo' };
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<p>foo</p>');
+	});
+
+	it('should recover when the context function of the nested template no longer throws', () => {
+		const template = createTemplate('<template const-text="${ host.item.text }" if="${ text }"><p>${ host.item.text }</p></template><template catch><p>Error</p></template>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.appendChild(infuse(host, template));
+		expect(getHTML(host)).toBe('<p>Error</p>');
+
+		// The block has no watches, since its context function threw an error.
+		host.item = { text: 'foo' };
+		reinfuseBlock(host.firstChild);
+		expect(getHTML(host)).toBe('<p>foo</p>');
+	});
+
+	it('should propagate errors thrown by the "catch" template to the outer boundary', () => {
+		const template = createTemplate('<template><template><p>${ data.missing.a }</p></template><template catch><p>${ data.missing.b }</p></template></template><template catch><p>Outer</p></template>');
+		const host = render(template, {});
+
+		expect(getHTML(host)).toBe('<p>Outer</p>');
+	});
+});
+
+describe('async parts', () => {
+	const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+	beforeAll(() => {
+		// The test environment doesn't provide `AbortController`.
+		global.AbortController = class {
+			constructor() {
+				this.signal = { aborted: false };
+			}
+
+			abort() {
+				this.signal.aborted = true;
+			}
+		};
+	});
+
+	afterAll(() => {
+		delete global.AbortController;
+	});
+
+	afterEach(() => {
+		setConfigs({ onError: null });
+	});
+
+	it('should infuse the resolved values of async parts', async () => {
+		const template = createTemplate('<input value="${ await data.load() }"><p>${ await data.load() }!</p>');
+		const host = render(template, { load: async () => 'foo' });
+
+		await tick();
+
+		expect(getHTML(host)).toBe('<input value="foo"><p>foo!</p>');
+	});
+
+	it('should infuse the pending values while the promises are pending', async () => {
+		const template = createTemplate('<input value="${ await data.load() }" pending-value="..."><p pending-text="Loading ${ data.name }">${ await data.load() }</p>');
+		const host = render(template, { name: 'foo', load: () => new Promise(() => {}) });
+
+		expect(getHTML(host)).toBe('<input value="..."><p>Loading foo</p>');
+	});
+
+	it('should log rejected async parts that are not handled by onError', async () => {
+		const template = createTemplate('<p>${ await Promise.reject(new Error(\'boom\')) }</p>');
+		const unhandled = jest.fn();
+		const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			render(template);
+			await tick();
+
+			expect(spy).toHaveBeenCalledWith(new Error('boom'));
+			expect(unhandled).not.toHaveBeenCalled();
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+			spy.mockRestore();
+		}
+	});
+
+	it('should only infuse the result of the latest infusion of a part', async () => {
+		const resolvers = [];
+		const template = createTemplate('<p watch-host="update">${ await host.load() }</p>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.load = () => new Promise(resolve => resolvers.push(resolve));
+		host.appendChild(infuse(host, template));
+		dispatch(host, 'update');
+		resolvers[1]('second');
+		await tick();
+		resolvers[0]('first');
+		await tick();
+
+		expect(getHTML(host)).toBe('<p>second</p>');
+	});
+
+	it('should abort the signal of stale infusions', () => {
+		const signals = [];
+		const template = createTemplate('<p watch-host="update">${ await host.load(signal) }</p>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.load = (signal) => {
+			signals.push(signal);
+			return new Promise(() => {});
+		};
+		host.appendChild(infuse(host, template));
+		dispatch(host, 'update');
+
+		expect(signals.map(signal => signal.aborted)).toEqual([true, false]);
+	});
+
+	it('should report rejected promises', async () => {
+		const onError = jest.fn();
+		const template = createTemplate('<p>${ await data.load() }</p>');
+
+		setConfigs({ onError });
+		render(template, { load: () => Promise.reject(new Error('foo')) });
+		await tick();
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][0].message).toBe('foo');
+		expect(onError.mock.calls[0][1].part).toBe(0);
+	});
+});
+
+describe('async constants', () => {
+	const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+	afterEach(() => {
+		setConfigs({ onError: null });
+	});
+
+	it('should infuse an element once its constants are resolved', async () => {
+		const template = createTemplate('<p const-user="${ await data.user }" title="${ user.name }">${ user.name }<template><b>!</b></template></p>');
+		const host = render(template, { user: Promise.resolve({ name: 'foo' }) });
+
+		expect(getHTML(host)).toBe('<p>_<b>!</b></p>');
+		await tick();
+		expect(getHTML(host)).toBe('<p title="foo">foo<b>!</b></p>');
+	});
+
+	it('should report the rejected constants of an element', async () => {
+		const onError = jest.fn();
+		const template = createTemplate('<p const-user="${ await data.user }">${ user.name }</p>');
+
+		setConfigs({ onError });
+		render(template, { user: Promise.reject(new Error('foo')) });
+		await tick();
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][0].message).toBe('foo');
+		expect(onError.mock.calls[0][1].part).toBeNull();
+	});
+
+	it('should render the "loading" template until the constants of a template are resolved', async () => {
+		const template = createTemplate('<ul><template const-items="${ await data.items }" for="item" each="${ items }"><li>${ item }</li></template><template loading><li>Loading</li></template></ul>');
+		const host = render(template, { items: Promise.resolve(['a', 'b']) });
+
+		expect(getHTML(host)).toBe('<ul><li>Loading</li></ul>');
+		await tick();
+		expect(getHTML(host)).toBe('<ul><li>a</li><li>b</li></ul>');
+	});
+
+	it('should render the "error" template if the constants of a template are rejected', async () => {
+		const template = createTemplate('<template const-user="${ await data.user }" if="${ user.active }"><p>${ data.name }</p></template><template loading><p>Loading</p></template><template error="err"><p>${ err.message }</p></template>');
+		const host = render(template, { user: Promise.reject(new Error('foo')) });
+
+		await tick();
+		expect(getHTML(host)).toBe('<p>foo</p>');
+	});
+
+	it('should report the rejected constants of a template without an "error" template', async () => {
+		const onError = jest.fn();
+		const template = createTemplate('<template const-user="${ await data.user }" if="${ user.active }"><p>${ data.name }</p></template><template loading><p>Loading</p></template>');
+
+		setConfigs({ onError });
+		const host = render(template, { user: Promise.reject(new Error('foo')) });
+		await tick();
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][1].part).toBeNull();
+		expect(getHTML(host)).toBe('');
+	});
+
+	it('should log the rejected constants of an element and a template without onError', async () => {
+		const templates = [
+			createTemplate('<p const-user="${ await data.user }">${ user.name }</p>'),
+			createTemplate('<template const-user="${ await data.user }" if="${ user.active }"><p>${ data.name }</p></template>'),
+		];
+		const unhandled = jest.fn();
+		const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			templates.forEach(template => render(template, { user: Promise.reject(new Error('foo')) }));
+			await tick();
+
+			expect(spy).toHaveBeenCalledTimes(2);
+			expect(spy).toHaveBeenCalledWith(new Error('foo'));
+			expect(unhandled).not.toHaveBeenCalled();
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+			spy.mockRestore();
+		}
+	});
+});
+
+describe('keyed lists', () => {
+	function renderList(books) {
+		const template = createTemplate('<ul><template for="book, i" each="${ host.books }" key="${ book.id }" watch-host="update"><li>${ i }:${ book.title }</li></template></ul>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.books = books;
+		host.appendChild(infuse(host, template));
+
+		return host;
+	}
+
+	const getItems = host => Array.from(host.querySelectorAll('li'));
+	const getTexts = host => getItems(host).map(li => li.textContent);
+
+	it('should move the nodes of reordered items instead of infusing them again', () => {
+		const [a, b, c] = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }, { id: 3, title: 'c' }];
+		const host = renderList([a, b, c]);
+		const [liA, liB, liC] = getItems(host);
+
+		host.books = [c, a, b];
+		dispatch(host, 'update');
+
+		expect(getItems(host)).toEqual([liC, liA, liB]);
+	});
+
+	it('should only infuse inserted items', () => {
+		const [a, b] = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }];
+		const host = renderList([a, b]);
+		const [liA, liB] = getItems(host);
+
+		host.books = [a, { id: 3, title: 'c' }, b];
+		dispatch(host, 'update');
+
+		const items = getItems(host);
+
+		expect(items[0]).toBe(liA);
+		expect(items[2]).toBe(liB);
+		expect(getTexts(host)).toEqual(['0:a', '1:c', '2:b']);
+	});
+
+	it('should remove the nodes of removed items', () => {
+		const [a, b, c] = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }, { id: 3, title: 'c' }];
+		const host = renderList([a, b, c]);
+		const [liA, liB, liC] = getItems(host);
+
+		host.books = [a, c];
+		dispatch(host, 'update');
+
+		expect(getItems(host)).toEqual([liA, liC]);
+		expect(liB.parentNode).toBeNull();
+	});
+
+	it('should refresh the items whose value changed in place', () => {
+		const host = renderList([{ id: 1, title: 'a' }]);
+		const [li] = getItems(host);
+
+		host.books = [{ id: 1, title: 'b' }];
+		dispatch(host, 'update');
+
+		expect(getItems(host)[0]).toBe(li);
+		expect(getTexts(host)).toEqual(['0:b']);
+	});
+
+	it('should render every item with a duplicate key', () => {
+		const [a, b] = [{ id: 1, title: 'a' }, { id: 1, title: 'b' }];
+		const host = renderList([a, b]);
+
+		expect(getTexts(host)).toEqual(['0:a', '1:b']);
+
+		host.books = [a, b];
+		dispatch(host, 'update');
+
+		expect(getTexts(host)).toEqual(['0:a', '1:b']);
+	});
+
+	it('should update the iteration variables of kept items', () => {
+		const [a, b] = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }];
+		const host = renderList([a, b]);
+		const [liA, liB] = getItems(host);
+
+		host.books = [b, a];
+		dispatch(host, 'update');
+
+		expect(getItems(host)).toEqual([liB, liA]);
+		expect(getTexts(host)).toEqual(['0:b', '1:a']);
+	});
+
+	it('should keep the state of form controls in refreshed items', () => {
+		const template = createTemplate('<ul><template for="book, i" each="${ host.books }" key="${ book.id }" watch-host="update"><li><input name="${ book.title }" onchange="host.changes.push(i + \':\' + book.title)"></li></template></ul>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.books = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }];
+		host.changes = [];
+		host.appendChild(infuse(host, template));
+
+		const [inputA, inputB] = Array.from(host.querySelectorAll('input'));
+
+		inputB.value = 'typed';
+		host.books = [{ id: 2, title: 'B' }, { id: 1, title: 'a' }];
+		dispatch(host, 'update');
+
+		expect(Array.from(host.querySelectorAll('input'))).toEqual([inputB, inputA]);
+		expect(inputB.value).toBe('typed');
+		expect(inputB.getAttribute('name')).toBe('B');
+
+		// Event listeners use the new iteration variables (and are not added twice).
+		dispatch(inputB, 'change');
+		expect(host.changes).toEqual(['0:B']);
+	});
+
+	it('should refresh the nested templates of kept items', () => {
+		const template = createTemplate('<ul><template for="book, i" each="${ host.books }" key="${ book.id }" watch-host="update"><li><template if="${ i === 0 }"><b>${ i }:first</b></template><template else><i>${ i }</i></template><template for="tag" each="${ book.tags }"><s>${ i }:${ tag }</s></template></li></template></ul>');
+		const host = template.ownerDocument.createElement('div');
+		const [a, b] = [{ id: 1, tags: ['x'] }, { id: 2, tags: ['y', 'z'] }];
+
+		host.books = [a, b];
+		host.appendChild(infuse(host, template));
+		expect(getHTML(host)).toBe('<ul><li><b>0:first</b><s>0:x</s></li><li><i>1</i><s>1:y</s><s>1:z</s></li></ul>');
+
+		const tagY = host.querySelectorAll('s')[1];
+
+		host.books = [b, a];
+		dispatch(host, 'update');
+
+		expect(getHTML(host)).toBe('<ul><li><b>0:first</b><s>0:y</s><s>0:z</s></li><li><i>1</i><s>1:x</s></li></ul>');
+		expect(host.querySelectorAll('s')[0]).toBe(tagY);
+	});
+});
+
+describe('conditional templates', () => {
+	function renderCart(cart) {
+		const template = createTemplate('<div><template if="${ host.cart.length === 0 }" watch-host="update"><p>Empty</p></template><template else-if="${ host.cart.length === 1 }"><p>One</p></template><template else><p>${ host.cart.length } items</p><i>!</i></template></div>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.cart = cart;
+		host.appendChild(infuse(host, template));
+
+		return host;
+	}
+
+	it('should swap the branches when the conditions change', () => {
+		const host = renderCart([]);
+
+		expect(getHTML(host)).toBe('<div><p>Empty</p></div>');
+
+		host.cart = ['a'];
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<div><p>One</p></div>');
+
+		host.cart = ['a', 'b'];
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<div><p>2 items</p><i>!</i></div>');
+
+		host.cart = ['a'];
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<div><p>One</p></div>');
+
+		host.cart = [];
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<div><p>Empty</p></div>');
+	});
+
+	it('should keep the nodes of a branch that is still selected', () => {
+		const host = renderCart(['a', 'b']);
+		const p = host.querySelector('p');
+
+		host.cart = ['a', 'b', 'c'];
+		dispatch(host, 'update');
+
+		expect(host.querySelector('p')).toBe(p);
+	});
+
+	it('should render nothing if no condition is met and there is no "else" template', () => {
+		const template = createTemplate('<div><template if="${ host.on }" watch-host="update"><p>On</p></template></div>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.on = true;
+		host.appendChild(infuse(host, template));
+		host.on = false;
+		dispatch(host, 'update');
+
+		expect(getHTML(host)).toBe('<div></div>');
+	});
+});
+
+describe('watched blocks', () => {
+	it('should replace the nodes between the anchors of a block without leftovers', () => {
+		const template = createTemplate('<h2>Title</h2><template watch-host="refresh"><p>${ host.count }</p>Items:<ul><template for="item" each="${ host.items }"><li>${ item }</li></template></ul></template><b>End</b>');
+		const host = template.ownerDocument.createElement('div');
+
+		Object.assign(host, { count: 1, items: ['a', 'b'] });
+		host.appendChild(infuse(host, template));
+
+		const [h2, p, b] = ['h2', 'p', 'b'].map(tag => host.querySelector(tag));
+
+		Object.assign(host, { count: 2, items: ['c'] });
+		dispatch(host, 'refresh');
+		dispatch(host, 'refresh');
+
+		expect(host.innerHTML.replace(/ data-sweep=""/g, '')).toBe('<h2>Title</h2><!----><p>2</p>Items:<ul><!----><li>c</li><!----></ul><!----><b>End</b>');
+		expect(host.querySelector('h2')).toBe(h2);
+		expect(host.querySelector('b')).toBe(b);
+		expect(p.parentNode).toBeNull();
+	});
+});
+
+describe('two-way bindings', () => {
+	it('should infuse the bound property and update the expression', () => {
+		const template = createTemplate('<input bind-value="data.user.email">');
+		const data = { user: { email: 'foo@example.com' } };
+		const host = render(template, data);
+		const input = host.querySelector('input');
+
+		expect(input.value).toBe('foo@example.com');
+
+		input.value = 'bar@example.com';
+		dispatch(input, 'input');
+		expect(data.user.email).toBe('bar@example.com');
+	});
+
+	it('should bind groups of checkboxes to arrays', () => {
+		const template = createTemplate('<template for="tag" each="${ data.options }"><input type="checkbox" value="${ tag }" bind-value="data.tags"></template>');
+		const data = { options: ['a', 'b', 'c'], tags: ['a'] };
+		const host = render(template, data);
+		const checkboxes = host.querySelectorAll('input');
+
+		expect(Array.from(checkboxes).map(checkbox => checkbox.checked)).toEqual([true, false, false]);
+
+		checkboxes[2].checked = true;
+		dispatch(checkboxes[2], 'change');
+		expect(data.tags).toEqual(['a', 'c']);
+	});
+
+	it('should bind number inputs to numbers', () => {
+		const template = createTemplate('<input type="number" bind-value="data.count">');
+		const data = { count: 1 };
+		const input = render(template, data).querySelector('input');
+
+		input.value = '2';
+		dispatch(input, 'input');
+		expect(data.count).toBe(2);
+	});
+});
+
+describe('event handler modifiers', () => {
+	it('should prevent the default action and stop the propagation of events', () => {
+		const template = createTemplate('<div onsubmit="host.bubbled = true"><form onsubmit.prevent.stop="host.submitted = true"></form></div>');
+		const host = render(template);
+		const event = host.ownerDocument.createEvent('Event');
+
+		event.initEvent('submit', true, true);
+		host.querySelector('form').dispatchEvent(event);
+		expect(host.submitted).toBe(true);
+		expect(host.bubbled).toBeUndefined();
+		expect(event.defaultPrevented).toBe(true);
+	});
+
+	it('should only handle events of the given keys', () => {
+		const template = createTemplate('<input onkeydown.enter.ctrl="host.count = (host.count || 0) + 1">');
+		const host = render(template);
+		const input = host.querySelector('input');
+		const keydown = (key, ctrlKey) => {
+			const event = host.ownerDocument.createEvent('Event');
+
+			event.initEvent('keydown', true, true);
+			Object.assign(event, { key, ctrlKey });
+			input.dispatchEvent(event);
+		};
+
+		keydown('Enter', false);
+		keydown('a', true);
+		keydown('Enter', true);
+		expect(host.count).toBe(1);
+	});
+
+	it('should execute every event handler of the same event', () => {
+		const template = createTemplate('<input onkeydown.enter="host.keys.push(\'enter\')" onkeydown.esc="host.keys.push(\'esc\')" onkeydown="host.keys.push(event.key)">');
+		const host = render(template);
+		const input = host.querySelector('input');
+		const keydown = (key) => {
+			const event = host.ownerDocument.createEvent('Event');
+
+			event.initEvent('keydown', true, true);
+			event.key = key;
+			input.dispatchEvent(event);
+		};
+
+		host.keys = [];
+		keydown('Enter');
+		keydown('Escape');
+		expect(host.keys).toEqual(['enter', 'Enter', 'esc', 'Escape']);
+	});
+
+	it('should execute every event handler of the same event when delegating', () => {
+		const template = createTemplate('<button onclick="host.calls.push(\'click\')" onclick.capture="host.calls.push(\'capture\')" onclick.stop="host.calls.push(\'stop\')"></button>');
+		const host = template.ownerDocument.createElement('div');
+
+		setConfigs({ delegateEvents: true });
+
+		try {
+			host.appendChild(infuse(host, template));
+		} finally {
+			setConfigs({ delegateEvents: false });
+		}
+
+		host.calls = [];
+		dispatch(host.querySelector('button'), 'click');
+		dispatch(host.querySelector('button'), 'click');
+		expect(host.calls).toEqual(['capture', 'click', 'stop', 'capture', 'click', 'stop']);
+	});
+
+	it('should add event listeners with the listener options of the modifiers', () => {
+		const template = createTemplate('<div onclick.capture="host.a()" ontouchstart.passive.once="host.b()"></div>');
+		const host = template.ownerDocument.createElement('div');
+		const spy = jest.spyOn(Object.getPrototypeOf(domino.impl.Node.prototype), 'addEventListener');
+
+		try {
+			host.appendChild(infuse(host, template));
+			expect(spy).toHaveBeenCalledWith('click', expect.any(Function), true);
+			expect(spy).toHaveBeenCalledWith('touchstart', expect.any(Function), { capture: false, once: true, passive: true });
+		} finally {
+			spy.mockRestore();
+		}
+	});
+});
+
+describe('event delegation', () => {
+	const EventTarget = Object.getPrototypeOf(domino.impl.Node.prototype);
+	const clickOn = (target) => {
+		const event = target.ownerDocument.createEvent('Event');
+
+		event.initEvent('click', true, true);
+		target.dispatchEvent(event);
+	};
+
+	beforeAll(() => {
+		setConfigs({ delegateEvents: true });
+
+		// Domino doesn't implement `cancelBubble`.
+		if (!('cancelBubble' in domino.impl.Event.prototype)) {
+			Object.defineProperty(domino.impl.Event.prototype, 'cancelBubble', {
+				configurable: true,
+				get() {
+					// eslint-disable-next-line no-underscore-dangle
+					return this._propagationStopped;
+				},
+			});
+		}
+	});
+
+	afterAll(() => {
+		setConfigs({ delegateEvents: false });
+	});
+
+	it('should add a single event listener to the host', () => {
+		const template = createTemplate('<ul><template for="item" each="${ data.items }"><li onclick="data.clicked.push(item)">${ item }</li></template></ul>');
+		const data = { items: ['a', 'b', 'c'], clicked: [] };
+		const host = template.ownerDocument.createElement('div');
+		const spy = jest.spyOn(EventTarget, 'addEventListener');
+
+		try {
+			host.appendChild(infuse(host, template, data));
+			expect(spy).toHaveBeenCalledTimes(1);
+			expect(spy.mock.instances[0]).toBe(host);
+		} finally {
+			spy.mockRestore();
+		}
+
+		const items = host.querySelectorAll('li');
+
+		clickOn(items[2]);
+		clickOn(items[0]);
+		clickOn(host.querySelector('ul'));
+		expect(data.clicked).toEqual(['c', 'a']);
+	});
+
+	it('should stop walking up when the propagation of the event is stopped', () => {
+		const template = createTemplate('<div onclick="data.calls.push(\'outer\')"><p onclick.stop.self="data.calls.push(\'inner\')"><b>text</b></p></div>');
+		const data = { calls: [] };
+		const host = render(template, data);
+
+		clickOn(host.querySelector('b'));
+		expect(data.calls).toEqual(['outer']);
+
+		clickOn(host.querySelector('p'));
+		expect(data.calls).toEqual(['outer', 'inner']);
+	});
+
+	it('should add the listeners of non-bubbling events and listeners with options to the element', () => {
+		const template = createTemplate('<input onfocus="host.focused = true" onclick.once="host.clicked = true">');
+		const host = template.ownerDocument.createElement('div');
+		const spy = jest.spyOn(EventTarget, 'addEventListener');
+
+		try {
+			host.appendChild(infuse(host, template));
+
+			const input = host.querySelector('input');
+
+			expect(spy).toHaveBeenCalledWith('focus', expect.any(Function), false);
+			expect(spy.mock.instances).toEqual([input, input]);
+		} finally {
+			spy.mockRestore();
+		}
+	});
+
+	it('should not execute the event listeners of cleared elements', () => {
+		const template = createTemplate('<button onclick="data.count++">Add</button>');
+		const data = { count: 0 };
+		const host = render(template, data);
+		const button = host.querySelector('button');
+
+		clickOn(button);
+		clear(button, button);
+		clickOn(button);
+		expect(data.count).toBe(1);
+	});
+});
+
+describe('CustomHost', () => {
+	/**
+	 * Creates a host element for the given template. Since custom elements can't be defined in
+	 * Node.js, the host is a `div` created by domino whose prototype is replaced.
+	 */
+	function createHost(template) {
+		const doc = template.ownerDocument;
+		const element = doc.createElement('div');
+
+		class TestHost extends CustomHost(Object.getPrototypeOf(element).constructor) {
+			// eslint-disable-next-line class-methods-use-this
+			get template() {
+				return template;
+			}
+
+			get isConnected() {
+				return doc.body.contains(this);
+			}
+		}
+
+		Object.setPrototypeOf(element, TestHost.prototype);
+		element.count = 0;
+
+		return element;
+	}
+
+	function connect(host) {
+		host.ownerDocument.body.appendChild(host);
+		host.connectedCallback();
+	}
+
+	function disconnect(host) {
+		host.remove();
+		host.disconnectedCallback();
+	}
+
+	const html = '<button on-click="host.count++" watch-this="click">${ host.count }</button>';
+
+	beforeAll(() => {
+		global.HTMLTemplateElement = domino.impl.HTMLTemplateElement;
+	});
+
+	afterAll(() => {
+		delete global.HTMLTemplateElement;
+	});
+
+	it('should render the template only once when the host is moved', async () => {
+		const host = createHost(createTemplate(html));
+
+		connect(host);
+		disconnect(host);
+		connect(host);
+		await Promise.resolve();
+
+		expect(host.querySelectorAll('button').length).toBe(1);
+		dispatch(host.querySelector('button'), 'click');
+		expect(getHTML(host)).toBe('<button>1</button>');
+	});
+
+	it('should add the event listeners and watches again when reconnected after being sweept', async () => {
+		const host = createHost(createTemplate(html));
+
+		connect(host);
+		disconnect(host);
+		await Promise.resolve();
+
+		// The event listener and the watch are removed when the memory is cleared.
+		dispatch(host.querySelector('button'), 'click');
+		expect(getHTML(host)).toBe('<button>0</button>');
+
+		connect(host);
+		expect(host.querySelectorAll('button').length).toBe(1);
+		dispatch(host.querySelector('button'), 'click');
+		expect(host.count).toBe(1);
+		expect(getHTML(host)).toBe('<button>1</button>');
+	});
+
+	it('should keep the nodes (and their state) when reconnected after being sweept', async () => {
+		const template = createTemplate('<input value="${ host.count }"><template for="item" each="${ host.items }" watch-host="update"><i>${ item }</i></template>');
+		const host = createHost(template);
+
+		host.items = ['a'];
+		connect(host);
+
+		const input = host.querySelector('input');
+		const item = host.querySelector('i');
+
+		input.value = 'typed';
+		disconnect(host);
+		await Promise.resolve();
+
+		// Changes made while the host is detached are infused when it's reconnected.
+		host.count = 2;
+		host.items = ['a', 'b'];
+		connect(host);
+
+		expect(host.querySelector('input')).toBe(input);
+		expect(host.querySelector('i')).toBe(item);
+		expect(input.getAttribute('value')).toBe('2');
+		expect(getHTML(host)).toBe('<input value="2"><i>a</i><i>b</i>');
+
+		// The watches of nested templates are added again (only once).
+		host.items = ['c'];
+		dispatch(host, 'update');
+		expect(getHTML(host)).toBe('<input value="2"><i>c</i>');
+	});
+
+	it('should render the template again when rerendering a sweept host', async () => {
+		const host = createHost(createTemplate(html));
+
+		connect(host);
+		const button = host.querySelector('button');
+		disconnect(host);
+		await Promise.resolve();
+		host.rerender();
+		connect(host);
+
+		expect(host.querySelector('button')).not.toBe(button);
+		dispatch(host.querySelector('button'), 'click');
+		expect(getHTML(host)).toBe('<button>1</button>');
+	});
+
+	it('should log the errors thrown while clearing the memory of a disconnected host', async () => {
+		const host = createHost(createTemplate(html));
+		const unhandled = jest.fn();
+		const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		host.beforeSweep = () => {
+			throw new Error('sweep');
+		};
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			connect(host);
+			disconnect(host);
+			await new Promise(done => setTimeout(done));
+
+			expect(spy).toHaveBeenCalledWith(new Error('sweep'));
+			expect(unhandled).not.toHaveBeenCalled();
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+			spy.mockRestore();
+		}
+
+		// The memory is cleared anyway.
+		dispatch(host.querySelector('button'), 'click');
+		expect(host.count).toBe(0);
+	});
+
+	it('should replace the generated contents when rerendering', () => {
+		const template = createTemplate('<p>${ host.count }</p><template for="item" each="${ host.items }"><i>${ item }</i></template>');
+		const host = createHost(template);
+		const extra = template.ownerDocument.createElement('span');
+
+		host.appendChild(extra);
+		host.items = ['a', 'b'];
+		connect(host);
+		host.count = 5;
+		host.items = ['c'];
+		host.rerender();
+
+		expect(getHTML(host)).toBe('<span></span><p>5</p><i>c</i>');
+	});
+
+	it('should call the render hooks once the contents are in the DOM', async () => {
+		const host = createHost(createTemplate(html));
+		const calls = [];
+
+		host.beforeRender = () => calls.push(['beforeRender', host.innerHTML]);
+		host.afterRender = () => calls.push(['afterRender', host.isConnected]);
+		connect(host);
+
+		expect(calls).toEqual([['beforeRender', '']]);
+		await new Promise(done => setTimeout(done));
+		expect(calls).toEqual([['beforeRender', ''], ['afterRender', true]]);
+	});
+
+	it('should call the afterRender hook after the hooks of nested hosts finish', async () => {
+		const template = createTemplate('<div class="child"></div>');
+		const calls = [];
+		const parent = createHost(template);
+		let resolve;
+
+		parent.afterRender = () => calls.push('parent');
+		connect(parent);
+
+		// The nested host is connected (and rendered) right after its parent.
+		const child = parent.querySelector('.child');
+		Object.setPrototypeOf(child, Object.getPrototypeOf(parent));
+		child.afterRender = () => new Promise((done) => {
+			resolve = done;
+		}).then(() => calls.push('child'));
+		child.connectedCallback();
+
+		await new Promise(done => setTimeout(done));
+		expect(calls).toEqual([]);
+		resolve();
+		await new Promise(done => setTimeout(done));
+		expect(calls).toEqual(['child', 'parent']);
+	});
+
+	it('should call the afterUpdate hook once after re-infusions', async () => {
+		const host = createHost(createTemplate('<p watch-host="update">${ host.count }</p><template watch-host="update"><i>${ host.count }</i></template>'));
+
+		host.afterUpdate = jest.fn(() => {
+			expect(getHTML(host)).toBe('<p>1</p><i>1</i>');
+		});
+		connect(host);
+		host.count = 1;
+		dispatch(host, 'update');
+
+		expect(host.afterUpdate).not.toHaveBeenCalled();
+		await Promise.resolve();
+		expect(host.afterUpdate).toHaveBeenCalledTimes(1);
+	});
+
+	it('should call the beforeSweep hook before clearing the memory', async () => {
+		const host = createHost(createTemplate(html));
+
+		host.beforeSweep = jest.fn(() => {
+			dispatch(host.querySelector('button'), 'click');
+		});
+		connect(host);
+		host.rerender();
+		expect(host.beforeSweep).toHaveBeenCalledTimes(1);
+		expect(host.count).toBe(1);
+
+		disconnect(host);
+		await Promise.resolve();
+		expect(host.beforeSweep).toHaveBeenCalledTimes(2);
+		expect(host.count).toBe(2);
+	});
+
+	it('should log the errors of async hooks that are not handled by onError', async () => {
+		const host = createHost(createTemplate('<p watch-host="update">${ host.count }</p>'));
+		const unhandled = jest.fn();
+		const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		host.afterRender = () => Promise.reject(new Error('render'));
+		host.afterUpdate = () => {
+			throw new Error('update');
+		};
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			connect(host);
+			dispatch(host, 'update');
+			await new Promise(done => setTimeout(done));
+
+			expect(spy).toHaveBeenCalledWith(new Error('render'));
+			expect(spy).toHaveBeenCalledWith(new Error('update'));
+			expect(unhandled).not.toHaveBeenCalled();
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+			spy.mockRestore();
+		}
+	});
+
+	it('should not define the lifecycle hooks', () => {
+		const host = createHost(createTemplate(html));
+
+		['beforeRender', 'afterRender', 'afterUpdate', 'beforeSweep'].forEach((name) => {
+			expect(host[name]).toBeUndefined();
+		});
+	});
+});
+
+describe('CustomHost properties', () => {
+	function createHost(template, properties) {
+		const element = template.ownerDocument.createElement('div');
+
+		class TestHost extends CustomHost(Object.getPrototypeOf(element).constructor) {}
+		TestHost.properties = properties;
+
+		Object.setPrototypeOf(element, TestHost.prototype);
+		// Browsers read `observedAttributes` when the custom element is defined.
+		expect(TestHost.observedAttributes).toEqual(Object.keys(properties));
+
+		return element;
+	}
+
+	beforeAll(() => {
+		global.CustomEvent = domino.impl.CustomEvent;
+	});
+
+	afterAll(() => {
+		delete global.CustomEvent;
+		setConfigs({ trackDependencies: false });
+	});
+
+	it('should re-infuse elements that watch the events of changed properties', () => {
+		const template = createTemplate('<p watch-host="count-changed">${ host.count }</p>');
+		const host = createHost(template, { count: { type: Number, value: 1 } });
+
+		host.appendChild(infuse(host, template));
+		host.attributeChangedCallback('count', null, '5');
+		flushSync();
+
+		expect(host.count).toBe(5);
+		expect(getHTML(host)).toBe('<p>5</p>');
+	});
+
+	it('should re-infuse parts that depend on changed properties', () => {
+		const template = createTemplate('<h1>${ host.heading }</h1>');
+		const host = createHost(template, { heading: { reflect: true, value: 'Hi' } });
+
+		setConfigs({ trackDependencies: true });
+		host.appendChild(infuse(host, template));
+		host.heading = 'Hello';
+		flushSync();
+
+		expect(getHTML(host)).toBe('<h1>Hello</h1>');
+		expect(host.getAttribute('heading')).toBe('Hello');
+	});
+
+	it('should stop re-infusing parts that change the store properties they read', () => {
+		const store = createStore({ n: 0 });
+		const template = createTemplate('<p>${ data.store.n++ }</p>');
+		const onError = jest.fn();
+
+		setConfigs({ trackDependencies: true, onError });
+
+		try {
+			const host = render(template, { store });
+
+			store.n = 0;
+			flushSync();
+
+			expect(onError).toHaveBeenCalledTimes(1);
+			expect(onError.mock.calls[0][0].message).toMatch(/still being queued after 100 passes/);
+			expect(onError.mock.calls[0][1].element).toBe(host.firstChild);
+			expect(store.n).toBe(100);
+		} finally {
+			setConfigs({ onError: null });
+		}
+	});
+});
+
+describe('watching observable sources', () => {
+	it('should not parse modifiers in the paths of stores', () => {
+		const store = createStore({ settings: { once: false, other: 'a' } });
+		const template = createTemplate('<p const-store="${ data.store }" watch-store="settings.once">${ store.settings.once }:${ store.settings.other }</p>');
+		const host = render(template, { store });
+
+		// Only changes to "settings.once" (not to other properties of "settings") re-infuse it.
+		store.settings.other = 'b';
+		flushSync();
+		expect(getHTML(host)).toBe('<p>false:a</p>');
+
+		store.settings.once = true;
+		flushSync();
+		store.settings.once = false;
+		flushSync();
+		expect(getHTML(host)).toBe('<p>false:b</p>');
+	});
+
+	it('should re-infuse elements when a source with a subscribe method emits', () => {
+		const listeners = new Set();
+		const model = {
+			value: 'foo',
+			subscribe: listener => listeners.add(listener),
+			unsubscribe: listener => listeners.delete(listener),
+		};
+		const template = createTemplate('<p const-model="${ data.model }" watch-model="change">${ model.value }</p>');
+		const host = render(template, { model });
+
+		model.value = 'bar';
+		listeners.forEach(listener => listener());
+		flushSync();
+		expect(getHTML(host)).toBe('<p>bar</p>');
+
+		clear(host, host);
+		expect(listeners.size).toBe(0);
+	});
+});
+
+describe('unchanged parts', () => {
+	it('should not write parts whose values didn\'t change', () => {
+		const template = createTemplate('<p watch-host="update" title="${ host.title }" .hidden="${ host.hidden }">${ host.text }</p>');
+		const host = template.ownerDocument.createElement('div');
+
+		Object.assign(host, { title: 'a', hidden: false, text: 'foo' });
+		host.appendChild(infuse(host, template));
+
+		const p = host.querySelector('p');
+
+		// Change the DOM behind infuse's back to detect writes.
+		p.setAttribute('title', 'changed');
+		p.firstChild.data = 'changed';
+		p.hidden = true;
+		dispatch(host, 'update');
+
+		expect(p.getAttribute('title')).toBe('changed');
+		expect(p.firstChild.data).toBe('changed');
+		expect(p.hidden).toBe(true);
+
+		host.title = 'b';
+		host.text = 'bar';
+		dispatch(host, 'update');
+
+		expect(p.getAttribute('title')).toBe('b');
+		expect(p.firstChild.data).toBe('bar');
+		expect(p.hidden).toBe(true);
+	});
+
+	it('should always write volatile parts and objects', () => {
+		const template = createTemplate('<input watch-host="update" .value!="${ host.value }" .items="${ host.items }">');
+		const host = template.ownerDocument.createElement('div');
+
+		Object.assign(host, { value: 'foo', items: [] });
+		host.appendChild(infuse(host, template));
+
+		const input = host.querySelector('input');
+
+		input.value = 'edited';
+		input.items = null;
+		dispatch(host, 'update');
+
+		expect(input.value).toBe('foo');
+		expect(input.items).toBe(host.items);
+		expect(input.hasAttribute('.value!')).toBe(false);
+	});
+});
+
+describe('class and style parts', () => {
+	it('should toggle the classes of object-valued class attributes', () => {
+		const template = createTemplate('<p watch-host="update" class="${ { active: host.active, \'is-big bold\': host.big } }"></p>');
+		const host = template.ownerDocument.createElement('div');
+
+		Object.assign(host, { active: true, big: false });
+		host.appendChild(infuse(host, template));
+
+		const p = host.querySelector('p');
+
+		expect(p.className).toBe('active');
+
+		// Classes added by other code are left untouched.
+		p.classList.add('external');
+		Object.assign(host, { active: false, big: true });
+		dispatch(host, 'update');
+
+		expect(p.className).toBe('external is-big bold');
+	});
+
+	it('should set the properties of object-valued style attributes', () => {
+		const template = createTemplate('<p watch-host="update" style="${ host.styles }"></p>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.styles = { color: 'red', marginTop: '4px' };
+		host.appendChild(infuse(host, template));
+
+		const p = host.querySelector('p');
+
+		expect(p.getAttribute('style')).toBe('color: red; margin-top: 4px;');
+
+		host.styles = { color: 'blue', display: null };
+		dispatch(host, 'update');
+
+		expect(p.getAttribute('style')).toBe('color: blue;');
+	});
+
+	it('should infuse per-key class and style parts', () => {
+		const template = createTemplate('<p watch-host="update" class="btn" class.active?="${ host.active }" style.margin-top="${ host.margin }"></p>');
+		const host = template.ownerDocument.createElement('div');
+
+		Object.assign(host, { active: true, margin: '2px' });
+		host.appendChild(infuse(host, template));
+
+		const p = host.querySelector('p');
+
+		expect(p.className).toBe('btn active');
+		expect(p.getAttribute('style')).toBe('margin-top: 2px;');
+
+		Object.assign(host, { active: false, margin: undefined });
+		dispatch(host, 'update');
+
+		expect(p.className).toBe('btn');
+		expect(p.getAttribute('style')).toBe('');
+	});
+
+	it('should forget the applied classes when a class attribute switches from an object to a string', () => {
+		const template = createTemplate('<p watch-host="update" class="${ host.classes }"></p>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.classes = { active: true };
+		host.appendChild(infuse(host, template));
+
+		const p = host.querySelector('p');
+
+		host.classes = 'active big';
+		dispatch(host, 'update');
+		host.classes = { big: true };
+		dispatch(host, 'update');
+
+		expect(p.className).toBe('active big');
+	});
+});
+
+describe('scheduler', () => {
+	it('should merge the re-infusions queued in the same tick', async () => {
+		const template = createTemplate('<p watch-host="input; change" title="${ host.count }">${ host.renders = (host.renders || 0) + 1 }</p>');
+		const host = render(template);
+
+		host.count = 1;
+		['input', 'change'].forEach((type) => {
+			const event = host.ownerDocument.createEvent('Event');
+
+			event.initEvent(type, true, true);
+			host.dispatchEvent(event);
+		});
+
+		expect(host.renders).toBe(1);
+		await Promise.resolve();
+		expect(host.renders).toBe(2);
+		expect(host.querySelector('p').title).toBe('1');
+	});
+
+	it('should not infuse elements that were cleared before the queue was flushed', () => {
+		const template = createTemplate('<p watch-host="update">${ host.renders = (host.renders || 0) + 1 }</p>');
+		const host = render(template);
+		const event = host.ownerDocument.createEvent('Event');
+
+		event.initEvent('update', true, true);
+		host.dispatchEvent(event);
+		clear(host, host);
+		flushSync();
+
+		expect(host.renders).toBe(1);
+	});
+});
+
+describe('watch modifiers', () => {
+	it('should parse modifiers in event maps', () => {
+		jest.useFakeTimers();
+
+		try {
+			const template = createTemplate('<p watch-host="update.debounce(100); reset.once">${ host.count }</p>');
+			const host = template.ownerDocument.createElement('div');
+
+			host.count = 0;
+			host.appendChild(infuse(host, template));
+			host.count = 1;
+			dispatch(host, 'update');
+			expect(getHTML(host)).toBe('<p>0</p>');
+			jest.advanceTimersByTime(100);
+			flushSync();
+			expect(getHTML(host)).toBe('<p>1</p>');
+
+			host.count = 2;
+			dispatch(host, 'reset');
+			host.count = 3;
+			dispatch(host, 'reset');
+			expect(getHTML(host)).toBe('<p>2</p>');
+		} finally {
+			jest.useRealTimers();
+		}
+	});
+});
\ No newline at end of file
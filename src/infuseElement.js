@@ -1,10 +1,347 @@
-import { contexts } from './configs.js';
-import { camelCase } from './utils.js';
+import { camelCase, hyphenate } from './utils.js';
+import reportError, { reportAsyncError } from './reportError.js';
+import { scheduleUpdate } from './lifecycle.js';
+import { writeControl } from './bindings.js';
+import { addCleanupFunction } from './sweep.js';
+import schedule from './scheduler.js';
+import configs, { contexts } from './configs.js';
+import { subscribeDependencies, track } from './store.js';
 
-const PART_SYNTAX_HELP = 'Make sure the part name is spelled correctly. If it\'s a property, it must start with a dot, if it\'s a boolean attribute, it must end with a question mark.';
+const PART_SYNTAX_HELP = 'Make sure the part name is spelled correctly. If it\'s a property, it must start with a dot, if it\'s a two-way binding, it must start with an equal sign, if it\'s a boolean attribute, it must end with a question mark.';
 
 /**
- * Infuses all or some of the parts of an element.
+ * Stores the subscriptions to the dependencies of each part. Keys are elements and values are
+ * maps in which keys are parts and values are functions that unsubscribe the part from its
+ * dependencies.
+ */
+export const dependencies = new WeakMap();
+
+/**
+ * Stores the infusions of async parts that are in progress. Keys are elements and values are maps
+ * in which keys are parts and values are the `AbortController` instances of the latest infusion
+ * of each part.
+ */
+const pendingInfusions = new WeakMap();
+
+/**
+ * Executes the function of a part while tracking the properties of stores that the function reads
+ * (see the `track` function of the "store" module). The part is subscribed to changes of those
+ * properties, replacing the subscriptions of the previous evaluation, so that it's automatically
+ * re-infused when any of them change.
+ *
+ * @function trackPart
+ * @param {Element} element The element.
+ * @param {(string|number)} part The part of the element.
+ * @param {Function} fn The function of the part.
+ * @param {Event} event The `Event` instance that triggered the infusion.
+ * @param {AbortSignal} [signal] The signal passed to async parts.
+ * @returns {*} The value returned by `fn`.
+ */
+function trackPart(element, part, fn, event, signal) {
+	const { value, dependencies: partDependencies } = track(() => fn(event, signal));
+	let unsubscribers = dependencies.get(element);
+
+	// If the element is being tracked for the first time, add a function to release it.
+	if (!unsubscribers) {
+		unsubscribers = new Map();
+		dependencies.set(element, unsubscribers);
+
+		addCleanupFunction(element, () => {
+			unsubscribers.forEach(unsubscribe => unsubscribe());
+			unsubscribers.clear();
+			dependencies.delete(element);
+		});
+	}
+
+	// Release the dependencies of the previous evaluation.
+	if (unsubscribers.has(part)) {
+		unsubscribers.get(part)();
+	}
+
+	// eslint-disable-next-line no-use-before-define
+	const callback = change => scheduleInfusion(element, part, change);
+	unsubscribers.set(part, subscribeDependencies(partDependencies, callback));
+
+	return value;
+}
+
+/**
+ * Stores the keys applied by object-valued "class" and "style" parts. Keys are elements and values
+ * are maps in which keys are parts ("class" or "style") and values are sets of the class names or
+ * style properties applied the last time the part was infused.
+ */
+const appliedKeys = new WeakMap();
+
+/**
+ * Sets a style property of an element, or removes it if the `value` is `null`, `undefined`, or
+ * `false`. Camel case property names are hyphenated, except for custom properties (which start
+ * with two hyphens).
+ *
+ * @function setStyle
+ * @param {CSSStyleDeclaration} style The style declaration of the element.
+ * @param {string} property The name of the style property (for instance, "color" or "--gap").
+ * @param {*} value The value of the style property.
+ * @returns {string} The (hyphenated) name of the property if it was set, `null` otherwise.
+ */
+function setStyle(style, property, value) {
+	const name = property.startsWith('--') ? property : hyphenate(property);
+
+	if (value === null || value === undefined || value === false) {
+		style.removeProperty(name);
+		return null;
+	}
+
+	style.setProperty(name, String(value));
+
+	return name;
+}
+
+/**
+ * Infuses an object-valued "class" or "style" part. Keys of a "class" object are class names
+ * (separated by spaces), which are added if their values are truthy and removed otherwise. Keys of
+ * a "style" object are style properties (see `setStyle`). Classes and style properties applied the
+ * last time the part was infused, but missing from the new `object`, are removed. Any other
+ * classes and style properties of the element (for instance, static classes) are left untouched.
+ *
+ * @function setObjectPart
+ * @param {Element} element The element.
+ * @param {string} part The part: "class" or "style".
+ * @param {Object} object The value of the part.
+ */
+function setObjectPart(element, part, object) {
+	let partKeys = appliedKeys.get(element);
+
+	if (!partKeys) {
+		partKeys = new Map();
+		appliedKeys.set(element, partKeys);
+	}
+
+	const previous = partKeys.get(part) || new Set();
+	const current = new Set();
+
+	if (part === 'class') {
+		for (const key of Object.keys(object)) {
+			const classNames = key.split(/\s+/).filter(className => className !== '');
+
+			if (object[key]) {
+				classNames.forEach(className => current.add(className));
+			}
+		}
+
+		previous.forEach(className => !current.has(className) && element.classList.remove(className));
+		current.forEach(className => element.classList.add(className));
+	} else {
+		for (const key of Object.keys(object)) {
+			const name = setStyle(element.style, key, object[key]);
+
+			if (name !== null) {
+				current.add(name);
+			}
+		}
+
+		previous.forEach(name => !current.has(name) && element.style.removeProperty(name));
+	}
+
+	partKeys.set(part, current);
+}
+
+/**
+ * Stores the last value written to each part of an element. Keys are elements and values are maps
+ * in which keys are parts and values are the last written values.
+ */
+const writtenValues = new WeakMap();
+
+/**
+ * Indicates whether a part of an element must be written, which is the case unless the `value` is
+ * the same primitive value that was written the last time. Objects (and arrays) are always written
+ * since they might have been mutated, as well as two-way bindings (the user might have changed the
+ * value of the form control) and volatile parts (parts whose names end with an exclamation mark).
+ *
+ * @function mustWrite
+ * @param {Element} element The element.
+ * @param {Object} context The context object of the element.
+ * @param {(string|number)} part The part of the element.
+ * @param {*} value The value of the part.
+ * @returns {boolean}
+ */
+function mustWrite(element, context, part, value) {
+	const isBinding = typeof part === 'string' && part.startsWith('=');
+	const isVolatile = context.volatileParts !== undefined && context.volatileParts.has(part);
+
+	if (isBinding || isVolatile) {
+		return true;
+	}
+
+	let values = writtenValues.get(element);
+
+	if (!values) {
+		values = new Map();
+		writtenValues.set(element, values);
+	}
+
+	if (typeof value === 'object' && value !== null) {
+		values.delete(part);
+		return true;
+	}
+
+	const isUnchanged = values.has(part) && Object.is(values.get(part), value);
+
+	values.set(part, value);
+
+	return !isUnchanged;
+}
+
+/**
+ * Sets the value of a part of an element: a text child node, a property, a two-way binding, a
+ * class ("class.[name]?"), a style property ("style.[property]"), a boolean attribute, or an
+ * attribute. Object-valued "class" and "style" attributes are infused using `setObjectPart`. Parts
+ * whose value didn't change are not written (see `mustWrite`).
+ *
+ * @function setPart
+ * @param {Element} element The element.
+ * @param {Object} context The context object of the element.
+ * @param {(string|number)} part The part of the element.
+ * @param {*} value The value of the part.
+ */
+function setPart(element, context, part, value) {
+	if (!mustWrite(element, context, part, value)) {
+		return;
+	}
+
+	const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+	if (typeof part === 'number') {
+		/**
+		 * If `part` is a number, infuse the corresponding text child node. References to the text
+		 * nodes are kept in the context, since the indexes of the child nodes change when nested
+		 * templates are infused.
+		 */
+		const childNode = context.textNodes.get(part);
+		childNode.data = value;
+	} else if (part.startsWith('.')) {
+		// If `part` starts with a dot, infuse the corresponding property.
+		const property = camelCase(part.substr(1));
+		/* eslint-disable-next-line no-param-reassign */
+		element[property] = value;
+	} else if (part.startsWith('=')) {
+		// If `part` starts with an equal sign, infuse the property of the two-way binding.
+		writeControl(element, part.substr(1), value);
+	} else if (part.startsWith('class.')) {
+		// If `part` starts with "class.", toggle the class (the question mark is optional).
+		element.classList.toggle(part.substr(6).replace(/\?$/, ''), !!value);
+	} else if (part.startsWith('style.')) {
+		// If `part` starts with "style.", set (or remove) the style property.
+		setStyle(element.style, part.substr(6), value);
+	} else if (part.endsWith('?')) {
+		// If `part` ends with a question mark, infuse the corresponding boolean attribute.
+		const name = part.substr(0, part.length - 1);
+
+		if (!value) {
+			element.removeAttribute(name);
+		} else {
+			element.setAttribute(name, value === true ? '' : value);
+		}
+	} else if ((part === 'class' || part === 'style') && isObject) {
+		// If it's an object-valued "class" or "style" attribute, merge the object with the element.
+		setObjectPart(element, part, value);
+	} else {
+		/**
+		 * Otherwise, infuse the corresponding attribute. If it's a "class" or "style" attribute that
+		 * was an object, forget the applied keys (the attribute value replaces all of them).
+		 */
+		if (appliedKeys.has(element)) {
+			appliedKeys.get(element).delete(part);
+		}
+
+		element.setAttribute(part, value);
+	}
+}
+
+/**
+ * Starts a new infusion of an async part. If a previous infusion of the same part is still in
+ * progress, its signal is aborted (and its result will be ignored).
+ *
+ * @function startInfusion
+ * @param {Element} element The element.
+ * @param {(string|number)} part The async part of the element.
+ * @returns {AbortController} The controller of the new infusion (an object with an `abort`
+ *     function and an undefined `signal` if `AbortController` is not available).
+ */
+function startInfusion(element, part) {
+	let infusions = pendingInfusions.get(element);
+
+	// If it's the first async infusion of the element, add a function to abort the infusions.
+	if (!infusions) {
+		infusions = new Map();
+		pendingInfusions.set(element, infusions);
+
+		addCleanupFunction(element, () => {
+			infusions.forEach(controller => controller.abort());
+			infusions.clear();
+			pendingInfusions.delete(element);
+		});
+	}
+
+	if (infusions.has(part)) {
+		infusions.get(part).abort();
+	}
+
+	const controller = typeof AbortController === 'function'
+		? new AbortController()
+		: { signal: undefined, abort() {} };
+
+	infusions.set(part, controller);
+
+	return controller;
+}
+
+/**
+ * Infuses an async part once the `promise` returned by its function is resolved, unless a newer
+ * infusion of the same part has started (or the element has been sweept) by then. While the
+ * `promise` is pending, the part is infused with its pending value (if it has one).
+ *
+ * @function infusePromise
+ * @param {Element} element The element.
+ * @param {Object} context The context object of the element.
+ * @param {(string|number)} part The async part of the element.
+ * @param {Promise} promise The promise returned by the function of the part.
+ * @param {Event} event The `Event` instance that triggered the infusion.
+ * @param {AbortController} controller The controller returned by `startInfusion`.
+ */
+function infusePromise(element, context, part, promise, event, controller) {
+	const infusions = pendingInfusions.get(element);
+	const isLatest = () => infusions.get(part) === controller;
+	const info = { element, contextId: context.id, part, event };
+	// The pending value of all the text child nodes is defined by the "pending-text" attribute.
+	const pendingFn = context.pending && context.pending.get(typeof part === 'number' ? 'text' : part);
+
+	if (pendingFn) {
+		try {
+			setPart(element, context, part, pendingFn(event));
+		} catch (error) {
+			reportError(error, info, context.boundary);
+		}
+	}
+
+	promise.then((value) => {
+		if (isLatest()) {
+			infusions.delete(part);
+			setPart(element, context, part, value);
+		}
+	}, (error) => {
+		// Ignore the errors of stale infusions (for instance, the ones caused by aborting them).
+		if (isLatest()) {
+			infusions.delete(part);
+			throw error;
+		}
+	}).catch(error => reportAsyncError(error, info, context.boundary));
+}
+
+/**
+ * Infuses all or some of the parts of an element. If the `trackDependencies` configuration option
+ * is enabled, the properties of stores read by each part are tracked and the part is
+ * automatically re-infused when they change. Async parts (parts that use "await") receive an
+ * `AbortSignal` and are infused once their promises are resolved (see `infusePromise`).
  *
  * @function infuseElement
  * @param {Element} element The element to infuse.
@@ -13,9 +350,12 @@ const PART_SYNTAX_HELP = 'Make sure the part name is spelled correctly. If it\'s
  *     to infuse a single text child node, an array of strings and integers, to infuse multiple
  *     parts, or an asterisk ('*') to infuse all parts.
  * @param {Event} event The `Event` instance that triggered the infusion.
+ * @throws {*} The errors thrown by the functions of the parts, unless they're handled by the
+ *     `onError` configuration option or an error boundary (see the "reportError" module).
  */
 export default function infuseElement(element, parts = '*', event) {
 	let partsToInfuse;
+	const isTracking = configs.get('trackDependencies');
 	const context = contexts.get(element);
 	const contextParts = context.parts || new Map();
 
@@ -36,29 +376,51 @@ export default function infuseElement(element, parts = '*', event) {
 			throw new TypeError(`Invalid part: "${ part }". ${ PART_SYNTAX_HELP }`);
 		}
 
-		const value = fn(event);
-
-		if (typeof part === 'number') {
-			// If `part` is a number, infuse the corresponding text child node.
-			const childNode = element.childNodes[part];
-			childNode.data = value;
-		} else if (part.startsWith('.')) {
-			// If `part` starts with a dot, infuse the corresponding property.
-			const property = camelCase(part.substr(1));
-			/* eslint-disable-next-line no-param-reassign */
-			element[property] = value;
-		} else if (part.endsWith('?')) {
-			// If `part` ends with a question mark, infuse the corresponding boolean attribute.
-			const name = part.substr(0, part.length - 1);
-
-			if (!value) {
-				element.removeAttribute(name);
-			} else {
-				element.setAttribute(name, value === true ? '' : value);
-			}
+		let value;
+		const isAsync = context.asyncParts !== undefined && context.asyncParts.has(part);
+		const controller = isAsync ? startInfusion(element, part) : null;
+		const signal = controller ? controller.signal : undefined;
+
+		/**
+		 * Report errors thrown by the function of the part. If the error is handled (see
+		 * `reportError`), skip the part and continue with the next one.
+		 */
+		try {
+			value = isTracking ? trackPart(element, part, fn, event, signal) : fn(event, signal);
+		} catch (error) {
+			const info = { element, contextId: context.id, part, event };
+
+			reportError(error, info, context.boundary);
+			continue;
+		}
+
+		if (isAsync) {
+			infusePromise(element, context, part, value, event, controller);
 		} else {
-			// Otherwise, infuse the corresponding attribute.
-			element.setAttribute(part, value);
+			setPart(element, context, part, value);
 		}
 	}
+
+	// Re-infusions (triggered by events or changes) are followed by the host's "afterUpdate" hook.
+	if (event !== undefined && context.constants) {
+		scheduleUpdate(context.constants.host);
+	}
+}
+
+/**
+ * Queues the infusion of some or all of the parts of an element (see the "scheduler" module).
+ * Infusions of the same element queued before the queue is flushed are merged into one, and
+ * elements that are sweept before the queue is flushed are not infused.
+ *
+ * @function scheduleInfusion
+ * @param {Element} element The element to infuse.
+ * @param {(string|number)} [parts='*'] The parts of the element to infuse (see `infuseElement`).
+ * @param {Event} event The `Event` instance that triggered the infusion.
+ */
+export function scheduleInfusion(element, parts = '*', event) {
+	schedule(element, (latestEvent, queuedParts) => {
+		if (contexts.has(element)) {
+			infuseElement(element, queuedParts, latestEvent);
+		}
+	}, event, parts);
 }
\ No newline at end of file
@@ -0,0 +1,1496 @@
+/**
+ * Punctuators supported by the interpreter, sorted by length (longest first) so that the
+ * tokenizer always matches the longest punctuator.
+ */
+const PUNCTUATORS = [
+	'>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=', '=>', '==', '!=',
+	'<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+	'**', '<<', '>>', '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+	'&', '|', '^', '!', '~', '?', ':', '=', '.',
+];
+
+/**
+ * Precedence of binary and logical operators. Operators with higher values bind tighter.
+ */
+const BINARY_PRECEDENCE = new Map([
+	['??', 1], ['||', 1], ['&&', 2], ['|', 3], ['^', 4], ['&', 5], ['==', 6], ['!=', 6],
+	['===', 6], ['!==', 6], ['<', 7], ['>', 7], ['<=', 7], ['>=', 7], ['instanceof', 7], ['in', 7],
+	['<<', 8], ['>>', 8], ['>>>', 8], ['+', 9], ['-', 9], ['*', 10], ['/', 10], ['%', 10],
+	['**', 11],
+]);
+
+const ASSIGNMENT_OPERATORS = new Set([
+	'=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=',
+	'??=',
+]);
+
+const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+
+/**
+ * The global object, in which the variables that are not defined in the scope are looked up.
+ */
+/* eslint-disable no-restricted-globals */
+const GLOBAL = (typeof window !== 'undefined' && window)
+	|| (typeof self !== 'undefined' && self)
+	|| (typeof global !== 'undefined' && global)
+	|| {};
+/* eslint-enable no-restricted-globals */
+
+/**
+ * Keywords of JavaScript syntax that the interpreter doesn't support (loops, `switch`, `try`,
+ * function and class declarations, and so on). They can't be used as variable names either.
+ */
+const UNSUPPORTED_KEYWORDS = new Set([
+	'for', 'while', 'do', 'switch', 'case', 'default', 'try', 'catch', 'finally', 'break',
+	'continue', 'function', 'class', 'extends', 'super', 'yield', 'with', 'import', 'export',
+	'debugger', 'else',
+]);
+
+const NUMBER_EXP = /^(?:0[xX][\da-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+
+const IDENTIFIER_START_EXP = /[A-Za-z_$\u00c0-\uffff]/;
+
+const IDENTIFIER_EXP = /^[\w$\u00c0-\uffff]+/;
+
+const ESCAPE_EXP = /\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[\s\S])/g;
+
+const ESCAPES = {
+	b: '\b',
+	f: '\f',
+	n: '\n',
+	r: '\r',
+	t: '\t',
+	v: '\v',
+	0: '\0',
+};
+
+/**
+ * Value used to "short-circuit" optional chains (for instance, `host.user?.name`). When the object
+ * of an optional member expression or call is `null` or `undefined`, this value propagates to the
+ * end of the chain, where it's turned into `undefined`.
+ */
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+/**
+ * Replaces the escape sequences in the body of a string literal or template literal.
+ *
+ * @function unescapeString
+ * @param {string} str The body of a string literal or template literal.
+ * @returns {string} The string with all escape sequences replaced.
+ */
+function unescapeString(str) {
+	return str.replace(ESCAPE_EXP, (match, sequence) => {
+		if (sequence.startsWith('u{')) {
+			return String.fromCodePoint(parseInt(sequence.substring(2, sequence.length - 1), 16));
+		}
+
+		if (sequence.length > 1 && (sequence[0] === 'u' || sequence[0] === 'x')) {
+			return String.fromCharCode(parseInt(sequence.substr(1), 16));
+		}
+
+		// Line continuations.
+		if (sequence === '\r\n' || sequence === '\n' || sequence === '\r') {
+			return '';
+		}
+
+		return Object.prototype.hasOwnProperty.call(ESCAPES, sequence) ? ESCAPES[sequence] : sequence;
+	});
+}
+
+/**
+ * Splits the source code of an expression (or of the statements of an event handler) into an
+ * array of tokens. Each token is an object with a `type` ("name", "number", "string", "template",
+ * "punctuator", or "end"), a `value`, the `start` position of the token, and a `newline` boolean
+ * indicating whether or not there's a line break before the token. Tokens of template literals
+ * contain the raw strings (`quasis`) and the tokens of each embedded expression (`expressions`).
+ *
+ * @function tokenize
+ * @param {string} source The source code.
+ * @param {number} [position=0] The position at which to start.
+ * @param {boolean} [isEmbedded=false] Indicates if the source code is an expression embedded in a
+ *     template literal, in which case, the tokenizer stops at the closing curly brace.
+ * @returns {Object} An object with the `tokens` and the `end` position.
+ * @throws {SyntaxError} If the source code contains an invalid or unterminated token.
+ */
+function tokenize(source, position = 0, isEmbedded = false) {
+	const tokens = [];
+	let i = position;
+	let braces = 0;
+	let newline = false;
+
+	while (i < source.length) {
+		const char = source[i];
+		const next = source[i + 1];
+
+		// Skip white space, keeping track of line breaks.
+		if (/\s/.test(char)) {
+			newline = newline || /[\n\r\u2028\u2029]/.test(char);
+			i++;
+			continue;
+		}
+
+		// Skip comments.
+		if (char === '/' && (next === '/' || next === '*')) {
+			const end = next === '/' ? source.indexOf('\n', i) : source.indexOf('*/', i + 2);
+
+			if (next === '*' && end === -1) {
+				throw new SyntaxError(`Unterminated comment at position ${ i }: ${ source }`);
+			}
+
+			newline = newline || next === '/' || source.substring(i, end).indexOf('\n') !== -1;
+			i = end === -1 ? source.length : end + (next === '/' ? 1 : 2);
+			continue;
+		}
+
+		// The closing curly brace of an embedded expression.
+		if (isEmbedded && char === '}' && braces === 0) {
+			tokens.push({ type: 'end', value: '', start: i, end: i, newline });
+			return { tokens, end: i + 1 };
+		}
+
+		const token = { start: i, newline };
+		const rest = source.substr(i);
+		let match;
+		newline = false;
+
+		if (IDENTIFIER_START_EXP.test(char)) {
+			[token.value] = IDENTIFIER_EXP.exec(rest);
+			token.type = 'name';
+		} else if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+			match = NUMBER_EXP.exec(rest);
+			token.type = 'number';
+			token.value = Number(match[0]);
+			token.length = match[0].length;
+		} else if (char === '"' || char === '\'') {
+			let end = i + 1;
+
+			while (end < source.length && source[end] !== char && !/[\n\r]/.test(source[end])) {
+				end += source[end] === '\\' ? 2 : 1;
+			}
+
+			if (source[end] !== char) {
+				throw new SyntaxError(`Unterminated string literal at position ${ i }: ${ source }`);
+			}
+
+			token.type = 'string';
+			token.value = unescapeString(source.substring(i + 1, end));
+			token.length = end + 1 - i;
+		} else if (char === '`') {
+			const quasis = [];
+			const expressions = [];
+			let raw = '';
+			let end = i + 1;
+
+			while (source[end] !== '`') {
+				if (end >= source.length) {
+					throw new SyntaxError(`Unterminated template literal at position ${ i }: ${ source }`);
+				}
+
+				if (source[end] === '\\') {
+					raw += source.substr(end, 2);
+					end += 2;
+				} else if (source[end] === '$' && source[end + 1] === '{') {
+					const embedded = tokenize(source, end + 2, true);
+
+					quasis.push(raw);
+					expressions.push(embedded.tokens);
+					raw = '';
+					({ end } = embedded);
+				} else {
+					raw += source[end];
+					end++;
+				}
+			}
+
+			quasis.push(raw);
+			token.type = 'template';
+			token.value = { quasis, expressions };
+			token.length = end + 1 - i;
+		} else {
+			let punctuator = PUNCTUATORS.find(p => rest.startsWith(p));
+
+			if (punctuator === undefined) {
+				throw new SyntaxError(`Invalid or unexpected token "${ char }" at position ${ i }: ${ source }`);
+			}
+
+			// "?." followed by a digit is a conditional operator followed by a number.
+			if (punctuator === '?.' && /\d/.test(source[i + 2])) {
+				punctuator = '?';
+			}
+
+			token.type = 'punctuator';
+			token.value = punctuator;
+
+			if (token.value === '{') {
+				braces++;
+			} else if (token.value === '}') {
+				braces--;
+			}
+		}
+
+		i += token.length || String(token.value).length;
+		token.end = i;
+		delete token.length;
+		tokens.push(token);
+	}
+
+	if (isEmbedded) {
+		throw new SyntaxError(`Unterminated template literal expression: ${ source }`);
+	}
+
+	tokens.push({ type: 'end', value: '', start: i, end: i, newline });
+
+	return { tokens, end: i };
+}
+
+/**
+ * Parses tokens (generated by `tokenize`) into a syntax tree. The syntax tree is made of plain
+ * objects (nodes) with a `type` attribute and the attributes needed to evaluate each node.
+ */
+class Parser {
+	/**
+	 * @param {Object[]} tokens The tokens to parse.
+	 * @param {string} source The source code (used in error messages).
+	 * @param {boolean} isAsync Indicates whether or not "await" can be used.
+	 */
+	constructor(tokens, source, isAsync) {
+		this.tokens = tokens;
+		this.source = source;
+		this.isAsync = isAsync;
+		this.index = 0;
+	}
+
+	peek(offset = 0) {
+		return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+	}
+
+	next() {
+		const token = this.peek();
+
+		if (token.type !== 'end') {
+			this.index++;
+		}
+
+		return token;
+	}
+
+	/**
+	 * Indicates whether or not the current token is the given punctuator or keyword.
+	 */
+	is(value, offset = 0) {
+		const token = this.peek(offset);
+
+		return (token.type === 'punctuator' || token.type === 'name') && token.value === value;
+	}
+
+	eat(value) {
+		if (this.is(value)) {
+			this.next();
+			return true;
+		}
+
+		return false;
+	}
+
+	expect(value) {
+		if (!this.eat(value)) {
+			this.unexpected();
+		}
+	}
+
+	unexpected(token = this.peek()) {
+		const description = token.type === 'end' ? 'end of input' : `token "${ this.source.substring(token.start, token.end) }"`;
+
+		throw new SyntaxError(`Unexpected ${ description } at position ${ token.start }: ${ this.source }`);
+	}
+
+	unsupported(token, description) {
+		throw new SyntaxError(`${ description } not supported by the interpreter at position ${ token.start }: ${ this.source }`);
+	}
+
+	/**
+	 * Parses an expression and makes sure all the tokens were consumed.
+	 */
+	parseProgram() {
+		const expression = this.parseExpression();
+
+		if (this.peek().type !== 'end') {
+			this.unexpected();
+		}
+
+		return expression;
+	}
+
+	parseStatements(closing) {
+		const body = [];
+
+		while (!this.is(closing)) {
+			if (this.peek().type === 'end') {
+				this.unexpected();
+			}
+
+			body.push(this.parseStatement());
+		}
+
+		return body;
+	}
+
+	parseStatement() {
+		if (this.eat(';')) {
+			return { type: 'Empty' };
+		}
+
+		if (this.eat('{')) {
+			const body = this.parseStatements('}');
+
+			this.expect('}');
+			return { type: 'Block', body };
+		}
+
+		if (this.eat('if')) {
+			this.expect('(');
+			const test = this.parseExpression();
+			this.expect(')');
+			const consequent = this.parseStatement();
+			const alternate = this.eat('else') ? this.parseStatement() : null;
+
+			return { type: 'If', test, consequent, alternate };
+		}
+
+		let statement;
+
+		if (this.is('const') || this.is('let') || this.is('var')) {
+			const kind = this.next().value;
+			const declarations = [];
+
+			do {
+				const name = this.parseIdentifierName();
+				const init = this.eat('=') ? this.parseAssignment() : null;
+
+				if (init === null && kind === 'const') {
+					this.unexpected();
+				}
+
+				declarations.push({ name, init });
+			} while (this.eat(','));
+
+			statement = { type: 'Declaration', kind, declarations };
+		} else if (this.is('return') || this.is('throw')) {
+			const type = this.next().value === 'return' ? 'Return' : 'Throw';
+			const token = this.peek();
+			const hasArgument = !token.newline && !this.is(';') && !this.is('}') && token.type !== 'end';
+
+			if (type === 'Throw' && !hasArgument) {
+				this.unexpected();
+			}
+
+			statement = { type, argument: hasArgument ? this.parseExpression() : null };
+		} else {
+			statement = { type: 'ExpressionStatement', expression: this.parseExpression() };
+		}
+
+		// Statements end with a semicolon, a line break, or a closing curly brace.
+		if (!this.eat(';') && !this.peek().newline && !this.is('}') && this.peek().type !== 'end') {
+			this.unexpected();
+		}
+
+		return statement;
+	}
+
+	parseIdentifierName() {
+		const token = this.next();
+
+		if (token.type !== 'name') {
+			this.unexpected(token);
+		}
+
+		return token.value;
+	}
+
+	parseExpression() {
+		const expression = this.parseAssignment();
+
+		if (!this.is(',')) {
+			return expression;
+		}
+
+		const expressions = [expression];
+
+		while (this.eat(',')) {
+			expressions.push(this.parseAssignment());
+		}
+
+		return { type: 'Sequence', expressions };
+	}
+
+	/**
+	 * Indicates whether or not the current token is the start of an arrow function.
+	 */
+	isArrowFunction() {
+		let offset = this.is('async') && !this.peek(1).newline ? 1 : 0;
+
+		if (this.peek(offset).type === 'name') {
+			return this.is('=>', offset + 1);
+		}
+
+		if (!this.is('(', offset)) {
+			return false;
+		}
+
+		// Find the closing parenthesis and check if it's followed by "=>".
+		for (let depth = 0; this.peek(offset).type !== 'end'; offset++) {
+			if (this.is('(', offset) || this.is('[', offset) || this.is('{', offset)) {
+				depth++;
+			} else if (this.is(')', offset) || this.is(']', offset) || this.is('}', offset)) {
+				depth--;
+
+				if (depth === 0) {
+					return this.is('=>', offset + 1);
+				}
+			}
+		}
+
+		return false;
+	}
+
+	parseArrowFunction() {
+		// "async" is the name of the parameter if it's followed by "=>".
+		const isAsync = this.is('async') && !this.is('=>', 1);
+		const params = [];
+
+		if (isAsync) {
+			this.next();
+		}
+
+		if (this.eat('(')) {
+			while (!this.eat(')')) {
+				const rest = this.eat('...');
+				const name = this.parseIdentifierName();
+				const defaultValue = !rest && this.eat('=') ? this.parseAssignment() : null;
+
+				params.push({ name, rest, defaultValue });
+
+				if (!this.is(')')) {
+					this.expect(',');
+				}
+			}
+		} else {
+			params.push({ name: this.parseIdentifierName(), rest: false, defaultValue: null });
+		}
+
+		this.expect('=>');
+
+		const wasAsync = this.isAsync;
+		let body;
+		this.isAsync = isAsync;
+
+		if (this.eat('{')) {
+			body = this.parseStatements('}');
+			this.expect('}');
+		} else {
+			body = this.parseAssignment();
+		}
+
+		this.isAsync = wasAsync;
+
+		return {
+			type: 'Arrow',
+			params,
+			body,
+			isExpression: !Array.isArray(body),
+			isAsync,
+		};
+	}
+
+	parseAssignment() {
+		if (this.isArrowFunction()) {
+			return this.parseArrowFunction();
+		}
+
+		const target = this.parseConditional();
+		const token = this.peek();
+
+		if (token.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(token.value)) {
+			if (target.type !== 'Identifier' && target.type !== 'Member') {
+				throw new SyntaxError(`Invalid left-hand side in assignment at position ${ token.start }: ${ this.source }`);
+			}
+
+			this.next();
+
+			return {
+				type: 'Assignment',
+				operator: token.value,
+				target,
+				value: this.parseAssignment(),
+			};
+		}
+
+		return target;
+	}
+
+	parseConditional() {
+		const test = this.parseBinary(0);
+
+		if (!this.eat('?')) {
+			return test;
+		}
+
+		const consequent = this.parseAssignment();
+		this.expect(':');
+		const alternate = this.parseAssignment();
+
+		return { type: 'Conditional', test, consequent, alternate };
+	}
+
+	parseBinary(minPrecedence) {
+		let left = this.parseUnary();
+
+		for (;;) {
+			const token = this.peek();
+			const isOperator = token.type === 'punctuator' || token.type === 'name';
+			const precedence = isOperator ? BINARY_PRECEDENCE.get(token.value) : undefined;
+
+			if (precedence === undefined || precedence <= minPrecedence) {
+				return left;
+			}
+
+			this.next();
+
+			// Exponentiation is right-associative.
+			const right = this.parseBinary(token.value === '**' ? precedence - 1 : precedence);
+			const isLogical = token.value === '&&' || token.value === '||' || token.value === '??';
+
+			left = {
+				type: isLogical ? 'Logical' : 'Binary',
+				operator: token.value,
+				left,
+				right,
+			};
+		}
+	}
+
+	parseUnary() {
+		const token = this.peek();
+
+		if (token.type !== 'string' && UNARY_OPERATORS.has(token.value)) {
+			this.next();
+			return { type: 'Unary', operator: token.value, argument: this.parseUnaryOperand() };
+		}
+
+		if (this.is('await')) {
+			if (!this.isAsync) {
+				throw new SyntaxError(`"await" is only valid in async functions at position ${ token.start }: ${ this.source }`);
+			}
+
+			this.next();
+			return { type: 'Await', argument: this.parseUnaryOperand() };
+		}
+
+		if (this.is('++') || this.is('--')) {
+			this.next();
+			return {
+				type: 'Update',
+				operator: token.value,
+				prefix: true,
+				argument: this.parseUpdateTarget(),
+			};
+		}
+
+		const expression = this.parseCall();
+
+		if ((this.is('++') || this.is('--')) && !this.peek().newline) {
+			this.checkUpdateTarget(expression);
+
+			return {
+				type: 'Update',
+				operator: this.next().value,
+				prefix: false,
+				argument: expression,
+			};
+		}
+
+		return expression;
+	}
+
+	/**
+	 * Parses the operand of a unary operator (or "await"). As in JavaScript, the operand can't be
+	 * followed by "**" (for instance, `-x ** 2`), since the precedence would be ambiguous.
+	 */
+	parseUnaryOperand() {
+		const argument = this.parseUnary();
+
+		if (this.is('**')) {
+			throw new SyntaxError(`Unary operator used immediately before exponentiation expression at position ${ this.peek().start } (use parentheses): ${ this.source }`);
+		}
+
+		return argument;
+	}
+
+	parseUpdateTarget() {
+		const target = this.parseUnary();
+
+		this.checkUpdateTarget(target);
+
+		return target;
+	}
+
+	checkUpdateTarget(target) {
+		if (target.type !== 'Identifier' && target.type !== 'Member') {
+			throw new SyntaxError(`Invalid left-hand side expression in update operation: ${ this.source }`);
+		}
+	}
+
+	parseArguments(closing) {
+		const args = [];
+
+		while (!this.eat(closing)) {
+			if (this.eat('...')) {
+				args.push({ type: 'Spread', argument: this.parseAssignment() });
+			} else if (closing === ']' && this.is(',')) {
+				// Holes in array literals.
+				args.push(null);
+			} else {
+				args.push(this.parseAssignment());
+			}
+
+			if (!this.is(closing)) {
+				this.expect(',');
+			}
+		}
+
+		return args;
+	}
+
+	parseCall() {
+		let expression;
+		let isChain = false;
+
+		if (this.eat('new')) {
+			let callee = this.parsePrimary();
+
+			while (this.is('.') || this.is('[')) {
+				callee = this.parseMember(callee, false);
+			}
+
+			const args = this.eat('(') ? this.parseArguments(')') : [];
+			expression = { type: 'New', callee, arguments: args };
+		} else {
+			expression = this.parsePrimary();
+		}
+
+		for (;;) {
+			const optional = this.eat('?.');
+			isChain = isChain || optional;
+
+			if (this.is('(')) {
+				this.next();
+				expression = { type: 'Call', callee: expression, arguments: this.parseArguments(')'), optional };
+			} else if (optional || this.is('.') || this.is('[')) {
+				expression = this.parseMember(expression, optional);
+			} else if (this.peek().type === 'template') {
+				expression = { type: 'TaggedTemplate', tag: expression, quasi: this.parseTemplate() };
+			} else {
+				break;
+			}
+		}
+
+		return isChain ? { type: 'Chain', expression } : expression;
+	}
+
+	parseMember(object, optional) {
+		if (this.eat('[')) {
+			const property = this.parseExpression();
+
+			this.expect(']');
+			return { type: 'Member', object, property, computed: true, optional };
+		}
+
+		if (!optional) {
+			this.expect('.');
+		}
+
+		return {
+			type: 'Member',
+			object,
+			property: this.parseIdentifierName(),
+			computed: false,
+			optional,
+		};
+	}
+
+	parseTemplate() {
+		const { quasis, expressions } = this.next().value;
+
+		return {
+			type: 'Template',
+			raws: quasis,
+			quasis: quasis.map(unescapeString),
+			expressions: expressions.map(tokens => (
+				new Parser(tokens, this.source, this.isAsync).parseProgram()
+			)),
+		};
+	}
+
+	parseObject() {
+		const properties = [];
+
+		while (!this.eat('}')) {
+			const token = this.peek();
+
+			if (this.eat('...')) {
+				properties.push({ spread: true, value: this.parseAssignment() });
+			} else {
+				let key;
+				let computed = false;
+
+				if (this.eat('[')) {
+					key = this.parseAssignment();
+					computed = true;
+					this.expect(']');
+				} else if (token.type === 'name' || token.type === 'string' || token.type === 'number') {
+					key = String(this.next().value);
+				} else {
+					this.unexpected();
+				}
+
+				if (this.eat(':')) {
+					properties.push({ key, computed, value: this.parseAssignment() });
+				} else if (token.type === 'name' && !computed) {
+					// Shorthand properties.
+					properties.push({ key, computed, value: { type: 'Identifier', name: key } });
+				} else {
+					this.unexpected();
+				}
+			}
+
+			if (!this.is('}')) {
+				this.expect(',');
+			}
+		}
+
+		return { type: 'Object', properties };
+	}
+
+	parsePrimary() {
+		const token = this.peek();
+
+		switch (token.type) {
+		case 'number':
+		case 'string':
+			this.next();
+			return { type: 'Literal', value: token.value };
+		case 'template':
+			return this.parseTemplate();
+		case 'name':
+			this.next();
+
+			if (token.value === 'true' || token.value === 'false') {
+				return { type: 'Literal', value: token.value === 'true' };
+			}
+
+			if (token.value === 'null') {
+				return { type: 'Literal', value: null };
+			}
+
+			if (token.value === 'this') {
+				return { type: 'This' };
+			}
+
+			if (UNSUPPORTED_KEYWORDS.has(token.value)) {
+				this.unsupported(token, `"${ token.value }" is`);
+			}
+
+			return { type: 'Identifier', name: token.value };
+		default:
+			break;
+		}
+
+		if (this.eat('(')) {
+			const expression = this.parseExpression();
+
+			this.expect(')');
+			return expression;
+		}
+
+		if (this.eat('[')) {
+			return { type: 'Array', elements: this.parseArguments(']') };
+		}
+
+		if (this.eat('{')) {
+			return this.parseObject();
+		}
+
+		if (this.is('/')) {
+			this.unsupported(token, 'Regular expression literals are');
+		}
+
+		return this.unexpected();
+	}
+}
+
+/**
+ * Creates a new scope. Scopes contain the variables (bindings) available to the expressions being
+ * evaluated and the value of `this`.
+ *
+ * @function createScope
+ * @param {Object} parent The parent scope (or `null`).
+ * @param {*} [thisValue] The value of `this`. Inherited from the parent scope if not provided.
+ * @returns {Object} The scope.
+ */
+export function createScope(parent, thisValue = parent ? parent.thisValue : undefined) {
+	return { parent, thisValue, bindings: new Map() };
+}
+
+/**
+ * Declares a variable in the given scope.
+ *
+ * @function declare
+ * @param {Object} scope The scope.
+ * @param {string} name The name of the variable.
+ * @param {*} value The value of the variable.
+ * @param {boolean} [isConstant=true] Indicates whether or not the variable is a constant.
+ */
+export function declare(scope, name, value, isConstant = true) {
+	scope.bindings.set(name, { value, isConstant });
+}
+
+/**
+ * Finds the binding of a variable in the given scope or any of its ancestors.
+ *
+ * @function findBinding
+ * @param {Object} scope The scope.
+ * @param {string} name The name of the variable.
+ * @returns {Object} The binding (an object with the `value` and `isConstant`) or `undefined`.
+ */
+function findBinding(scope, name) {
+	for (let current = scope; current; current = current.parent) {
+		if (current.bindings.has(name)) {
+			return current.bindings.get(name);
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Executes a generator created by `evaluate` synchronously. Generators only yield when they
+ * evaluate an "await" expression, which the parser only allows in async functions.
+ *
+ * @function runSync
+ * @param {Generator} generator The generator.
+ * @returns {*} The resulting value.
+ */
+function runSync(generator) {
+	const { value, done } = generator.next();
+
+	if (!done) {
+		throw new SyntaxError('"await" is only valid in async functions.');
+	}
+
+	return value;
+}
+
+/**
+ * Executes a generator created by `evaluate` asynchronously. Every value yielded by the generator
+ * (the argument of an "await" expression) is awaited and the result is sent back to the generator.
+ *
+ * @function runAsync
+ * @param {Generator} generator The generator.
+ * @returns {Promise} A promise that resolves with the resulting value.
+ */
+function runAsync(generator) {
+	return new Promise((resolve, reject) => {
+		const step = (method, input) => {
+			let result;
+
+			try {
+				result = generator[method](input);
+			} catch (error) {
+				reject(error);
+				return;
+			}
+
+			if (result.done) {
+				resolve(result.value);
+			} else {
+				Promise.resolve(result.value).then(
+					value => step('next', value),
+					error => step('throw', error),
+				);
+			}
+		};
+
+		step('next');
+	});
+}
+
+/**
+ * Indicates whether or not a logical operator ("&&", "||", or "??") short-circuits, that is, if
+ * the right operand doesn't need to be evaluated because the result is the left operand.
+ *
+ * @function isShortCircuited
+ * @param {string} operator The logical operator.
+ * @param {*} left The value of the left operand.
+ * @returns {boolean}
+ */
+function isShortCircuited(operator, left) {
+	if (operator === '&&') {
+		return !left;
+	}
+
+	if (operator === '||') {
+		return !!left;
+	}
+
+	return left !== null && left !== undefined;
+}
+
+/**
+ * Applies a binary operator.
+ *
+ * @function applyOperator
+ * @param {string} operator The operator.
+ * @param {*} left The left operand.
+ * @param {*} right The right operand.
+ * @returns {*} The result.
+ */
+function applyOperator(operator, left, right) {
+	/* eslint-disable eqeqeq, no-bitwise */
+	switch (operator) {
+	case '+': return left + right;
+	case '-': return left - right;
+	case '*': return left * right;
+	case '/': return left / right;
+	case '%': return left % right;
+	case '**': return left ** right;
+	case '==': return left == right;
+	case '!=': return left != right;
+	case '===': return left === right;
+	case '!==': return left !== right;
+	case '<': return left < right;
+	case '>': return left > right;
+	case '<=': return left <= right;
+	case '>=': return left >= right;
+	case '&': return left & right;
+	case '|': return left | right;
+	case '^': return left ^ right;
+	case '<<': return left << right;
+	case '>>': return left >> right;
+	case '>>>': return left >>> right;
+	case 'in': return left in right;
+	case 'instanceof': return left instanceof right;
+	default: throw new SyntaxError(`Unsupported operator "${ operator }".`);
+	}
+	/* eslint-enable eqeqeq, no-bitwise */
+}
+
+/**
+ * Evaluates a node of a syntax tree. This is a generator function, which yields the argument of
+ * each "await" expression (see `runSync` and `runAsync`).
+ *
+ * @function evaluate
+ * @param {Object} node The node to evaluate.
+ * @param {Object} scope The scope.
+ * @returns {*} The resulting value.
+ */
+function* evaluate(node, scope) {
+	switch (node.type) {
+	case 'Literal':
+		return node.value;
+	case 'Identifier':
+		// eslint-disable-next-line no-use-before-define
+		return resolveIdentifier(node.name, scope).get();
+	case 'This':
+		return scope.thisValue;
+	case 'Arrow':
+		// eslint-disable-next-line no-use-before-define
+		return createArrowFunction(node, scope);
+	default:
+		// eslint-disable-next-line no-use-before-define
+		return yield* evaluators[node.type](node, scope);
+	}
+}
+
+/**
+ * Evaluates the arguments of a call (or the elements of an array literal), including spread
+ * elements.
+ *
+ * @function evaluateArguments
+ * @param {Object[]} nodes The nodes of the arguments.
+ * @param {Object} scope The scope.
+ * @returns {Array} The values of the arguments.
+ */
+function* evaluateArguments(nodes, scope) {
+	const values = [];
+
+	for (const node of nodes) {
+		if (node === null) {
+			values.length++;
+		} else if (node.type === 'Spread') {
+			values.push(...(yield* evaluate(node.argument, scope)));
+		} else {
+			values.push(yield* evaluate(node, scope));
+		}
+	}
+
+	return values;
+}
+
+/**
+ * Evaluates the object and the property name of a member expression.
+ *
+ * @function evaluateReference
+ * @param {Object} node The member expression node.
+ * @param {Object} scope The scope.
+ * @returns {Array} The object and the property name, or `SHORT_CIRCUIT` if the object is `null`
+ *     or `undefined` and the member expression is optional.
+ */
+function* evaluateReference(node, scope) {
+	const object = yield* evaluate(node.object, scope);
+
+	if (object === SHORT_CIRCUIT || (node.optional && (object === null || object === undefined))) {
+		return SHORT_CIRCUIT;
+	}
+
+	const property = node.computed ? yield* evaluate(node.property, scope) : node.property;
+
+	if (object === null || object === undefined) {
+		throw new TypeError(`Cannot read properties of ${ object } (reading "${ String(property) }").`);
+	}
+
+	return [object, property];
+}
+
+/**
+ * Executes a list of statements.
+ *
+ * @function execute
+ * @param {Object[]} statements The nodes of the statements.
+ * @param {Object} scope The scope.
+ * @returns {Object} An object with the returned `value` if a "return" statement was executed,
+ *     `undefined` otherwise.
+ */
+function* execute(statements, scope) {
+	for (const statement of statements) {
+		// eslint-disable-next-line no-use-before-define
+		const completion = yield* executeStatement(statement, scope);
+
+		if (completion) {
+			return completion;
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Executes a single statement.
+ *
+ * @function executeStatement
+ * @param {Object} node The node of the statement.
+ * @param {Object} scope The scope.
+ * @returns {Object} An object with the returned `value` if a "return" statement was executed,
+ *     `undefined` otherwise.
+ */
+function* executeStatement(node, scope) {
+	switch (node.type) {
+	case 'Empty':
+		return undefined;
+	case 'Block':
+		return yield* execute(node.body, createScope(scope));
+	case 'If':
+		if (yield* evaluate(node.test, scope)) {
+			return yield* executeStatement(node.consequent, scope);
+		}
+
+		return node.alternate ? yield* executeStatement(node.alternate, scope) : undefined;
+	case 'Declaration':
+		for (const { name, init } of node.declarations) {
+			const value = init ? yield* evaluate(init, scope) : undefined;
+			declare(scope, name, value, node.kind === 'const');
+		}
+
+		return undefined;
+	case 'Return':
+		return { value: node.argument ? yield* evaluate(node.argument, scope) : undefined };
+	case 'Throw':
+		throw yield* evaluate(node.argument, scope);
+	default:
+		yield* evaluate(node.expression, scope);
+		return undefined;
+	}
+}
+
+/**
+ * Creates the function of an arrow function expression. Calling the function evaluates the body of
+ * the arrow function in a new scope that contains the arguments.
+ *
+ * @function createArrowFunction
+ * @param {Object} node The arrow function node.
+ * @param {Object} scope The scope in which the arrow function is defined.
+ * @returns {Function} The function.
+ */
+function createArrowFunction(node, scope) {
+	function* call(args) {
+		const local = createScope(scope);
+
+		for (let i = 0; i < node.params.length; i++) {
+			const { name, rest, defaultValue } = node.params[i];
+			let value = rest ? args.slice(i) : args[i];
+
+			if (value === undefined && defaultValue) {
+				value = yield* evaluate(defaultValue, local);
+			}
+
+			declare(local, name, value, false);
+		}
+
+		if (node.isExpression) {
+			return yield* evaluate(node.body, local);
+		}
+
+		const completion = yield* execute(node.body, local);
+
+		return completion ? completion.value : undefined;
+	}
+
+	return (...args) => (node.isAsync ? runAsync(call(args)) : runSync(call(args)));
+}
+
+/**
+ * Returns a reference to a variable: an object with a `get` and a `set` function. Variables that
+ * are not defined in the scope are looked up in the global object.
+ *
+ * @function resolveIdentifier
+ * @param {string} name The name of the variable.
+ * @param {Object} scope The scope.
+ * @returns {Object} The reference.
+ * @throws {ReferenceError} If the variable is not defined (when `get` or `set` are called).
+ */
+function resolveIdentifier(name, scope) {
+	const binding = findBinding(scope, name);
+
+	if (binding === undefined) {
+		const check = () => {
+			if (!(name in GLOBAL)) {
+				throw new ReferenceError(`${ name } is not defined`);
+			}
+		};
+
+		return {
+			get() {
+				check();
+				return GLOBAL[name];
+			},
+			set(value) {
+				check();
+				GLOBAL[name] = value;
+			},
+		};
+	}
+
+	return {
+		get: () => binding.value,
+		set(value) {
+			if (binding.isConstant) {
+				throw new TypeError('Assignment to constant variable.');
+			}
+
+			binding.value = value;
+		},
+	};
+}
+
+/**
+ * Returns a reference (see `resolveIdentifier`) to the target of an assignment or update
+ * expression.
+ *
+ * @function resolveTarget
+ * @param {Object} target The target node (an identifier or a member expression).
+ * @param {Object} scope The scope.
+ * @returns {Object} The reference.
+ */
+function* resolveTarget(target, scope) {
+	if (target.type === 'Identifier') {
+		return resolveIdentifier(target.name, scope);
+	}
+
+	const [object, property] = yield* evaluateReference(target, scope);
+
+	return {
+		get: () => object[property],
+		set(value) {
+			object[property] = value;
+		},
+	};
+}
+
+/**
+ * Functions that evaluate each type of node (see `evaluate`).
+ */
+const evaluators = {
+	* Template(node, scope) {
+		let str = node.quasis[0];
+
+		for (let i = 0; i < node.expressions.length; i++) {
+			str += `${ yield* evaluate(node.expressions[i], scope) }${ node.quasis[i + 1] }`;
+		}
+
+		return str;
+	},
+
+	* TaggedTemplate(node, scope) {
+		const { quasi } = node;
+		let tag;
+		let thisValue;
+
+		if (node.tag.type === 'Member') {
+			const [object, property] = yield* evaluateReference(node.tag, scope);
+			tag = object[property];
+			thisValue = object;
+		} else {
+			tag = yield* evaluate(node.tag, scope);
+		}
+
+		// The same strings array is used every time the tagged template is evaluated.
+		if (!quasi.strings) {
+			quasi.strings = Object.freeze(Object.defineProperty(quasi.quasis.slice(), 'raw', {
+				value: Object.freeze(quasi.raws.slice()),
+			}));
+		}
+
+		const values = yield* evaluateArguments(quasi.expressions, scope);
+
+		return tag.call(thisValue, quasi.strings, ...values);
+	},
+
+	* Array(node, scope) {
+		return yield* evaluateArguments(node.elements, scope);
+	},
+
+	* Object(node, scope) {
+		const object = {};
+
+		for (const property of node.properties) {
+			if (property.spread) {
+				Object.assign(object, yield* evaluate(property.value, scope));
+			} else {
+				const key = property.computed ? yield* evaluate(property.key, scope) : property.key;
+				object[key] = yield* evaluate(property.value, scope);
+			}
+		}
+
+		return object;
+	},
+
+	* Member(node, scope) {
+		const reference = yield* evaluateReference(node, scope);
+
+		if (reference === SHORT_CIRCUIT) {
+			return SHORT_CIRCUIT;
+		}
+
+		return reference[0][reference[1]];
+	},
+
+	* Chain(node, scope) {
+		const value = yield* evaluate(node.expression, scope);
+
+		return value === SHORT_CIRCUIT ? undefined : value;
+	},
+
+	* Call(node, scope) {
+		let fn;
+		let thisValue;
+
+		if (node.callee.type === 'Member') {
+			const reference = yield* evaluateReference(node.callee, scope);
+
+			if (reference === SHORT_CIRCUIT) {
+				return SHORT_CIRCUIT;
+			}
+
+			[thisValue] = reference;
+			fn = thisValue[reference[1]];
+		} else {
+			fn = yield* evaluate(node.callee, scope);
+		}
+
+		if (fn === SHORT_CIRCUIT || (node.optional && (fn === null || fn === undefined))) {
+			return SHORT_CIRCUIT;
+		}
+
+		if (typeof fn !== 'function') {
+			throw new TypeError(`${ fn } is not a function.`);
+		}
+
+		return fn.apply(thisValue, yield* evaluateArguments(node.arguments, scope));
+	},
+
+	* New(node, scope) {
+		const constructor = yield* evaluate(node.callee, scope);
+		const args = yield* evaluateArguments(node.arguments, scope);
+
+		return Reflect.construct(constructor, args);
+	},
+
+	* Unary(node, scope) {
+		const { argument, operator } = node;
+
+		if (operator === 'typeof' && argument.type === 'Identifier') {
+			const isDefined = findBinding(scope, argument.name) || argument.name in GLOBAL;
+
+			if (!isDefined) {
+				return 'undefined';
+			}
+		}
+
+		if (operator === 'delete') {
+			if (argument.type !== 'Member') {
+				return true;
+			}
+
+			const reference = yield* evaluateReference(argument, scope);
+
+			return reference === SHORT_CIRCUIT ? true : Reflect.deleteProperty(...reference);
+		}
+
+		const value = yield* evaluate(argument, scope);
+
+		switch (operator) {
+		case '!': return !value;
+		case '-': return -value;
+		case '+': return +value;
+		// eslint-disable-next-line no-bitwise
+		case '~': return ~value;
+		case 'typeof': return typeof value;
+		default: return undefined;
+		}
+	},
+
+	* Update(node, scope) {
+		const reference = yield* resolveTarget(node.argument, scope);
+		const previous = Number(reference.get());
+		const value = node.operator === '++' ? previous + 1 : previous - 1;
+
+		reference.set(value);
+
+		return node.prefix ? value : previous;
+	},
+
+	* Binary(node, scope) {
+		const left = yield* evaluate(node.left, scope);
+		const right = yield* evaluate(node.right, scope);
+
+		return applyOperator(node.operator, left, right);
+	},
+
+	* Logical(node, scope) {
+		const left = yield* evaluate(node.left, scope);
+
+		if (isShortCircuited(node.operator, left)) {
+			return left;
+		}
+
+		return yield* evaluate(node.right, scope);
+	},
+
+	* Conditional(node, scope) {
+		const test = yield* evaluate(node.test, scope);
+
+		return yield* evaluate(test ? node.consequent : node.alternate, scope);
+	},
+
+	* Assignment(node, scope) {
+		const { operator } = node;
+		const reference = yield* resolveTarget(node.target, scope);
+		let value;
+
+		if (operator === '=') {
+			value = yield* evaluate(node.value, scope);
+		} else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+			const current = reference.get();
+
+			// Logical assignments only evaluate (and assign) the value if needed.
+			if (isShortCircuited(operator.substr(0, 2), current)) {
+				return current;
+			}
+
+			value = yield* evaluate(node.value, scope);
+		} else {
+			const current = reference.get();
+			const right = yield* evaluate(node.value, scope);
+
+			value = applyOperator(operator.substr(0, operator.length - 1), current, right);
+		}
+
+		reference.set(value);
+
+		return value;
+	},
+
+	* Sequence(node, scope) {
+		let value;
+
+		for (const expression of node.expressions) {
+			value = yield* evaluate(expression, scope);
+		}
+
+		return value;
+	},
+
+	* Await(node, scope) {
+		return yield yield* evaluate(node.argument, scope);
+	},
+};
+
+/**
+ * Parses the source code of an expression. The interpreter supports the subset of JavaScript used
+ * in expressions, template literals, and event handlers: literals (except regular expressions),
+ * template literals (including tagged template literals), array and object literals, arrow
+ * functions, member expressions (including optional chaining), calls, `new`, unary, binary,
+ * logical, conditional, assignment, and update operators, `await` (in async functions), and, in
+ * the body of arrow functions, the `if`, `const`, `let`, `var`, `return`, and `throw` statements.
+ * Other syntax, such as loops, `switch`, `try`, functions (other than arrow functions), classes,
+ * and regular expression literals, throws a `SyntaxError` that says it's not supported.
+ *
+ * @function parse
+ * @param {string} source The source code of the expression.
+ * @param {Object} [options={}] Options object.
+ * @param {boolean} [options.isAsync=false] Indicates whether or not "await" can be used outside
+ *     of async arrow functions.
+ * @returns {Object} The syntax tree.
+ * @throws {SyntaxError} If the source code is invalid or not supported by the interpreter.
+ */
+export function parse(source, options = {}) {
+	const { tokens } = tokenize(source);
+
+	return new Parser(tokens, source, !!options.isAsync).parseProgram();
+}
+
+/**
+ * Parses the source code of an expression (see `parse`) and returns a function that evaluates it
+ * in a given scope (see `createScope`). The returned function is used instead of generating
+ * functions using `new Function`, which is not allowed by Content Security Policies that don't
+ * include "unsafe-eval".
+ *
+ *     const scope = createScope(null, element);
+ *     declare(scope, 'host', host);
+ *     compile('`Total: ${ host.total }`')(scope);
+ *
+ * @function compile
+ * @param {string} source The source code of the expression.
+ * @param {Object} [options={}] Options object.
+ * @param {boolean} [options.isAsync=false] Indicates whether or not the expression can use
+ *     "await". If `true`, the returned function returns a promise.
+ * @returns {Function} A function that takes a scope and returns the value of the expression.
+ */
+export default function compile(source, options = {}) {
+	const ast = parse(source, options);
+
+	return (scope) => {
+		const generator = evaluate(ast, scope);
+
+		return options.isAsync ? runAsync(generator) : runSync(generator);
+	};
+}
\ No newline at end of file
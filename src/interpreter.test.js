@@ -0,0 +1,195 @@
+/* eslint-disable no-template-curly-in-string */
+import compile, { createScope, declare, parse } from './interpreter.js';
+
+function evaluate(source, variables = {}, options = {}) {
+	const scope = createScope(null, options.thisValue);
+
+	Object.keys(variables).forEach(name => declare(scope, name, variables[name]));
+
+	return compile(source, options)(scope);
+}
+
+describe('parse', () => {
+	it('should return a syntax tree', () => {
+		expect(parse('host.total')).toEqual({
+			type: 'Member',
+			object: { type: 'Identifier', name: 'host' },
+			property: 'total',
+			computed: false,
+			optional: false,
+		});
+	});
+
+	it('should throw a SyntaxError when the expression is invalid', () => {
+		expect(() => parse('host.')).toThrow(/Unexpected end of input/);
+		expect(() => parse('host total')).toThrow(/Unexpected token "total" at position 5/);
+		expect(() => parse('"unterminated')).toThrow(/Unterminated string literal/);
+		expect(() => parse('`${ host.total `')).toThrow(SyntaxError);
+		expect(() => parse('1 = 2')).toThrow(/Invalid left-hand side/);
+	});
+
+	it('should throw a SyntaxError when a unary operator is followed by "**"', () => {
+		expect(() => parse('-x ** 2')).toThrow(/Unary operator used immediately before exponentiation/);
+		expect(() => parse('2 * typeof x ** 2')).toThrow(SyntaxError);
+		expect(() => parse('(async () => await x ** 2)')).toThrow(SyntaxError);
+		expect(() => parse('(-x) ** 2')).not.toThrow();
+		expect(() => parse('++x ** 2')).not.toThrow();
+	});
+
+	it('should throw a SyntaxError when the syntax is not supported', () => {
+		const sources = [
+			'(() => { for (const item of host.items) {} })',
+			'(() => { while (true) {} })',
+			'(() => { switch (host.type) { case 1: return 1 } })',
+			'(() => { try { host.save() } catch (error) {} })',
+			'host.items.map(function (item) { return item })',
+			'class {}',
+		];
+
+		sources.forEach((source) => {
+			expect(() => parse(source)).toThrow(/"(for|while|switch|try|function|class)" is not supported by the interpreter at position \d+/);
+		});
+
+		expect(() => parse('/a/.test(host.name)')).toThrow(/Regular expression literals are not supported/);
+	});
+
+	it('should only allow await in async functions', () => {
+		expect(() => parse('await host.load()')).toThrow(SyntaxError);
+		expect(() => parse('(() => await host.load())')).toThrow(SyntaxError);
+		expect(() => parse('await host.load()', { isAsync: true })).not.toThrow();
+		expect(() => parse('(async () => await host.load())')).not.toThrow();
+	});
+});
+
+describe('compile', () => {
+	const host = {
+		total: 10,
+		user: { name: 'Ann' },
+		items: [1, 2, 3],
+		double(n) {
+			return n * 2;
+		},
+	};
+
+	it('should evaluate literals and operators', () => {
+		expect(evaluate('1 + 2 * 3 ** 2')).toBe(19);
+		expect(evaluate('-.5 + 0x10')).toBe(15.5);
+		expect(evaluate('"a\\tb" + \'c\'')).toBe('a\tbc');
+		expect(evaluate('null ?? 0 || "default"')).toBe('default');
+		expect(evaluate('1 < 2 && 2 >= 2 && 1 == "1" && 1 !== "1"')).toBe(true);
+		expect(evaluate('typeof undeclared')).toBe('undefined');
+		expect(evaluate('!true ? "yes" : "no"')).toBe('no');
+	});
+
+	it('should evaluate member expressions and calls', () => {
+		expect(evaluate('host.user.name', { host })).toBe('Ann');
+		expect(evaluate('host["user"]["name"].length', { host })).toBe(3);
+		expect(evaluate('host.double(host.total)', { host })).toBe(20);
+		expect(evaluate('host.items.map(n => n * 2).join(", ")', { host })).toBe('2, 4, 6');
+		expect(evaluate('Math.max(...host.items)', { host })).toBe(3);
+		expect(evaluate('new Date(0).getTime()')).toBe(0);
+	});
+
+	it('should evaluate optional chaining', () => {
+		expect(evaluate('host.missing?.name.length', { host })).toBe(undefined);
+		expect(evaluate('host.missing?.()', { host })).toBe(undefined);
+		expect(evaluate('host.items?.[1]', { host })).toBe(2);
+		expect(() => evaluate('host.missing.name', { host })).toThrow(TypeError);
+	});
+
+	it('should evaluate template literals and tagged template literals', () => {
+		const tags = { upper: (strings, ...values) => strings.join('|').toUpperCase() + values.join() };
+
+		expect(evaluate('`Total: ${ host.total } (${ `${ host.user.name }` })`', { host })).toBe('Total: 10 (Ann)');
+		expect(evaluate('tags.upper`a${ 1 }b`', { tags })).toBe('A|B1');
+	});
+
+	it('should evaluate array and object literals', () => {
+		expect(evaluate('[1, ...host.items, 4]', { host })).toEqual([1, 1, 2, 3, 4]);
+		expect(evaluate('({ a: 1, total: host.total, ["b" + 1]: 2, ...host.user })', { host })).toEqual({
+			a: 1,
+			total: 10,
+			b1: 2,
+			name: 'Ann',
+		});
+	});
+
+	it('should evaluate assignments and update expressions', () => {
+		const obj = { count: 1 };
+
+		expect(evaluate('obj.count++', { obj })).toBe(1);
+		expect(evaluate('++obj.count', { obj })).toBe(3);
+		expect(evaluate('obj.count += 2', { obj })).toBe(5);
+		expect(evaluate('obj.name ??= "new"', { obj })).toBe('new');
+		expect(obj).toEqual({ count: 5, name: 'new' });
+		expect(() => evaluate('obj = 1', { obj })).toThrow(TypeError);
+	});
+
+	it('should evaluate arrow functions with statements', () => {
+		const source = '((a, b = 2, ...rest) => {\n\tconst sum = a + b\n\tif (rest.length) { return sum + rest.length }\n\treturn sum;\n})';
+		const fn = evaluate(source);
+
+		expect(fn(1)).toBe(3);
+		expect(fn(1, 1, 'x', 'y')).toBe(4);
+	});
+
+	it('should evaluate every supported type of expression', () => {
+		const obj = { n: 1, list: [1, 2] };
+		const expressions = [
+			['Literal', '"a"', 'a'],
+			['Identifier', 'obj', obj],
+			['This', 'this', host],
+			['Template', '`n: ${ obj.n }`', 'n: 1'],
+			['TaggedTemplate', 'String.raw`a\\n`', 'a\\n'],
+			['Array', '[obj.n, ...obj.list]', [1, 1, 2]],
+			['Object', '({ n: obj.n })', { n: 1 }],
+			['Member', 'obj["list"].length', 2],
+			['Chain', 'obj.missing?.length', undefined],
+			['Call', 'String(obj.n)', '1'],
+			['New', 'new Array(3)', [undefined, undefined, undefined]],
+			['Unary', 'void obj.n', undefined],
+			['Binary', 'obj.n << 3', 8],
+			['Logical', 'obj.missing || obj.n', 1],
+			['Conditional', 'obj.n ? "yes" : "no"', 'yes'],
+			['Sequence', '(obj.n, obj.list)', [1, 2]],
+		];
+
+		expressions.forEach(([type, source, value]) => {
+			expect(parse(source).type).toBe(type);
+			expect(evaluate(source, { obj }, { thisValue: host })).toEqual(value);
+		});
+
+		expect(parse('(n => n)').type).toBe('Arrow');
+		expect(parse('obj.n = 2').type).toBe('Assignment');
+		expect(parse('obj.n++').type).toBe('Update');
+		expect(parse('await obj', { isAsync: true }).type).toBe('Await');
+		expect(evaluate('delete obj.n', { obj })).toBe(true);
+		expect(obj).toEqual({ list: [1, 2] });
+	});
+
+	it('should execute every supported type of statement', () => {
+		const source = '(() => {\n\t;\n\tlet a = 1, b\n\tvar c = 2\n\t{ a += c }\n\tif (a > 5) { return "big" } else if (a > 2) b = "medium"\n\telse b = "small"\n\treturn b\n})';
+
+		expect(evaluate(source)()).toBe('medium');
+		expect(() => evaluate('(() => { throw new Error("thrown") })')()).toThrow('thrown');
+	});
+
+	it('should use the value of `this` of the scope', () => {
+		expect(evaluate('(() => this.id)()', {}, { thisValue: { id: 'el' } })).toBe('el');
+	});
+
+	it('should look up undeclared variables in the global object', () => {
+		expect(evaluate('JSON.stringify([1])')).toBe('[1]');
+		expect(() => evaluate('notDefined')).toThrow(ReferenceError);
+
+		global.interpreterGlobal = 1;
+		expect(evaluate('interpreterGlobal += 1')).toBe(2);
+		expect(global.interpreterGlobal).toBe(2);
+		delete global.interpreterGlobal;
+	});
+
+	it('should evaluate await in async expressions and functions', async () => {
+		await expect(evaluate('await Promise.resolve(1) + 1', {}, { isAsync: true })).resolves.toBe(2);
+		await expect(evaluate('(async n => (await n) * 2)(Promise.resolve(3))')).resolves.toBe(6);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+import reportError, { reportAsyncError } from './reportError.js';
+import { isThenable } from './utils.js';
+
+/**
+ * Stores the promises of the "afterRender" hooks. Keys are host elements and values are promises
+ * that are resolved once the `afterRender` method of the host (and of the hosts nested in its
+ * contents) has finished.
+ */
+const renders = new WeakMap();
+
+// Host elements whose `afterUpdate` method will be called in the next microtask.
+const updates = new WeakSet();
+
+/**
+ * Calls the lifecycle method (hook) of a host, if it has one, and reports the errors thrown by the
+ * method using `reportError`. The rejection of the promise returned by the method, and the errors
+ * thrown by methods called from a microtask (`isAsync`), are reported using `reportAsyncError`, so
+ * that they're logged instead of becoming unhandled rejections.
+ *
+ * @function callHook
+ * @param {Object} host The host element.
+ * @param {string} name The name of the method (for instance, "afterRender").
+ * @param {boolean} [isAsync=false] Whether the method is called from a microtask.
+ * @returns {Promise} A promise that is resolved once the method has finished (it's never rejected).
+ */
+export function callHook(host, name, isAsync = false) {
+	const info = { element: host, contextId: null, part: null, event: undefined };
+	const reportAsync = error => reportAsyncError(error, info);
+	const report = isAsync ? reportAsync : error => reportError(error, info);
+	let value;
+
+	if (typeof host[name] !== 'function') {
+		return Promise.resolve();
+	}
+
+	try {
+		value = host[name]();
+	} catch (error) {
+		report(error);
+		return Promise.resolve();
+	}
+
+	return isThenable(value) ? Promise.resolve(value).catch(reportAsync) : Promise.resolve();
+}
+
+/**
+ * Calls the `afterRender` method of a host in a microtask, after the `afterRender` methods of the
+ * hosts nested in its contents (the `root`) have finished. If `afterRender` returns a promise,
+ * the hosts that contain this `host` wait until it's resolved.
+ *
+ * @function scheduleAfterRender
+ * @param {Element} host The host element.
+ * @param {(ShadowRoot|Element)} root The root of the host, which contains the rendered contents.
+ */
+export function scheduleAfterRender(host, root) {
+	const promise = Promise.resolve()
+		/**
+		 * Nested hosts are connected (and schedule their own "afterRender" hooks) synchronously,
+		 * after this host, so they're searched in the microtask.
+		 */
+		.then(() => Promise.all(Array.from(root.querySelectorAll('*'))
+			.filter(element => element !== host && renders.has(element))
+			.map(element => renders.get(element))))
+		.then(() => callHook(host, 'afterRender', true));
+
+	renders.set(host, promise);
+}
+
+/**
+ * Calls the `afterUpdate` method of a host in a microtask. The method is called only once per
+ * microtask, no matter how many elements (or nested templates) of the host were re-infused.
+ *
+ * @function scheduleUpdate
+ * @param {Object} host The host element.
+ */
+export function scheduleUpdate(host) {
+	if (!host || typeof host.afterUpdate !== 'function' || updates.has(host)) {
+		return;
+	}
+
+	updates.add(host);
+
+	Promise.resolve().then(() => {
+		updates.delete(host);
+		callHook(host, 'afterUpdate', true);
+	});
+}
\ No newline at end of file
@@ -1,5 +1,7 @@
-import configs from './configs.js';
+import { globalState } from './configs.js';
 import { camelCase } from './utils.js';
+import TemplateSyntaxError from './diagnostics.js';
+import compile, { createScope, declare, parse } from './interpreter.js';
 import splitFragments, { joinFragments } from './splitFragments.js';
 
 /**
@@ -8,6 +10,45 @@ import splitFragments, { joinFragments } from './splitFragments.js';
  */
 const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
 
+/**
+ * Name of the parameter of the functions that assign the new values of two-way bindings. It's
+ * unlikely to be used in templates, so it doesn't shadow the variables used in the expressions.
+ */
+const BINDING_VALUE = '$$value';
+
+/**
+ * Modifiers of event handlers that are passed to `addEventListener` as listener options.
+ */
+const LISTENER_OPTIONS = ['capture', 'once', 'passive'];
+
+/**
+ * Modifiers of event handlers that require a modifier key to be pressed. Values are the properties
+ * of the event that indicate whether each key is pressed.
+ */
+const SYSTEM_KEYS = new Map([
+	['alt', 'altKey'],
+	['ctrl', 'ctrlKey'],
+	['meta', 'metaKey'],
+	['shift', 'shiftKey'],
+]);
+
+/**
+ * Key filters of event handlers. Values are the lower case values of `event.key` that match each
+ * filter. Single characters (letters, digits, or symbols) are also valid key filters.
+ */
+const KEY_FILTERS = new Map([
+	['backspace', ['backspace']],
+	['delete', ['delete', 'del']],
+	['down', ['arrowdown', 'down']],
+	['enter', ['enter']],
+	['esc', ['escape', 'esc']],
+	['left', ['arrowleft', 'left']],
+	['right', ['arrowright', 'right']],
+	['space', [' ', 'spacebar']],
+	['tab', ['tab']],
+	['up', ['arrowup', 'up']],
+]);
+
 /**
  * Searches for, and returns, a variable or event name within a string as indicated by the given
  * regular expression or string prefix. Returns `null` if the string doesn't match the regular
@@ -42,6 +83,158 @@ export function searchName(str, exp) {
 	return null;
 }
 
+/**
+ * Searches for the event name and the modifiers of an event handler attribute. Modifiers follow
+ * the name of the attribute, separated by dots (for instance, "onkeydown.enter.prevent"), so event
+ * names can't contain dots.
+ *
+ *     // Returns { eventName: 'click', modifiers: [] }.
+ *     searchEventHandler('onclick', /^on-?(\w[\w:-]+)$/);
+ *     // Returns { eventName: 'click', modifiers: ['stop', 'once'] }.
+ *     searchEventHandler('onclick.stop.once', 'on');
+ *
+ * @function searchEventHandler
+ * @param {string} name The name of the attribute.
+ * @param {(string|RegExp)} exp The `eventHandlerExp` configuration option (see `searchName`).
+ * @returns {Object} An object with the `eventName` and an array of `modifiers`, or `null` if the
+ *     attribute is not an event handler.
+ */
+export function searchEventHandler(name, exp) {
+	const [handlerName, ...modifiers] = name.split('.');
+	const eventName = handlerName === '' ? null : searchName(handlerName, exp);
+
+	return eventName === null ? null : { eventName, modifiers };
+}
+
+/**
+ * Generates the source code of an event listener that executes the `code` of an event handler,
+ * applying the `modifiers` of the event handler:
+ *     * `self`: Only handle events dispatched on the element itself (not on its descendants).
+ *     * Key filters ("enter", "esc", "space", "tab", "up", "down", "left", "right", "delete",
+ *       "backspace", or a single character): Only handle events of one of the given keys.
+ *     * System keys ("ctrl", "alt", "shift", and "meta"): Only handle events in which all the
+ *       given modifier keys are pressed.
+ *     * `prevent`: Call `event.preventDefault()`.
+ *     * `stop`: Call `event.stopPropagation()`.
+ *     * `capture`, `once`, and `passive`: Returned as listener options for `addEventListener`.
+ *
+ * @function createListener
+ * @param {string} attribute The name of the event handler attribute (used in error messages).
+ * @param {string} code The source code of the event handler.
+ * @param {string[]} modifiers The modifiers of the event handler.
+ * @param {Object} state The state whose "eventName" configuration option is used.
+ * @returns {Object} An object with the source `code` of the event listener and the listener
+ *     `options` (`null` if there are none).
+ * @throws {SyntaxError} If a modifier is unknown or "passive" is combined with "prevent".
+ */
+function createListener(attribute, code, modifiers, state) {
+	const event = state.configs.get('eventName');
+	const keys = [];
+	const guards = [];
+	const statements = [];
+	let options = null;
+
+	for (const modifier of modifiers) {
+		if (LISTENER_OPTIONS.includes(modifier)) {
+			options = { ...options, [modifier]: true };
+		} else if (modifier === 'self') {
+			// Compare with `this` (the element), since delegated events have a different `currentTarget`.
+			guards.push(`${ event }.target !== this`);
+		} else if (SYSTEM_KEYS.has(modifier)) {
+			guards.push(`!${ event }.${ SYSTEM_KEYS.get(modifier) }`);
+		} else if (KEY_FILTERS.has(modifier) || modifier.length === 1) {
+			keys.push(...(KEY_FILTERS.get(modifier) || [modifier]));
+		} else if (modifier === 'prevent') {
+			statements.push(`${ event }.preventDefault();`);
+		} else if (modifier === 'stop') {
+			statements.push(`${ event }.stopPropagation();`);
+		} else {
+			throw new SyntaxError(`Unknown event handler modifier "${ modifier }": ${ attribute }. Valid modifiers are: prevent, stop, self, capture, once, passive, ctrl, alt, shift, meta, a key name (${ Array.from(KEY_FILTERS.keys()).join(', ') }), or a single character.`);
+		}
+	}
+
+	// Passive listeners can't prevent the default action of the event.
+	if (options !== null && options.passive && modifiers.includes('prevent')) {
+		throw new SyntaxError(`Event handler modifiers "passive" and "prevent" can't be combined: ${ attribute }.`);
+	}
+
+	if (keys.length > 0) {
+		guards.unshift(`!${ JSON.stringify(keys) }.includes(String(${ event }.key).toLowerCase())`);
+	}
+
+	if (guards.length > 0) {
+		statements.unshift(`if (${ guards.join(' || ') }) return;`);
+	}
+
+	return { code: `(${ event }) => {${ [...statements, code].join(' ') }}`, options };
+}
+
+/**
+ * Checks the syntax of the generated source `code` of a constant, watch, event listener, part, or
+ * iteration key, using the evaluator defined by the `evaluator` configuration option. If the
+ * `code` is invalid, each fragment is checked individually to find the location of the error.
+ *
+ * @function validateCode
+ * @param {string} code The generated source code (an expression).
+ * @param {Object} options Options object.
+ * @param {string} options.input The value of the attribute or text node.
+ * @param {Array} [options.fragments] The fragments of the `input` (returned by `splitFragments`).
+ * @param {boolean} [options.isAsync=false] Indicates if the `code` can use "await".
+ * @param {Object} options.state The state whose "evaluator" configuration option is used.
+ * @throws {TemplateSyntaxError} If the `code` is invalid.
+ */
+function validateCode(code, options) {
+	const { input, fragments, isAsync = false, state } = options;
+	const getError = (src, canAwait) => {
+		try {
+			if (state.configs.get('evaluator') === 'interpreter') {
+				parse(src, { isAsync: canAwait });
+			} else {
+				const FunctionClass = canAwait ? AsyncFunction : Function;
+
+				// eslint-disable-next-line no-new, no-new-func
+				new FunctionClass(`return (\n${ src }\n);`);
+			}
+		} catch (error) {
+			/**
+			 * The code is compiled but never executed, so any error is an early error. Some engines
+			 * (such as Node 10) report invalid assignment targets as a `ReferenceError`.
+			 */
+			if (error instanceof SyntaxError || error instanceof ReferenceError) {
+				return error;
+			}
+
+			throw error;
+		}
+
+		return null;
+	};
+
+	let error = getError(code, isAsync);
+
+	if (error === null) {
+		return;
+	}
+
+	let offset = 0;
+
+	// Find the first fragment that is invalid on its own.
+	for (const fragment of fragments || []) {
+		if (typeof fragment !== 'string') {
+			const src = fragment.expression || fragment.template;
+			const fragmentError = getError(src, isAsync || fragment.hasAwait);
+
+			if (fragmentError !== null) {
+				error = fragmentError;
+				offset = Math.max(input.indexOf(src), 0);
+				break;
+			}
+		}
+	}
+
+	throw new TemplateSyntaxError(`Invalid expression: ${ error.message }`, { source: input, offset });
+}
+
 /**
  * Searches the attributes and child nodes of an element to parse:
  *
@@ -50,79 +243,153 @@ export function searchName(str, exp) {
  * * Iteration constants: Variable names, as defined by the "for" attribute of a template element,
  *     to use when iterating over a collection of values as defined by the template's "each", "of",
  *     or "in" attributes.
+ * * Iteration key: An expression, as defined by the "key" attribute of a template element, that
+ *     uniquely identifies each value of the collection.
  * * Parts: Parts of the element that have expressions or template literals.
  *     * Attributes.
  *     * Boolean attributes.
  *     * Properties.
  *     * Text child nodes.
+ *     Attributes, boolean attributes, and properties whose names end with an exclamation mark are
+ *     volatile parts, which are written every time they're infused (even if their value didn't
+ *     change).
+ * * Bindings: Properties of form controls, as defined by "bind-[property]" attributes, that are
+ *     kept in sync with an assignable expression (two-way bindings). Each binding is parsed into a
+ *     part ("=" followed by the name of the property) and a function that assigns new values.
+ * * Pending values: Values, as defined by "pending-[part]" attributes, to infuse while the promises
+ *     returned by async parts (parts that use "await") are pending. The pending value of all the
+ *     text child nodes is defined by the "pending-text" attribute.
  *
  * @function parseParts
  * @param {Element} element The element to parse. Must be an instance of
  *     [Element](https://developer.mozilla.org/en-US/docs/Web/API/element).
  * @param {Window} window The window object to use during the parsing process.
+ * @param {Object} [state=globalState] The state whose configuration options are used (see
+ *     `createState`).
  * @returns {Object} A "parse result" object (which can be used to create a context function using
  *     `createContextFunction`) with the following properties:
+ *     * `asyncParts`: An array of the parts that use "await".
+ *     * `bindings`: A `Map` of the properties of two-way bindings and the source code of the
+ *         functions that assign their new values.
  *     * `constants`: An object with constant variable names and the expressions (strings) to
  *         define them when a new context is created. Hyphenated variable names are turned into
  *         camelCase.
+ *     * `eventListenerOptions`: A `Map` of event listener keys (see `eventListeners`) and their
+ *         listener options (`capture`, `once`, and `passive`), as defined by event handler
+ *         modifiers.
  *     * `eventListeners`: A `Map` of event listeners to add to each new instance of the element.
+ *         Keys are event names followed by the modifiers of the event handler, if it has any (for
+ *         instance, "click" or "keydown.enter.prevent").
  *     * `forVariableNames`: If the `element` is a <template> element and it has the "for"
  *         attribute, this array will contain the name of the constants to use in each iteration.
  *         The order of the variable names follow this format: [value, key, collection].
  *     * `isAsync`: Indicates if one of the `constants` or `watches` use "await".
+ *     * `key`: If the `element` is a <template> element and it has the "key" attribute, this is
+ *         the source code of a function that takes the iteration values (in the same order as
+ *         `forVariableNames`) and returns the key of the iteration. It's `null` otherwise.
  *     * `parts`: A `Map` of parts and their corresponding callback expressions (strings).
+ *     * `pending`: A `Map` of parts (or "text" for all text child nodes) and the callback
+ *         expressions (strings) of their pending values.
  *     * `parsedAttributeNames`: An array of all the parsed attribute names.
  *     * `parsedChildNodes`: An array of all the parsed child node (text nodes) indexes.
+ *     * `volatileParts`: An array of the parts that are written every time they're infused, even
+ *         if their value didn't change.
  *     * `watches`: A `Map` of events in which the element, or parts of it, must be re-infused.
+ * @throws {TemplateSyntaxError} If an expression, template literal, or event handler is invalid.
+ *     The error includes the tag name of the `element` and the name of the attribute.
  */
-export default function parseParts(element, window) {
+export default function parseParts(element, window, state = globalState) {
 	const constants = {};
 	const parts = new Map();
+	const pending = new Map();
+	const bindings = new Map();
 	const watches = new Map();
+	const asyncParts = [];
+	const volatileParts = [];
 	const parsedChildNodes = [];
 	const forVariableNames = [];
 	const parsedAttributeNames = [];
 	const eventListeners = new Map();
+	const eventListenerOptions = new Map();
+	const { configs } = state;
 	const watchExp = configs.get('watchExp');
+	const bindExp = configs.get('bindExp');
+	const pendingExp = configs.get('pendingExp');
 	const constantExp = configs.get('constantExp');
 	const eventHandlerExp = configs.get('eventHandlerExp');
 	const camelCaseEvents = configs.get('camelCaseEvents');
 	const { HTMLTemplateElement, Node } = window;
 
 	let isAsync = false;
+	let keyFragments = null;
+	let keyInput = null;
+
+	/**
+	 * Executes `fn` and adds the `element` and the name of the `attribute` (`null` for text nodes)
+	 * to the details of the errors thrown by it.
+	 */
+	const locate = (attribute, fn) => {
+		try {
+			return fn();
+		} catch (error) {
+			if (error instanceof TemplateSyntaxError) {
+				error.addDetails({ element, tagName: element.tagName.toLowerCase(), attribute });
+			}
+
+			throw error;
+		}
+	};
+
+	// Validates the generated source `code` of an attribute (or text node).
+	const validate = (attribute, code, options) => locate(attribute, () => (
+		validateCode(code, { ...options, state })
+	));
 
 	for (let i = 0; i < element.attributes.length; i++) {
 		let { name, value } = element.attributes.item(i);
 
+		const attributeName = name;
 		const constantName = searchName(name, constantExp);
-		let eventName = searchName(name, eventHandlerExp);
+		const eventHandler = searchEventHandler(name, eventHandlerExp);
 		const watchName = searchName(name, watchExp);
+		const pendingName = searchName(name, pendingExp);
+		const bindName = searchName(name, bindExp);
 
 		const isConstant = constantName !== null;
-		const isEventHandler = eventName !== null;
+		const isEventHandler = eventHandler !== null;
 		const isFor = name === 'for' && element instanceof HTMLTemplateElement;
+		const isKey = name === 'key' && element instanceof HTMLTemplateElement;
 		const isWatch = watchName !== null;
+		const isPending = pendingName !== null;
+		const isBinding = bindName !== null;
 
 		/**
-		 * Trim white space if it's an event handler. Throw an exception if it starts with ${ and
-		 * ends with }.
+		 * Trim white space if it's an event handler or a binding. Throw an exception if it starts
+		 * with ${ and ends with }.
 		 */
-		if (isEventHandler) {
+		if (isEventHandler || isBinding) {
 			value = value.trim();
 
 			if (value.startsWith('${') && value.endsWith('}')) {
-				throw new SyntaxError(`Event handlers should not start with "\${" and end with "}": ${ name }="${ value }".`);
+				const type = isEventHandler ? 'Event handlers' : 'Bindings';
+
+				throw new SyntaxError(`${ type } should not start with "\${" and end with "}": ${ name }="${ value }".`);
 			}
 		}
 
-		const fragments = isEventHandler ? null : splitFragments(value);
+		const input = value;
+		const isCode = isEventHandler || isBinding;
+		const fragments = isCode ? null : locate(name, () => splitFragments(value, state));
 		const hasFragments = fragments !== null;
+		const validateOptions = { input, fragments };
 
 		/**
 		 * Ignore attribute and continue to the next one if there are no fragments and it's not:
-		 * a constant, event listener, "for" attribute, or watch.
+		 * a constant, event listener, "for" attribute, watch, pending value, or binding.
 		 */
-		if (!hasFragments && !isConstant && !isEventHandler && !isFor && !isWatch) {
+		const isDeclaration = isConstant || isCode || isFor || isWatch || isPending;
+
+		if (!hasFragments && !isDeclaration) {
 			continue;
 		}
 
@@ -139,7 +406,8 @@ export default function parseParts(element, window) {
 
 		// If it's defining a constant, add it to the `constants` object.
 		if (isConstant) {
-			value = hasFragments ? joinFragments(fragments) : JSON.stringify(value);
+			value = hasFragments ? joinFragments(fragments, false, state) : JSON.stringify(value);
+			validate(attributeName, value, { ...validateOptions, isAsync });
 			constants[camelCase(constantName)] = value;
 			continue;
 		}
@@ -147,7 +415,7 @@ export default function parseParts(element, window) {
 		// If it's defining a watch, add it to the `watches` object.
 		if (isWatch) {
 			if (hasFragments) {
-				value = joinFragments(fragments);
+				value = joinFragments(fragments, false, state);
 			} else {
 				const isArray = value.startsWith('[') && value.endsWith(']');
 				const isObject = value.startsWith('{') && value.endsWith('}');
@@ -157,20 +425,62 @@ export default function parseParts(element, window) {
 				}
 			}
 
+			validate(attributeName, value, { ...validateOptions, isAsync });
 			watches.set(camelCase(watchName), value);
 			continue;
 		}
 
 		// If it's defining an event listener, add it to `eventListeners`.
 		if (isEventHandler) {
-			// Join the fragments and add it to `eventListeners`.
-			const callbackCode = `(${ configs.get('eventName') }) => {${ value }}`;
+			/**
+			 * Apply the modifiers and add it (and its listener options) to `eventListeners`. The
+			 * key is the event name followed by the modifiers (for instance, "keydown.enter"), so
+			 * that an element can have several event handlers for the same type of event.
+			 */
+			const { eventName: type, modifiers } = eventHandler;
+			const { code: callbackCode, options } = createListener(name, value, modifiers, state);
+			const key = [camelCaseEvents ? camelCase(type) : type, ...modifiers].join('.');
+
+			validate(attributeName, callbackCode, validateOptions);
+			eventListeners.set(key, callbackCode);
+
+			if (options !== null) {
+				eventListenerOptions.set(key, options);
+			}
+
+			continue;
+		}
+
+		/**
+		 * If it's a two-way binding, add a part to infuse the property (the expression is
+		 * evaluated) and a function to assign its new values to the expression.
+		 */
+		if (isBinding) {
+			const property = camelCase(bindName);
+			const partCode = `(${ configs.get('eventName') }) => (${ value })`;
+			const assignCode = `(${ BINDING_VALUE }) => { ${ value } = ${ BINDING_VALUE }; }`;
+
+			validate(attributeName, partCode, validateOptions);
+			validate(attributeName, assignCode, validateOptions);
+			parts.set(`=${ property }`, partCode);
+			bindings.set(property, assignCode);
+			continue;
+		}
 
-			if (camelCaseEvents) {
-				eventName = camelCase(eventName);
+		/**
+		 * If it's defining the pending value of an async part, add it to `pending`. Pending values
+		 * are infused right away, so they can't use "await".
+		 */
+		if (isPending) {
+			if (hasFragments && fragments.find(fragment => fragment.hasAwait) !== undefined) {
+				throw new SyntaxError(`Pending values can't use "await": ${ name }="${ value }".`);
 			}
 
-			eventListeners.set(eventName, callbackCode);
+			const partName = pendingName.startsWith('.') ? `.${ camelCase(pendingName.substr(1)) }` : pendingName;
+			const callbackCode = hasFragments ? joinFragments(fragments, true, state) : `() => ${ JSON.stringify(value) }`;
+
+			validate(attributeName, callbackCode, validateOptions);
+			pending.set(partName, callbackCode);
 			continue;
 		}
 
@@ -187,14 +497,54 @@ export default function parseParts(element, window) {
 			continue;
 		}
 
+		/**
+		 * If it's the "key" of an iterating template, keep the fragments. The key function can't
+		 * be generated until all the "for" variable names have been parsed.
+		 */
+		if (isKey && hasFragments) {
+			if (fragments.find(fragment => fragment.hasAwait) !== undefined) {
+				throw new SyntaxError(`The "key" attribute of a template can't use "await": key="${ value }".`);
+			}
+
+			keyFragments = fragments;
+			keyInput = input;
+			continue;
+		}
+
+		// If the `name` ends with an exclamation mark, remove it and add the part to `volatileParts`.
+		const isVolatile = name.length > 1 && name.endsWith('!');
+
+		if (isVolatile) {
+			name = name.substr(0, name.length - 1);
+		}
+
 		// If it's a property (starts with a dot), turn the hyphenated `name` into camelCase.
 		if (name.startsWith('.')) {
 			name = `.${ camelCase(name.substr(1)) }`;
 		}
 
+		/**
+		 * Object-valued "class" and "style" attributes can't be mixed with static text or other
+		 * expressions, since the object would be turned into a string ("[object Object]").
+		 */
+		const isObjectLiteral = ({ expression }) => /^\{[\s\S]*\}$/.test((expression || '').trim());
+
+		if ((name === 'class' || name === 'style') && fragments.length > 1 && fragments.some(isObjectLiteral)) {
+			throw new SyntaxError(`An object-valued "${ name }" attribute can't be combined with static text or other expressions (use "${ name }.[name]" attributes instead): ${ name }="${ value }".`);
+		}
+
 		// Join the fragments and add it to `parts`.
-		const callbackCode = joinFragments(fragments, true);
+		const callbackCode = joinFragments(fragments, true, state);
+		validate(attributeName, callbackCode, validateOptions);
 		parts.set(name, callbackCode);
+
+		if (fragments.find(fragment => fragment.hasAwait) !== undefined) {
+			asyncParts.push(name);
+		}
+
+		if (isVolatile) {
+			volatileParts.push(name);
+		}
 	}
 
 	if (!(element instanceof HTMLTemplateElement)) {
@@ -205,26 +555,48 @@ export default function parseParts(element, window) {
 		for (let i = 0, node = element.firstChild; node !== null; i++, node = node.nextSibling) {
 			const { data: text, length, nodeType } = node;
 			const isTextNode = nodeType === Node.TEXT_NODE && length > 3;
-			const fragments = isTextNode ? splitFragments(text) : null;
+			const fragments = isTextNode ? locate(null, () => splitFragments(text, state)) : null;
 
 			if (fragments !== null) {
-				const callbackCode = joinFragments(fragments, true);
+				const callbackCode = joinFragments(fragments, true, state);
+
+				validate(null, callbackCode, { input: text, fragments });
 				parts.set(i, callbackCode);
 
+				if (fragments.find(fragment => fragment.hasAwait) !== undefined) {
+					asyncParts.push(i);
+				}
+
 				// Add the child node's index to `parsedChildNodes`.
 				parsedChildNodes.push(i);
 			}
 		}
 	}
 
+	/**
+	 * The key function receives the values of each iteration (value, key, and collection) as
+	 * arguments, using the names defined by the "for" attribute.
+	 */
+	const key = keyFragments === null ? null : `(${ forVariableNames.join(', ') }) => ${ joinFragments(keyFragments, false, state) }`;
+
+	if (key !== null) {
+		validate('key', key, { input: keyInput, fragments: keyFragments });
+	}
+
 	return {
+		asyncParts,
+		bindings,
 		constants,
+		eventListenerOptions,
 		eventListeners,
 		forVariableNames,
 		isAsync,
+		key,
 		parts,
+		pending,
 		parsedAttributeNames,
 		parsedChildNodes,
+		volatileParts,
 		watches,
 	};
 }
@@ -237,13 +609,16 @@ export default function parseParts(element, window) {
  * @param {Object} [options={}] Options object.
  * @param {Set} [options.iterationConstants] Names of constant iteration variables defined by a
  *     parent template element.
+ * @param {Object} [options.state=globalState] The state whose configuration options are used
+ *     (see `createState`).
  * @returns {string} The source code of the body of a context function.
  */
 export function contextSourceCode(parseResult, options = {}) {
 	// `context` is the object returned by the context function.
 	const context = {};
-	const tagsName = configs.get('tagsName');
-	const { constants, eventListeners, forVariableNames, parts, watches } = parseResult;
+	const { state = globalState } = options;
+	const tagsName = state.configs.get('tagsName');
+	const { constants, eventListeners, forVariableNames, parts, pending, watches } = parseResult;
 	const constantNames = Object.keys(constants);
 
 	// Each string in `constLines` declares one or more constant variables.
@@ -280,6 +655,11 @@ export function contextSourceCode(parseResult, options = {}) {
 		}])`;
 	}
 
+	// Add the listener options of event listeners (defined by modifiers) to `context`.
+	if (parseResult.eventListenerOptions && parseResult.eventListenerOptions.size > 0) {
+		context.eventListenerOptions = `new Map(${ JSON.stringify(Array.from(parseResult.eventListenerOptions)) })`;
+	}
+
 	/**
 	 * If the parsed element was a template element and defined "for" variable names,
 	 * `forVariableNames` (an array) will contain the names of those variables/constants and their
@@ -290,6 +670,11 @@ export function contextSourceCode(parseResult, options = {}) {
 		context.forVariableNames = JSON.stringify(forVariableNames);
 	}
 
+	// Add the iteration key function to `context`.
+	if (parseResult.key) {
+		context.key = parseResult.key;
+	}
+
 	// Add watches to `context`.
 	if (watches.size > 0) {
 		context.watches = `new Map([${
@@ -304,6 +689,30 @@ export function contextSourceCode(parseResult, options = {}) {
 		}])`;
 	}
 
+	// Add the functions that assign the new values of two-way bindings to `context`.
+	if (parseResult.bindings && parseResult.bindings.size > 0) {
+		context.bindings = `new Map([${
+			Array.from(parseResult.bindings).map(([name, src]) => `["${ name }", ${ src }]`).join(',')
+		}])`;
+	}
+
+	// Add the names of async parts to `context`.
+	if (parseResult.asyncParts && parseResult.asyncParts.length > 0) {
+		context.asyncParts = `new Set(${ JSON.stringify(parseResult.asyncParts) })`;
+	}
+
+	// Add the names of volatile parts (which are written even if their value didn't change).
+	if (parseResult.volatileParts && parseResult.volatileParts.length > 0) {
+		context.volatileParts = `new Set(${ JSON.stringify(parseResult.volatileParts) })`;
+	}
+
+	// Add the pending values of async parts to `context`.
+	if (pending && pending.size > 0) {
+		context.pending = `new Map([${
+			Array.from(pending).map(([key, src]) => `[${ JSON.stringify(key) }, ${ src }]`).join(',')
+		}])`;
+	}
+
 	/**
 	 * Return the generated source code. The declaration of constants go at the top followed by
 	 * a return statement for the `context` object.
@@ -316,16 +725,153 @@ export function contextSourceCode(parseResult, options = {}) {
 }
 
 /**
- * Uses a "parse result" object to create a context function.
+ * Uses a "parse result" object to create a context function that evaluates the expressions using
+ * the interpreter (see the "interpreter" module) instead of generating functions using
+ * `new Function`. The expressions are parsed when the context function is created, and the
+ * returned context function creates the same context objects as the generated ones.
+ *
+ * @function interpretContextFunction
+ * @param {Object} parseResult The parse result object returned by the `parseParts` function.
+ * @param {Object} [options={}] Options object.
+ * @param {Set} [options.iterationConstants] Names of constant iteration variables defined by a
+ *     parent template element.
+ * @param {Object} [options.state=globalState] The state whose configuration options are used
+ *     (see `createState`).
+ * @returns {Function} The context function. If the parse result `isAsync`, the context function
+ *     returns a promise.
+ */
+function interpretContextFunction(parseResult, options = {}) {
+	const { constants, eventListeners, forVariableNames, isAsync, key, parts, watches } = parseResult;
+	const { asyncParts = [], bindings = new Map(), pending = new Map() } = parseResult;
+	const { volatileParts = [] } = parseResult;
+	const { eventListenerOptions = new Map() } = parseResult;
+	const { state = globalState } = options;
+	const tagsName = state.configs.get('tagsName');
+	const iterationConstants = Array.from(options.iterationConstants || []);
+	const constantNames = [...iterationConstants, ...Object.keys(constants), 'host', 'data'];
+	const compileEach = (entries, compileOptions) => Array.from(entries, ([name, src]) => (
+		[name, compile(src, compileOptions)]
+	));
+
+	// Parse all expressions. Only constants and watches can use "await" outside of functions.
+	const constantFns = compileEach(Object.entries(constants), { isAsync });
+	const watchFns = compileEach(watches, { isAsync });
+	const eventListenerFns = compileEach(eventListeners);
+	const partFns = compileEach(parts);
+	const pendingFns = compileEach(pending);
+	const bindingFns = compileEach(bindings);
+	const keyFn = key ? compile(key) : null;
+
+	/**
+	 * Creates the context object once the constants have been declared in the `scope` and the
+	 * `watchValues` have been evaluated.
+	 */
+	const createContext = (scope, watchValues) => {
+		const context = { constants: {} };
+
+		for (const name of constantNames) {
+			context.constants[name] = scope.bindings.get(name).value;
+		}
+
+		if (eventListenerFns.length > 0) {
+			context.eventListeners = new Map(eventListenerFns.map(([name, fn]) => [name, fn(scope)]));
+		}
+
+		if (eventListenerOptions.size > 0) {
+			context.eventListenerOptions = new Map(eventListenerOptions);
+		}
+
+		if (forVariableNames.length > 0) {
+			context.forVariableNames = forVariableNames.slice();
+		}
+
+		if (keyFn) {
+			context.key = keyFn(scope);
+		}
+
+		if (watchFns.length > 0) {
+			context.watches = new Map(watchFns.map(([name], i) => [name, watchValues[i]]));
+		}
+
+		if (partFns.length > 0) {
+			context.parts = new Map(partFns.map(([name, fn]) => [name, fn(scope)]));
+		}
+
+		if (bindingFns.length > 0) {
+			context.bindings = new Map(bindingFns.map(([name, fn]) => [name, fn(scope)]));
+		}
+
+		if (asyncParts.length > 0) {
+			context.asyncParts = new Set(asyncParts);
+		}
+
+		if (volatileParts.length > 0) {
+			context.volatileParts = new Set(volatileParts);
+		}
+
+		if (pendingFns.length > 0) {
+			context.pending = new Map(pendingFns.map(([name, fn]) => [name, fn(scope)]));
+		}
+
+		return context;
+	};
+
+	return function contextFunction(host, data, iterationData, tags) {
+		// The context function is called using the element as `this`.
+		const scope = createScope(null, this);
+
+		declare(scope, 'host', host);
+		declare(scope, 'data', data);
+		declare(scope, 'iterationData', iterationData);
+		declare(scope, tagsName, tags);
+
+		for (const name of iterationConstants) {
+			declare(scope, name, (iterationData || {})[name]);
+		}
+
+		if (!isAsync) {
+			for (const [name, fn] of constantFns) {
+				declare(scope, name, fn(scope));
+			}
+
+			return createContext(scope, watchFns.map(([, fn]) => fn(scope)));
+		}
+
+		// Evaluate (and await) the constants and watches in order.
+		const watchValues = [];
+		const promise = constantFns.reduce((previous, [name, fn]) => previous
+			.then(() => fn(scope))
+			.then(value => declare(scope, name, value)), Promise.resolve());
+
+		return watchFns.reduce((previous, [, fn]) => previous
+			.then(() => fn(scope))
+			.then(value => watchValues.push(value)), promise)
+			.then(() => createContext(scope, watchValues));
+	};
+}
+
+/**
+ * Uses a "parse result" object to create a context function. If the `evaluator` configuration
+ * option is "interpreter", the context function evaluates expressions using the interpreter (see
+ * `interpretContextFunction`), which doesn't require a Content Security Policy that allows
+ * "unsafe-eval".
  *
  * @function createContextFunction
  * @param {Object} parseResult The parse result object returned by the `parseParts` function.
  * @param {Object} [options={}] Options object.
  * @param {Set} [options.iterationConstants] Names of constant iteration variables defined by a
  *     parent template element.
+ * @param {Object} [options.state=globalState] The state whose configuration options are used
+ *     (see `createState`).
  * @returns {Function|AsyncFunction} The context function.
  */
 export function createContextFunction(parseResult, options = {}) {
+	const { state = globalState } = options;
+
+	if (state.configs.get('evaluator') === 'interpreter') {
+		return interpretContextFunction(parseResult, options);
+	}
+
 	const { isAsync } = parseResult;
 	const source = contextSourceCode(parseResult, options);
 
@@ -2,9 +2,12 @@
 import domino, { impl as window } from 'domino';
 import parseParts, {
 	searchName,
+	searchEventHandler,
 	contextSourceCode,
 	createContextFunction,
 } from './parseParts.js';
+import { setConfigs } from './configs.js';
+import TemplateSyntaxError from './diagnostics.js';
 
 const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
 
@@ -26,6 +29,19 @@ describe('searchName', () => {
 	});
 });
 
+describe('searchEventHandler', () => {
+	it('should find the event name and modifiers', () => {
+		expect(searchEventHandler('onclick', /^on-?(\w[\w:-]+)$/)).toEqual({ eventName: 'click', modifiers: [] });
+		expect(searchEventHandler('onclick.stop.once', /^on-?(\w[\w:-]+)$/)).toEqual({ eventName: 'click', modifiers: ['stop', 'once'] });
+		expect(searchEventHandler('on-click.prevent', 'on-')).toEqual({ eventName: 'click', modifiers: ['prevent'] });
+	});
+
+	it('should return null if the attribute is not an event handler', () => {
+		expect(searchEventHandler('class', /^on-?(\w[\w:-]+)$/)).toBeNull();
+		expect(searchEventHandler('.onclick', /^on-?(\w[\w:-]+)$/)).toBeNull();
+	});
+});
+
 describe('parseParts', () => {
 	function parse(html) {
 		const doc = domino.createDocument(`<body>${ html }</body>`);
@@ -34,6 +50,16 @@ describe('parseParts', () => {
 		return parseParts(element, window);
 	}
 
+	function getError(fn) {
+		try {
+			fn();
+		} catch (error) {
+			return error;
+		}
+
+		return null;
+	}
+
 	it('should parse constants that have a string as their value', () => {
 		const { constants } = parse('<div const-foo="bar"></div>');
 		expect(constants.foo).toBe('"bar"');
@@ -106,6 +132,28 @@ describe('parseParts', () => {
 		expect(collection).toBe('items');
 	});
 
+	it('should parse the "key" attribute of a template into a function of the iteration constants', () => {
+		const html = '<template for="book, i" each="${ host.books }" key="${ book.isbn }"></template>';
+		const { key, parts, parsedAttributeNames } = parse(html);
+
+		expect(key).toBe('(book, i) => (book.isbn)');
+		expect(parts.has('key')).toBe(false);
+		expect(parsedAttributeNames).toContain('key');
+	});
+
+	it('should throw when the "key" attribute of a template uses await', () => {
+		expect(() => {
+			parse('<template for="book" each="${ host.books }" key="${ await book.isbn }"></template>');
+		}).toThrowError(SyntaxError);
+	});
+
+	it('should not parse the "key" attribute of elements other than templates', () => {
+		const { key, parts } = parse('<div key="${ host.key }"></div>');
+
+		expect(key).toBeNull();
+		expect(parts.get('key')).toBe('(event) => (host.key)');
+	});
+
 	it('should parse "attributes parts"', () => {
 		const { parts } = parse('<input type="text" value="${ host.firstName }">');
 
@@ -118,6 +166,14 @@ describe('parseParts', () => {
 		expect(parts.get('disabled?')).toBe('(event) => (host.foo)');
 	});
 
+	it('should parse "volatile parts"', () => {
+		const { parts, volatileParts } = parse('<input .value!="${ host.value }" checked?!="${ host.checked }" title="${ host.title }">');
+
+		expect(parts.get('.value')).toBe('(event) => (host.value)');
+		expect(parts.get('checked?')).toBe('(event) => (host.checked)');
+		expect(volatileParts).toEqual(['.value', 'checked?']);
+	});
+
 	it('should parse "event handlers"', () => {
 		const { eventListeners } = parse('<form onsubmit="host.submit(event)"></form>');
 
@@ -130,6 +186,39 @@ describe('parseParts', () => {
 		expect(eventListeners.get('submit')).toBe('(event) => {host.submit(event);}');
 	});
 
+	it('should apply the modifiers of "event handlers"', () => {
+		const { eventListeners } = parse('<form onsubmit.prevent.stop="host.submit()" onkeydown.enter.ctrl="host.save()" onclick.self="host.close()"></form>');
+
+		expect(eventListeners.get('submit.prevent.stop')).toBe('(event) => {event.preventDefault(); event.stopPropagation(); host.submit()}');
+		expect(eventListeners.get('keydown.enter.ctrl')).toBe('(event) => {if (!["enter"].includes(String(event.key).toLowerCase()) || !event.ctrlKey) return; host.save()}');
+		expect(eventListeners.get('click.self')).toBe('(event) => {if (event.target !== this) return; host.close()}');
+	});
+
+	it('should parse several "event handlers" for the same event', () => {
+		const { eventListeners } = parse('<input onkeydown.enter="host.save()" onkeydown.esc="host.cancel()" onkeydown="host.log()">');
+
+		expect(Array.from(eventListeners.keys())).toEqual(['keydown.enter', 'keydown.esc', 'keydown']);
+	});
+
+	it('should parse the listener options of "event handlers"', () => {
+		const { eventListenerOptions } = parse('<div onclick.once.capture="host.go()" ontouchstart.passive="host.touch()" onscroll="host.scroll()"></div>');
+
+		expect(eventListenerOptions.get('click.once.capture')).toEqual({ once: true, capture: true });
+		expect(eventListenerOptions.get('touchstart.passive')).toEqual({ passive: true });
+		expect(eventListenerOptions.has('scroll')).toBe(false);
+	});
+
+	it('should throw when parsing unknown event handler modifiers', () => {
+		expect(() => parse('<form onsubmit.prevnt="host.submit()"></form>')).toThrowError(/Unknown event handler modifier "prevnt"/);
+		expect(() => parse('<div ontouchstart.passive.prevent="host.touch()"></div>')).toThrowError(/can't be combined/);
+	});
+
+	it('should throw when parsing object-valued class or style attributes mixed with other fragments', () => {
+		expect(() => parse('<p class="btn ${ { active: host.on } }"></p>')).toThrowError(/object-valued "class" attribute/);
+		expect(() => parse('<p style="${ host.style } ${ { color: host.color } }"></p>')).toThrowError(SyntaxError);
+		expect(() => parse('<p class="btn ${ host.on ? \'active\' : \'\' }"></p>')).not.toThrow();
+	});
+
 	it('should throw when parsing an event handler that starts with "${" and ends with "}"', () => {
 		expect(() => {
 			parse('<form onsubmit="${ host.submit(event) }"></form>');
@@ -164,6 +253,87 @@ describe('parseParts', () => {
 		expect(parts.get(2)).toBe('(event) => (host.bar)');
 	});
 
+	it('should parse async parts into async functions that take a signal', () => {
+		const { parts, asyncParts } = parse('<p title="${ await host.title() }">${ await host.text(signal) }</p>');
+
+		expect(parts.get('title')).toBe('async (event, signal) => (await host.title())');
+		expect(parts.get(0)).toBe('async (event, signal) => (await host.text(signal))');
+		expect(asyncParts).toEqual(['title', 0]);
+	});
+
+	it('should parse the pending values of async parts', () => {
+		const html = '<p title="${ await host.title() }" pending-title="..." pending-text="${ host.label }">${ await host.text() }</p>';
+		const { pending, parsedAttributeNames } = parse(html);
+
+		expect(pending.get('title')).toBe('() => "..."');
+		expect(pending.get('text')).toBe('(event) => (host.label)');
+		expect(parsedAttributeNames).toContain('pending-title');
+	});
+
+	it('should throw when a pending value uses await', () => {
+		expect(() => {
+			parse('<p pending-text="${ await host.label() }">${ await host.text() }</p>');
+		}).toThrowError(SyntaxError);
+	});
+
+	it('should parse two-way bindings into a part and a function that assigns the new values', () => {
+		const { parts, bindings } = parse('<input bind-value="data.user.email" bind-selection-start="data.start">');
+
+		expect(parts.get('=value')).toBe('(event) => (data.user.email)');
+		expect(bindings.get('value')).toBe('($$value) => { data.user.email = $$value; }');
+		expect(parts.has('=selectionStart')).toBe(true);
+	});
+
+	it('should throw when a two-way binding is not an assignable expression', () => {
+		expect(() => parse('<input bind-value="${ data.email }">')).toThrowError(SyntaxError);
+		expect(() => parse('<input bind-value="data.a + data.b">')).toThrowError(SyntaxError);
+
+		const error = getError(() => parse('<input bind-value="data.a + data.b">'));
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.attribute).toBe('bind-value');
+		expect(error.message).toMatch(/^Invalid expression: .*\(<input> element, "bind-value" attribute, line 1, column \d+\)$/);
+	});
+
+	it('should add the tag name and attribute name to syntax errors', () => {
+		const error = getError(() => parse('<p class="btn ${ host.type">Text</p>'));
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.tagName).toBe('p');
+		expect(error.attribute).toBe('class');
+		expect(error.message).toBe('Unterminated expression: missing "}" (<p> element, "class" attribute, line 1, column 5)');
+	});
+
+	it('should validate the generated code and report the invalid expression', () => {
+		const error = getError(() => parse('<p title="${ host.a } and\n${ host.b. }">Text</p>'));
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.reason).toMatch(/^Invalid expression: /);
+		expect(error.attribute).toBe('title');
+		expect(error.line).toBe(2);
+		expect(error.column).toBe(4);
+	});
+
+	it('should validate event handlers, constants, and watches', () => {
+		expect(getError(() => parse('<button onclick="host.go(">Go</button>'))).toMatchObject({
+			attribute: 'onclick',
+			offset: 0,
+		});
+		expect(getError(() => parse('<p const-a="${ host. }"></p>'))).toMatchObject({ attribute: 'const-a' });
+		expect(getError(() => parse('<p watch-host="[\'a\',]]"></p>'))).toMatchObject({
+			attribute: 'watch-host',
+		});
+	});
+
+	it('should report syntax errors in text child nodes', () => {
+		const error = getError(() => parse('<p><b>Bold</b> ${ host.a + }</p>'));
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.tagName).toBe('p');
+		expect(error.attribute).toBeNull();
+		expect(error.column).toBe(5);
+	});
+
 	describe('when parsing forVariableNames of a template using the "for" attribute', () => {
 		function parseFor(value) {
 			const html = `<template for="${ value }" each="\${ host.collection }"></template>`;
@@ -300,6 +470,14 @@ describe('createContextFunction', () => {
 		expect(callback()).toBe('Total: $99.99');
 	});
 
+	it('should add the iteration key function to the context', () => {
+		const html = '<template for="book, i" each="${ host.books }" key="${ `${ book.isbn }-${ i }` }"></template>';
+		const fn = contextFn(html);
+		const ctx = fn({});
+
+		expect(ctx.key({ isbn: '123' }, 4)).toBe('123-4');
+	});
+
 	it('should define constant variables', () => {
 		const foo = 10;
 		const fn = contextFn('<p const-total="${ host.foo }">Total: ${ total }</p>');
@@ -314,4 +492,114 @@ describe('createContextFunction', () => {
 		expect(callback()).toBe('Total: 10');
 		expect(ctx.constants.total).toBe(foo);
 	});
+});
+
+describe('createContextFunction with the interpreter', () => {
+	function contextFn(html) {
+		const doc = domino.createDocument(`<body>${ html }</body>`);
+		const element = doc.body.firstElementChild;
+
+		return createContextFunction(parseParts(element, window));
+	}
+
+	beforeAll(() => {
+		setConfigs({ evaluator: 'interpreter' });
+	});
+
+	afterAll(() => {
+		setConfigs({ evaluator: 'function' });
+	});
+
+	it('should not use the Function constructor', () => {
+		const spy = jest.spyOn(global, 'Function');
+		const fn = contextFn('<p class="${ host.type }">${ host.text }</p>');
+
+		fn({ type: 'a', text: 'b' });
+
+		expect(spy).not.toHaveBeenCalled();
+		spy.mockRestore();
+	});
+
+	it('should create the same context as a generated context function', () => {
+		const html = '<button const-label="${ host.label.toUpperCase() }" class="btn-${ host.type }" onclick="host.clicked = event.type" watch-host="update">${ label }</button>';
+		const host = { label: 'ok', type: 'primary' };
+		const ctx = contextFn(html)(host);
+
+		expect(ctx.constants).toEqual({ label: 'OK', host, data: undefined });
+		expect(ctx.parts.get('class')()).toBe('btn-primary');
+		expect(ctx.parts.get(0)()).toBe('OK');
+		expect(ctx.watches.get('host')).toBe('update');
+
+		ctx.eventListeners.get('click')({ type: 'click' });
+		expect(host.clicked).toBe('click');
+	});
+
+	it('should throw a TemplateSyntaxError when parsing syntax that is not supported', () => {
+		expect(() => contextFn('<button onclick="for (const item of host.items) item.save()"></button>')).toThrowError(TemplateSyntaxError);
+		expect(() => contextFn('<p title="${ host.items.map(function (item) { return item }) }"></p>')).toThrowError(/"function" is not supported by the interpreter/);
+	});
+
+	it('should apply the modifiers of event handlers', () => {
+		const host = { saved: 0 };
+		const ctx = contextFn('<input onkeydown.enter.prevent="host.saved++" onclick.once="host.saved++">')(host);
+		const event = key => ({ key, preventDefault: jest.fn() });
+		const enter = event('Enter');
+		const escape = event('Escape');
+
+		ctx.eventListeners.get('keydown.enter.prevent')(escape);
+		ctx.eventListeners.get('keydown.enter.prevent')(enter);
+		expect(host.saved).toBe(1);
+		expect(escape.preventDefault).not.toHaveBeenCalled();
+		expect(enter.preventDefault).toHaveBeenCalled();
+		expect(ctx.eventListenerOptions.get('click.once')).toEqual({ once: true });
+	});
+
+	it('should compare the target of the event with the element when using "self"', () => {
+		const host = { count: 0 };
+		const element = {};
+		const ctx = contextFn('<div onclick.self="host.count++"></div>').call(element, host);
+
+		ctx.eventListeners.get('click.self')({ target: {} });
+		ctx.eventListeners.get('click.self')({ target: element });
+		expect(host.count).toBe(1);
+	});
+
+	it('should create the assign functions of two-way bindings', () => {
+		const host = { user: { name: 'foo' } };
+		const ctx = contextFn('<input bind-value="host.user.name">')(host);
+
+		expect(ctx.parts.get('=value')()).toBe('foo');
+
+		ctx.bindings.get('value')('bar');
+		expect(host.user.name).toBe('bar');
+	});
+
+	it('should use the element as `this`', () => {
+		const element = { tagName: 'P' };
+		const ctx = contextFn('<p>${ this.tagName }</p>').call(element, {});
+
+		expect(ctx.parts.get(0)()).toBe('P');
+	});
+
+	it('should add iteration constants and the iteration key function', () => {
+		const doc = domino.createDocument('<body><template for="book, i" each="${ host.books }" key="${ book.isbn }"></template></body>');
+		const parseResult = parseParts(doc.body.firstElementChild, window);
+		const fn = createContextFunction(parseResult, { iterationConstants: new Set(['shelf']) });
+		const ctx = fn({ books: [] }, {}, { shelf: 's1' });
+
+		expect(ctx.constants.shelf).toBe('s1');
+		expect(ctx.forVariableNames).toEqual(['book', 'i']);
+		expect(ctx.key({ isbn: '123' }, 0)).toBe('123');
+	});
+
+	it('should return a promise if a constant declaration uses await', async () => {
+		const fn = contextFn('<p const-value="${ await host.load() }">${ value }</p>');
+		const ctx = await fn({ load: () => Promise.resolve('loaded') });
+
+		expect(ctx.parts.get(0)()).toBe('loaded');
+	});
+
+	it('should throw a SyntaxError when an expression is invalid', () => {
+		expect(() => contextFn('<p>${ host. }</p>')).toThrow(SyntaxError);
+	});
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { uniqueId as defaultUniqueIdFn } from './utils.js';
-import configs, { contextFunctions, parsedTemplates } from './configs.js';
+import TemplateSyntaxError from './diagnostics.js';
+import { globalState } from './configs.js';
 import parseParts, { createContextFunction } from './parseParts.js';
 
 /**
@@ -14,20 +15,22 @@ import parseParts, { createContextFunction } from './parseParts.js';
  * @param {Window} options.window The window object to use during the parsing process.
  * @param {Set} [options.iterationConstants] Names of constant iteration variables defined by a
  *     parent template element.
+ * @param {Object} [options.state=globalState] The state whose configuration options are used and
+ *     to which the context function is added (see `createState`).
  * @returns {Object} The same parse result object returned by `parseParts` or `undefined` if
  *     the result doesn't contain any parts.
  */
 export function parseElement(element, options) {
-	const { uniqueId } = options;
-	const result = parseParts(element, options.window);
-	const { parts, eventListeners } = result;
-	const contextFnId = configs.get('contextFunctionId');
+	const { uniqueId, state = globalState } = options;
+	const result = parseParts(element, options.window, state);
+	const { parts, eventListeners, watches } = result;
+	const contextFnId = state.configs.get('contextFunctionId');
 
 	/**
-	 * Create a context function and add it to `contextFunctions` if the parse result object
-	 * contains parts.
+	 * Create a context function and add it to the `contextFunctions` of the `state` if the parse
+	 * result object contains parts, event listeners, or watches.
 	 */
-	if (parts.size !== 0 || eventListeners.size !== 0) {
+	if (parts.size !== 0 || eventListeners.size !== 0 || watches.size !== 0) {
 		let cid;
 		const { childNodes, tagName } = element;
 		const ctxFn = createContextFunction(result, options);
@@ -40,7 +43,7 @@ export function parseElement(element, options) {
 			element.setAttribute(contextFnId, cid);
 		}
 
-		contextFunctions.set(cid, ctxFn);
+		state.contextFunctions.set(cid, ctxFn);
 
 		// Remove parsed attributes.
 		for (const name of result.parsedAttributeNames) {
@@ -58,11 +61,144 @@ export function parseElement(element, options) {
 	return undefined;
 }
 
+/**
+ * Parses an element of a template (or the template itself) using `parseElement` and adds the ID
+ * of the template to the details of syntax errors, unless the error already has one (errors
+ * thrown in nested templates have the ID of the nested template).
+ *
+ * @function parseTemplateElement
+ * @param {Element} element The element to parse.
+ * @param {string} tid The ID of the template that contains the `element`.
+ * @param {Object} options The options for `parseElement`.
+ * @returns {Object} The value returned by `parseElement`.
+ */
+function parseTemplateElement(element, tid, options) {
+	try {
+		return parseElement(element, options);
+	} catch (error) {
+		if (error instanceof TemplateSyntaxError && !error.templateId) {
+			error.addDetails({ templateId: tid });
+		}
+
+		throw error;
+	}
+}
+
+/**
+ * Returns the nested template replaced by the placeholder that precedes the given `template`
+ * (ignoring white space and comments). Returns `null` if the `template` is not preceded by a
+ * placeholder.
+ *
+ * @function getPrecedingTemplate
+ * @param {HTMLTemplateElement} template The template.
+ * @param {Object} options Options object.
+ * @param {Window} options.window The window object to use during the parsing process.
+ * @param {Object} options.state The state in which parsed templates are registered.
+ * @returns {HTMLTemplateElement} The nested template or `null`.
+ */
+function getPrecedingTemplate(template, options) {
+	const { configs, parsedTemplates } = options.state;
+	const placeholderId = configs.get('placeholderId');
+	const { HTMLTemplateElement, Node } = options.window;
+	let sibling = template.previousSibling;
+
+	// Skip comments and text nodes that only contain white space.
+	while (sibling !== null && sibling.nodeType !== Node.ELEMENT_NODE) {
+		if (sibling.nodeType === Node.TEXT_NODE && sibling.data.trim() !== '') {
+			break;
+		}
+
+		sibling = sibling.previousSibling;
+	}
+
+	if (sibling instanceof HTMLTemplateElement && sibling.hasAttribute(placeholderId)) {
+		return parsedTemplates.get(sibling.getAttribute(placeholderId)) || null;
+	}
+
+	return null;
+}
+
+/**
+ * Adds a parsed "else-if" or "else" template as the next branch of the conditional templates
+ * ("if" and "else-if") that precede it. The preceding sibling of the `branch` (ignoring white
+ * space and comments) must be the placeholder of an "if" template.
+ *
+ * @function addBranch
+ * @param {HTMLTemplateElement} branch The parsed "else-if" or "else" template.
+ * @param {Object} options Options object.
+ * @param {Window} options.window The window object to use during the parsing process.
+ * @param {Object} options.state The state in which parsed templates are registered.
+ * @throws {SyntaxError} If the `branch` is not preceded by an "if" or "else-if" template.
+ */
+function addBranch(branch, options) {
+	const { configs, parsedTemplates } = options.state;
+	const elseId = configs.get('elseId');
+	const templateId = configs.get('templateId');
+	let previous = getPrecedingTemplate(branch, options);
+
+	// Find the last template in the chain of branches that starts with the placeholder's template.
+	while (previous && previous.getAttribute(elseId)) {
+		previous = parsedTemplates.get(previous.getAttribute(elseId));
+	}
+
+	// The last template in the chain must be an "if" or "else-if" template.
+	if (!previous || !previous.hasAttribute(elseId)) {
+		throw new SyntaxError('An "else-if" or "else" template must be preceded by an "if" or "else-if" template.');
+	}
+
+	previous.setAttribute(elseId, branch.getAttribute(templateId));
+}
+
+/**
+ * Types of templates that are linked to the nested template that precedes them, instead of being
+ * replaced with a placeholder. Keys are the attributes that identify each type of template and
+ * values are the names of the configuration options of the attributes that link them.
+ *
+ *     * "catch": Makes the nested template an error boundary. If an error is thrown while
+ *       infusing the nested template (or any of its branches), the "catch" template is infused
+ *       instead.
+ *     * "loading": Infused while the constants (or watches) of the nested template, which use
+ *       "await", are pending.
+ *     * "error": Infused if the constants (or watches) of the nested template are rejected.
+ */
+const LINKED_TEMPLATES = new Map([
+	['catch', 'catchId'],
+	['loading', 'loadingId'],
+	['error', 'errorId'],
+]);
+
+/**
+ * Links a parsed "catch", "loading", or "error" template (see `LINKED_TEMPLATES`) with the nested
+ * template that precedes it. The preceding sibling of the `linked` template (ignoring white space
+ * and comments) must be the placeholder of a nested template. Since linked templates are moved
+ * once they're parsed, multiple templates can be linked with the same nested template.
+ *
+ * @function linkTemplate
+ * @param {HTMLTemplateElement} linked The parsed "catch", "loading", or "error" template.
+ * @param {string} type The type of the `linked` template ("catch", "loading", or "error").
+ * @param {Object} options Options object.
+ * @param {Window} options.window The window object to use during the parsing process.
+ * @param {Object} options.state The state in which parsed templates are registered.
+ * @throws {SyntaxError} If the `linked` template is not preceded by a nested template or if the
+ *     nested template already has a template of the same type.
+ */
+function linkTemplate(linked, type, options) {
+	const { configs } = options.state;
+	const linkId = configs.get(LINKED_TEMPLATES.get(type));
+	const target = getPrecedingTemplate(linked, options);
+
+	if (!target || target.hasAttribute(linkId)) {
+		throw new SyntaxError(`A "${ type }" template must be preceded by a nested template that doesn't have a "${ type }" template.`);
+	}
+
+	target.setAttribute(linkId, linked.getAttribute(configs.get('templateId')));
+}
+
 /**
  * Finds and parses all the expressions and template literals in the given template and all of its
  * descendants (including all levels of nested templates). Parsed templates will be added to the
- * `parseTemplates` map and generated context functions will be added to the `contextFunctions`
- * map. Both maps, `parsedTemplates` and `contextFunctions`, are part of the configs module.
+ * `parsedTemplates` map and generated context functions will be added to the `contextFunctions`
+ * map of the `state` (by default, the maps exported by the configs module).
  *
  * @function parseTemplate
  * @param {HTMLTemplateElement} template The template element to parse. Must be an instance of
@@ -73,6 +209,8 @@ export function parseElement(element, options) {
  *     used by default.
  * @param {Window} [parseOptions.window] The window object to use during the parsing process. If
  *     not provided, it will try to use the global `window` variable.
+ * @param {Object} [parseOptions.state=globalState] The state whose configuration options are used
+ *     and to which parsed templates and context functions are added (see `createState`).
  */
 export default function parseTemplate(template, parseOptions = {}) {
 	const options = { ...parseOptions };
@@ -83,8 +221,13 @@ export default function parseTemplate(template, parseOptions = {}) {
 	if (!options.window && typeof window !== 'undefined') {
 		options.window = window;
 	}
+	if (!options.state) {
+		options.state = globalState;
+	}
 
 	const { uniqueId } = options;
+	const { configs, parsedTemplates } = options.state;
+	const elseId = configs.get('elseId');
 	const templateId = configs.get('templateId');
 	const placeholderId = configs.get('placeholderId');
 	const { HTMLTemplateElement, NodeFilter } = options.window;
@@ -108,8 +251,9 @@ export default function parseTemplate(template, parseOptions = {}) {
 		template.setAttribute(templateId, tid);
 	}
 
-	// Parse the <template> element.
-	const result = parseElement(template, options);
+	// Parse the <template> element (parsed attributes, like "else-if", are removed).
+	const isElseBranch = template.hasAttribute('else-if') || template.hasAttribute('else');
+	const result = parseTemplateElement(template, tid, options);
 
 	/**
 	 * If the template is defining `forVariableNames`, add them to `options.iterationConstants`
@@ -127,6 +271,27 @@ export default function parseTemplate(template, parseOptions = {}) {
 		}
 	}
 
+	/**
+	 * The constants and watches of "else-if" and "else" templates can't use "await", since the
+	 * branch to render is selected synchronously.
+	 */
+	if (isElseBranch && result !== undefined && result.isAsync) {
+		throw new SyntaxError('The constants and watches of "else-if" and "else" templates can\'t use "await".');
+	}
+
+	/**
+	 * If it's a "catch" or "error" template, the error is available to its descendants as a
+	 * constant. The name of the constant is the value of the "catch" or "error" attribute ("error"
+	 * by default).
+	 */
+	for (const type of ['catch', 'error']) {
+		if (template.hasAttribute(type)) {
+			const name = template.getAttribute(type).trim() || 'error';
+
+			options.iterationConstants = new Set([...(options.iterationConstants || []), name]);
+		}
+	}
+
 	parsedTemplates.set(tid, template);
 
 	const doc = template.ownerDocument;
@@ -136,17 +301,50 @@ export default function parseTemplate(template, parseOptions = {}) {
 	for (let element; (element = iterator.nextNode()) !== null;) {
 		if (element instanceof HTMLTemplateElement) {
 			/**
-			 * If `element` is a template, parse it, replace it with a placeholder <template>,
-			 * and put it right beside the parent `template`.
+			 * Templates that have already been parsed are nested templates of a nested template,
+			 * which were moved beside their parent template (a descendant of this `template`).
+			 * They only need to be moved again.
 			 */
-			parseTemplate(element, options);
+			if (!parsedTemplates.has(element.getAttribute(templateId))) {
+				const isIf = element.hasAttribute('if');
+				const isElseIf = element.hasAttribute('else-if');
+				const isBranch = isElseIf || element.hasAttribute('else');
+				const linkType = Array.from(LINKED_TEMPLATES.keys()).find(type => (
+					element.hasAttribute(type)
+				));
+
+				/**
+				 * If `element` is a template, parse it, replace it with a placeholder <template>,
+				 * and put it right beside the parent `template`.
+				 */
+				parseTemplate(element, options);
 
-			const pid = element.getAttribute(templateId);
-			const placeholder = doc.createElement('template');
+				/**
+				 * Conditional templates ("if" and "else-if") are marked using the "else ID"
+				 * attribute. Its value will be the ID of the next branch, if there's one.
+				 */
+				if (isIf || isElseIf) {
+					element.setAttribute(elseId, '');
+				}
 
-			placeholder.setAttribute(placeholderId, pid);
+				if (isBranch) {
+					/**
+					 * "else-if" and "else" templates are not replaced with a placeholder. Instead,
+					 * they're added as the next branch of the preceding conditional template.
+					 */
+					addBranch(element, options);
+				} else if (linkType) {
+					// "catch", "loading", and "error" templates are not replaced with a placeholder either.
+					linkTemplate(element, linkType, options);
+				} else {
+					const pid = element.getAttribute(templateId);
+					const placeholder = doc.createElement('template');
 
-			element.parentNode.insertBefore(placeholder, element);
+					placeholder.setAttribute(placeholderId, pid);
+
+					element.parentNode.insertBefore(placeholder, element);
+				}
+			}
 
 			if (template.nextSibling === null) {
 				template.parentNode.appendChild(element);
@@ -155,7 +353,7 @@ export default function parseTemplate(template, parseOptions = {}) {
 			}
 		} else {
 			// Parse the element if it's not a template.
-			parseElement(element, options);
+			parseTemplateElement(element, tid, options);
 		}
 	}
 }
\ No newline at end of file
@@ -2,7 +2,8 @@
 import domino, { impl as window } from 'domino';
 import parseTemplate, { parseElement } from './parseTemplate.js';
 import { uniqueId } from './utils.js';
-import { contextFunctions, setConfigs, parsedTemplates } from './configs.js';
+import TemplateSyntaxError from './diagnostics.js';
+import { contextFunctions, createState, setConfigs, parsedTemplates } from './configs.js';
 
 const OPTIONS = { uniqueId, window };
 
@@ -34,6 +35,15 @@ describe('parseElement', () => {
 		expect(element.hasAttribute('ctx-id')).toBe(true);
 	});
 
+	it('should add a context function for elements that only have watches', () => {
+		setConfigs({ contextFunctionId: 'data-cid' });
+		element = parseHTMLElement('<template watch-host="refresh"><p>Static</p></template>');
+		parseElement(element, OPTIONS);
+
+		expect(element.hasAttribute('data-cid')).toBe(true);
+		expect(element.hasAttribute('watch-host')).toBe(false);
+	});
+
 	it('should use the data-cid attribute if the element has one', () => {
 		setConfigs({ contextFunctionId: 'data-cid' });
 		element = parseHTMLElement('<p data-cid="fancyParagraph1">${ host.foo }</p>');
@@ -142,4 +152,156 @@ describe('parseTemplate', () => {
 		expect(outerTemplate.outerHTML).toBe(htmlAfter);
 		expect(outerTemplate.nextSibling).toBe(innerTemplate);
 	});
-});
\ No newline at end of file
+
+	it('should not add placeholders for templates nested in nested templates', () => {
+		/**
+		 * "deepTempl" is parsed (and moved beside the outer template) while "middleTempl" is
+		 * parsed. The outer template must skip it instead of parsing it again and adding a second
+		 * placeholder to its own contents.
+		 */
+		const html = '<template id="outerTempl2"><ul><template id="middleTempl"><li><template id="deepTempl"></template></li></template></ul></template>';
+		const outerTemplate = parseHTMLElement(html);
+		setConfigs({ templateId: 'id', placeholderId: 'pid' });
+
+		parseTemplate(outerTemplate, OPTIONS);
+
+		expect(outerTemplate.outerHTML).toBe('<template id="outerTempl2"><ul><template pid="middleTempl"></template></ul></template>');
+		expect(parsedTemplates.get('middleTempl').innerHTML).toBe('<li><template pid="deepTempl"></template></li>');
+		expect(parsedTemplates.get('deepTempl').parentNode).toBe(outerTemplate.parentNode);
+	});
+});
+
+describe('parseTemplate with conditional templates', () => {
+	beforeEach(() => {
+		setConfigs({ templateId: 'id', placeholderId: 'pid', elseId: 'data-else' });
+	});
+
+	it('should replace the chain of branches with a single placeholder', () => {
+		const html = '<template id="condTempl"><template id="ifTempl" if="${ host.a }"><p>A</p></template> <template id="elseIfTempl" else-if="${ host.b }"><p>B</p></template> <template id="elseTempl" else><p>C</p></template></template>';
+		const template = parseHTMLElement(html);
+
+		parseTemplate(template, OPTIONS);
+
+		expect(template.content.querySelectorAll('template').length).toBe(1);
+		expect(template.content.firstChild.getAttribute('pid')).toBe('ifTempl');
+	});
+
+	it('should link each branch to the next one using the "else ID" attribute', () => {
+		const html = '<template><template id="ifTempl2" if="${ host.a }"></template><template id="elseIfTempl2" else-if="${ host.b }"></template><template id="elseTempl2" else></template></template>';
+		const template = parseHTMLElement(html);
+
+		parseTemplate(template, OPTIONS);
+
+		expect(parsedTemplates.get('ifTempl2').getAttribute('data-else')).toBe('elseIfTempl2');
+		expect(parsedTemplates.get('elseIfTempl2').getAttribute('data-else')).toBe('elseTempl2');
+		expect(parsedTemplates.get('elseTempl2').hasAttribute('data-else')).toBe(false);
+	});
+
+	it('should mark an "if" template without branches with an empty "else ID" attribute', () => {
+		const html = '<template><template id="ifTempl3" if="${ host.a }"></template></template>';
+		const template = parseHTMLElement(html);
+
+		parseTemplate(template, OPTIONS);
+
+		expect(parsedTemplates.get('ifTempl3').getAttribute('data-else')).toBe('');
+	});
+
+	it('should throw when an "else" template is not preceded by an "if" template', () => {
+		const template = parseHTMLElement('<template><p></p><template else></template></template>');
+
+		expect(() => parseTemplate(template, OPTIONS)).toThrowError(SyntaxError);
+	});
+
+	it('should throw when a template follows an "else" template', () => {
+		const html = '<template><template if="${ host.a }"></template><template else></template><template else-if="${ host.b }"></template></template>';
+		const template = parseHTMLElement(html);
+
+		expect(() => parseTemplate(template, OPTIONS)).toThrowError(SyntaxError);
+	});
+});
+
+describe('parseTemplate with catch, loading, and error templates', () => {
+	beforeEach(() => {
+		setConfigs({ templateId: 'id', placeholderId: 'pid', catchId: 'data-catch' });
+	});
+
+	it('should link the preceding template to the "catch" template', () => {
+		const html = '<template><template id="guardedTempl"><p>${ host.a }</p></template> <template id="catchTempl" catch="err"><p>${ err.message }</p></template></template>';
+		const template = parseHTMLElement(html);
+
+		parseTemplate(template, OPTIONS);
+
+		expect(template.content.querySelectorAll('template').length).toBe(1);
+		expect(parsedTemplates.get('guardedTempl').getAttribute('data-catch')).toBe('catchTempl');
+	});
+
+	it('should throw when a "catch" template is not preceded by a template', () => {
+		const template = parseHTMLElement('<template><p></p><template catch></template></template>');
+
+		expect(() => parseTemplate(template, OPTIONS)).toThrowError(SyntaxError);
+	});
+
+	it('should link the "loading" and "error" templates to the preceding template', () => {
+		const html = '<template><template id="asyncTempl" const-a="${ await host.a }"></template><template id="loadingTempl" loading></template><template id="errorTempl" error></template><template id="catchTempl2" catch></template></template>';
+		const template = parseHTMLElement(html);
+
+		parseTemplate(template, OPTIONS);
+
+		expect(template.content.querySelectorAll('template').length).toBe(1);
+		expect(parsedTemplates.get('asyncTempl').getAttribute('data-loading')).toBe('loadingTempl');
+		expect(parsedTemplates.get('asyncTempl').getAttribute('data-error')).toBe('errorTempl');
+		expect(parsedTemplates.get('asyncTempl').getAttribute('data-catch')).toBe('catchTempl2');
+	});
+
+	it('should throw when the constants of an "else-if" template use await', () => {
+		const html = '<template><template if="${ host.a }"></template><template else-if="${ b }" const-b="${ await host.b }"></template></template>';
+		const template = parseHTMLElement(html);
+
+		expect(() => parseTemplate(template, OPTIONS)).toThrowError(SyntaxError);
+	});
+
+	it('should throw when a template is followed by two "catch" templates', () => {
+		const template = parseHTMLElement('<template><template></template><template catch></template><template catch></template></template>');
+
+		expect(() => parseTemplate(template, OPTIONS)).toThrowError(SyntaxError);
+	});
+});
+
+describe('parseTemplate with syntax errors', () => {
+	it('should add the ID of the template that contains the element to syntax errors', () => {
+		const html = '<template id="outer1"><p>${ host.a }</p><template id="inner1" if="${ host.b }"><i class="${ host.c"></i></template></template>';
+		const template = parseHTMLElement(html);
+		let error = null;
+
+		try {
+			parseTemplate(template, OPTIONS);
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.templateId).toBe('inner1');
+		expect(error.message).toContain('template "inner1", <i> element, "class" attribute');
+	});
+});
+
+describe('parseTemplate with a state', () => {
+	it('should use the configuration options and registries of the given state', () => {
+		const state = createState();
+		const template = parseHTMLElement('<template><p let-name="${ host.name }">${ name }</p><template if="${ host.b }"><i>${ host.c }</i></template></template>');
+		const globalSize = contextFunctions.size;
+
+		setConfigs({ constantExp: 'let-' }, state);
+		parseTemplate(template, { ...OPTIONS, state });
+
+		const p = template.content.querySelector('p');
+		const tid = template.getAttribute('data-tid');
+
+		expect(p.hasAttribute('let-name')).toBe(false);
+		expect(state.parsedTemplates.get(tid)).toBe(template);
+		expect(state.parsedTemplates.size).toBe(2);
+		expect(state.contextFunctions.has(p.getAttribute('data-cid'))).toBe(true);
+		expect(parsedTemplates.has(tid)).toBe(false);
+		expect(contextFunctions.size).toBe(globalSize);
+	});
+});
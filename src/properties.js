@@ -0,0 +1,252 @@
+import createStore from './store.js';
+import { hyphenate } from './utils.js';
+
+/**
+ * Stores the property declarations of each host class (see `getDeclarations`).
+ */
+const declarations = new WeakMap();
+
+/**
+ * Stores the state of each host element. Values are objects with the `values` of the declared
+ * properties, the `store` that wraps the `values` (see the "store" module), and the name of the
+ * `attribute` that is being synchronized with its property (if any).
+ */
+const states = new WeakMap();
+
+/**
+ * Converts the value of an attribute into a value of the given `type`. Attributes of `Boolean`
+ * properties are `true` if present. Values of `Object` and `Array` properties are parsed as JSON.
+ * Any other `type` is a function that receives the value of the attribute (for instance, `String`
+ * or `Number`). Missing attributes are converted into `false` or `null`.
+ *
+ * @function fromAttribute
+ * @param {?string} value The value of the attribute (`null` if the attribute is missing).
+ * @param {Function} type The type of the property.
+ * @returns {*} The converted value.
+ */
+function fromAttribute(value, type) {
+	if (type === Boolean) {
+		return value !== null;
+	}
+
+	if (value === null) {
+		return null;
+	}
+
+	return type === Object || type === Array ? JSON.parse(value) : type(value);
+}
+
+/**
+ * Sets (or removes) an attribute to reflect the value of a property of the given `type`. The
+ * attribute is removed if the value is `null`, `undefined`, or `false`. Values of `Object` and
+ * `Array` properties are converted into JSON and `true` is converted into an empty string.
+ *
+ * @function reflect
+ * @param {Element} host The host element.
+ * @param {string} attribute The name of the attribute.
+ * @param {*} value The value of the property.
+ * @param {Function} type The type of the property.
+ */
+function reflect(host, attribute, value, type) {
+	if (value === null || value === undefined || value === false) {
+		host.removeAttribute(attribute);
+	} else if (type === Object || type === Array) {
+		host.setAttribute(attribute, JSON.stringify(value));
+	} else {
+		host.setAttribute(attribute, value === true ? '' : String(value));
+	}
+}
+
+/**
+ * Returns the state of the given `host` (see `states`), which is created, using the initial
+ * `value` of each declared property, the first time it's needed.
+ *
+ * @function getState
+ * @param {Element} host The host element.
+ * @returns {Object} The state of the host.
+ */
+function getState(host) {
+	let state = states.get(host);
+
+	if (!state) {
+		const values = {};
+
+		// eslint-disable-next-line no-use-before-define
+		for (const [name, options] of getDeclarations(host.constructor)) {
+			const { value } = options;
+
+			values[name] = typeof value === 'function' ? value.call(host) : value;
+		}
+
+		state = { values, store: createStore(values), attribute: null };
+		states.set(host, state);
+	}
+
+	return state;
+}
+
+/**
+ * Defines the accessors of a declared property on the prototype of a host class. The getter reads
+ * the value from the store of the host, which allows parts to track it as a dependency (see the
+ * `trackDependencies` configuration option). Since the store wraps plain objects and arrays in
+ * proxies (see `createStore`), the getter returns a proxy (not the object that was set) when the
+ * value is a plain object or an array, even if dependencies are not being tracked. Changes made
+ * through the proxy are observed by the store. When a new value is set, the setter reflects it to
+ * the attribute (if `options.reflect` is `true`), updates the store (which re-infuses the parts
+ * that depend on the property), and dispatches a "<attribute>-changed" event on the host.
+ *
+ * @function defineAccessors
+ * @param {Object} prototype The prototype of the host class.
+ * @param {string} name The name of the property.
+ * @param {Object} options The normalized declaration of the property.
+ */
+function defineAccessors(prototype, name, options) {
+	const { attribute, event, type } = options;
+
+	Object.defineProperty(prototype, name, {
+		configurable: true,
+		enumerable: true,
+		get() {
+			return getState(this).store[name];
+		},
+		set(value) {
+			const state = getState(this);
+			const oldValue = state.values[name];
+
+			if (value === oldValue) {
+				return;
+			}
+
+			// Don't reflect values that are being set from the attribute.
+			if (options.reflect && attribute && state.attribute !== attribute) {
+				state.attribute = attribute;
+
+				try {
+					reflect(this, attribute, value, type);
+				} finally {
+					state.attribute = null;
+				}
+			}
+
+			state.store[name] = value;
+			this.dispatchEvent(new CustomEvent(event, { detail: { value, oldValue } }));
+		},
+	});
+}
+
+/**
+ * Returns the declarations of the properties of a host class, defined by its static `properties`
+ * object. Keys of `properties` are names of properties and values are objects with the following
+ * (optional) attributes:
+ *     * `type`: The type used to convert the value of the attribute (`String` by default).
+ *     * `attribute`: The name of the attribute (the hyphenated name of the property by default),
+ *       or `false` if the property doesn't have an attribute.
+ *     * `reflect`: Indicates whether or not the value of the property must be reflected to the
+ *       attribute when the property is set.
+ *     * `value`: The initial value of the property, or a function that returns it (which is
+ *       executed with the host as `this`).
+ *
+ * The first time this function is called for a host class, the accessors of the properties are
+ * defined on its prototype (unless the prototype already defines them).
+ *
+ * @function getDeclarations
+ * @param {Function} HostClass The host class.
+ * @returns {Map} A map in which keys are property names and values are normalized declarations,
+ *     which also include the name of the `event` dispatched when the property changes.
+ */
+export function getDeclarations(HostClass) {
+	let map = declarations.get(HostClass);
+
+	if (map) {
+		return map;
+	}
+
+	const properties = HostClass.properties || {};
+
+	map = new Map();
+
+	Object.keys(properties).forEach((name) => {
+		const declaration = properties[name] || {};
+		const options = {
+			type: String,
+			attribute: hyphenate(name),
+			reflect: false,
+			...declaration,
+		};
+
+		options.event = `${ hyphenate(name) }-changed`;
+		map.set(name, options);
+
+		if (!Object.prototype.hasOwnProperty.call(HostClass.prototype, name)) {
+			defineAccessors(HostClass.prototype, name, options);
+		}
+	});
+
+	declarations.set(HostClass, map);
+
+	return map;
+}
+
+/**
+ * Returns the names of the attributes of the declared properties of a host class.
+ *
+ * @function getObservedAttributes
+ * @param {Function} HostClass The host class.
+ * @returns {string[]} The names of the attributes.
+ */
+export function getObservedAttributes(HostClass) {
+	return Array.from(getDeclarations(HostClass).values())
+		.map(({ attribute }) => attribute)
+		.filter(attribute => attribute);
+}
+
+/**
+ * Initializes the declared properties of a host. Values that were set on the host before its
+ * class was defined (which shadow the accessors) are deleted and set again using the accessors.
+ *
+ * @function initializeProperties
+ * @param {Element} host The host element.
+ */
+export function initializeProperties(host) {
+	for (const name of getDeclarations(host.constructor).keys()) {
+		if (Object.prototype.hasOwnProperty.call(host, name)) {
+			const value = host[name];
+
+			// eslint-disable-next-line no-param-reassign
+			delete host[name];
+			// eslint-disable-next-line no-param-reassign
+			host[name] = value;
+		}
+	}
+}
+
+/**
+ * Sets the value of the property that corresponds to the given `attribute`, converted into the
+ * type of the property (see `fromAttribute`). Performs no action if the attribute changed because
+ * the value of the property is being reflected.
+ *
+ * @function attributeChanged
+ * @param {Element} host The host element.
+ * @param {string} attribute The name of the attribute.
+ * @param {?string} value The new value of the attribute.
+ */
+export function attributeChanged(host, attribute, value) {
+	const state = getState(host);
+
+	if (state.attribute === attribute) {
+		return;
+	}
+
+	for (const [name, options] of getDeclarations(host.constructor)) {
+		if (options.attribute === attribute) {
+			state.attribute = attribute;
+
+			try {
+				// eslint-disable-next-line no-param-reassign
+				host[name] = fromAttribute(value, options.type);
+			} finally {
+				state.attribute = null;
+			}
+		}
+	}
+}
\ No newline at end of file
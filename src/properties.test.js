@@ -0,0 +1,151 @@
+import domino from 'domino';
+import { attributeChanged, getObservedAttributes, initializeProperties } from './properties.js';
+import { isStore } from './store.js';
+
+/**
+ * Creates an element (using domino) whose prototype is replaced by the prototype of a class that
+ * declares the given `properties`, and initializes its properties (as the constructor of a host
+ * class would).
+ */
+function createHost(properties) {
+	const document = domino.createDocument('');
+	const element = document.createElement('div');
+
+	class TestHost extends Object.getPrototypeOf(element).constructor {}
+	TestHost.properties = properties;
+
+	Object.setPrototypeOf(element, TestHost.prototype);
+	initializeProperties(element);
+
+	return element;
+}
+
+describe('properties', () => {
+	beforeAll(() => {
+		global.CustomEvent = domino.impl.CustomEvent;
+	});
+
+	afterAll(() => {
+		delete global.CustomEvent;
+	});
+
+	it('should return the names of the attributes of the declared properties', () => {
+		const host = createHost({
+			firstName: {},
+			age: { type: Number, attribute: 'data-age' },
+			items: { type: Array, attribute: false },
+		});
+
+		expect(getObservedAttributes(host.constructor)).toEqual(['first-name', 'data-age']);
+	});
+
+	it('should convert the values of attributes into the types of the properties', () => {
+		const host = createHost({
+			name: { type: String },
+			age: { type: Number },
+			active: { type: Boolean },
+			tags: { type: Array },
+		});
+
+		attributeChanged(host, 'name', 'Ada');
+		attributeChanged(host, 'age', '36');
+		attributeChanged(host, 'active', '');
+		attributeChanged(host, 'tags', '["a","b"]');
+
+		expect(host.name).toBe('Ada');
+		expect(host.age).toBe(36);
+		expect(host.active).toBe(true);
+		expect(host.tags).toEqual(['a', 'b']);
+
+		attributeChanged(host, 'age', null);
+		attributeChanged(host, 'active', null);
+
+		expect(host.age).toBeNull();
+		expect(host.active).toBe(false);
+	});
+
+	it('should reflect the values of properties to their attributes', () => {
+		const host = createHost({
+			title: { reflect: true },
+			hidden: { type: Boolean, reflect: true },
+			options: { type: Object, reflect: true },
+			note: {},
+		});
+
+		host.title = 'Hello';
+		host.hidden = true;
+		host.options = { a: 1 };
+		host.note = 'Not reflected';
+
+		expect(host.getAttribute('title')).toBe('Hello');
+		expect(host.getAttribute('hidden')).toBe('');
+		expect(host.getAttribute('options')).toBe('{"a":1}');
+		expect(host.hasAttribute('note')).toBe(false);
+
+		host.hidden = false;
+		host.title = null;
+
+		expect(host.hasAttribute('hidden')).toBe(false);
+		expect(host.hasAttribute('title')).toBe(false);
+	});
+
+	it('should not reflect values that are set from the attribute', () => {
+		const host = createHost({ size: { type: Number, reflect: true } });
+
+		host.setAttribute('size', '010');
+		attributeChanged(host, 'size', '010');
+
+		expect(host.size).toBe(10);
+		expect(host.getAttribute('size')).toBe('010');
+	});
+
+	it('should use the initial values of the properties', () => {
+		const host = createHost({
+			count: { type: Number, value: 1 },
+			items: { type: Array, value: () => [] },
+		});
+
+		expect(host.count).toBe(1);
+		expect(host.items).toEqual([]);
+	});
+
+	it('should return store proxies for object and array values', () => {
+		const host = createHost({ items: { type: Array } });
+		const items = ['a'];
+
+		host.items = items;
+		host.items.push('b');
+
+		expect(host.items).not.toBe(items);
+		expect(isStore(host.items)).toBe(true);
+		expect(items).toEqual(['a', 'b']);
+	});
+
+	it('should dispatch an event when the value of a property changes', () => {
+		const host = createHost({ firstName: {} });
+		const listener = jest.fn();
+
+		host.addEventListener('first-name-changed', listener);
+		host.firstName = 'Ada';
+		host.firstName = 'Ada';
+
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(listener.mock.calls[0][0].detail).toEqual({ value: 'Ada', oldValue: undefined });
+	});
+
+	it('should set values that were set before the accessors were defined', () => {
+		const document = domino.createDocument('');
+		const host = document.createElement('div');
+
+		host.heading = 'Early';
+
+		class TestHost extends Object.getPrototypeOf(host).constructor {}
+		TestHost.properties = { heading: { reflect: true } };
+		Object.setPrototypeOf(host, TestHost.prototype);
+		initializeProperties(host);
+
+		expect(Object.prototype.hasOwnProperty.call(host, 'heading')).toBe(false);
+		expect(host.heading).toBe('Early');
+		expect(host.getAttribute('heading')).toBe('Early');
+	});
+});
\ No newline at end of file
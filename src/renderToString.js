@@ -0,0 +1,67 @@
+import domino from 'domino';
+import sweep from './sweep.js';
+import infuse from './infuse.js';
+import parseTemplate from './parseTemplate.js';
+import configs, { contextFunctions, globalState, parsedTemplates, setConfigs } from './configs.js';
+
+/**
+ * Clones and infuses a template on the server (in Node.js) and returns the resulting HTML code.
+ * The template must belong to a document created by domino (for instance, a document returned by
+ * the `parseDocument` function). If the template hasn't been parsed, it's parsed before it's
+ * infused.
+ *
+ * While the template is infused, the `serverRendering` configuration option is enabled, which
+ * means that event listeners and watches are not added and the context function ID attributes are
+ * kept in the generated HTML code. The blocks of nested templates are marked using comments, so
+ * that the HTML code can be hydrated in the browser (see the `hydrate` function). All memory
+ * allocated during the infusion is cleared before the HTML code is returned.
+ *
+ *     import parseDocument from 'infuse.host/src/parseDocument.js';
+ *     import renderToString from 'infuse.host/src/renderToString.js';
+ *
+ *     const { document } = parseDocument('<h1>${ data.title }</h1>');
+ *     const template = document.querySelector('template');
+ *     const html = renderToString(template, { data: { title: 'Hello World' } });
+ *
+ * @function renderToString
+ * @param {HTMLTemplateElement} template The template to clone and infuse.
+ * @param {Object} [options={}] Options object.
+ * @param {Object} [options.host={}] The value to use as `host`. On the server, this is usually a
+ *     plain object with the same properties the host element would have in the browser.
+ * @param {Object} [options.data={}] The data object.
+ * @param {Object} [options.iterationData={}] The iteration data object.
+ * @param {Function} [options.uniqueId] A function to generate unique ID values if the template
+ *     needs to be parsed.
+ * @param {Object} [options.state=globalState] The state used to parse the template (see
+ *     `createState`). The template is infused using the global configuration options and
+ *     registries, so the parsed templates and context functions of the `state` are added to the
+ *     global registries.
+ * @returns {string} The HTML code of the infused template.
+ */
+export default function renderToString(template, options = {}) {
+	const { host = {}, data = {}, iterationData = {}, uniqueId, state = globalState } = options;
+	const serverRendering = configs.get('serverRendering');
+	const container = template.ownerDocument.createElement('div');
+
+	// Parse the template (this does nothing if the template has already been parsed).
+	parseTemplate(template, { uniqueId, window: domino.impl, state });
+
+	// The runtime only finds the templates and context functions of the global registries.
+	if (state !== globalState) {
+		state.parsedTemplates.forEach((value, tid) => parsedTemplates.set(tid, value));
+		state.contextFunctions.forEach((value, cid) => contextFunctions.set(cid, value));
+	}
+
+	setConfigs({ serverRendering: true });
+
+	try {
+		container.appendChild(infuse(host, template, data, iterationData));
+	} finally {
+		setConfigs({ serverRendering });
+	}
+
+	// Clear all the memory allocated for the infused elements.
+	sweep(container, container);
+
+	return container.innerHTML;
+}
\ No newline at end of file
@@ -0,0 +1,179 @@
+/* eslint-disable no-template-curly-in-string */
+import configs, { setConfigs } from './configs.js';
+import { flushSync, hydrate } from './infuse.js';
+import parseDocument from './parseDocument.js';
+import renderToString from './renderToString.js';
+
+function createTemplate(html) {
+	const { document } = parseDocument(`<template>${ html }</template>`);
+	return document.querySelector('template');
+}
+
+describe('renderToString', () => {
+	it('should render text child nodes and attributes', () => {
+		const template = createTemplate('<h1 class="title ${ data.type }">${ host.title }</h1>');
+		const html = renderToString(template, { host: { title: 'Hello' }, data: { type: 'big' } });
+
+		expect(html).toMatch(/^<h1 data-cid="\w+" class="title big">Hello<\/h1>$/);
+	});
+
+	it('should escape the infused values', () => {
+		const template = createTemplate('<p>${ data.text }</p>');
+		const html = renderToString(template, { data: { text: '<b>&</b>' } });
+
+		expect(html).toContain('&lt;b&gt;&amp;&lt;/b&gt;');
+	});
+
+	it('should render iterating templates', () => {
+		const template = createTemplate('<ul><template for="item" each="${ data.items }"><li>${ item }</li></template></ul>');
+		const html = renderToString(template, { data: { items: ['a', 'b'] } });
+
+		expect(html.replace(/ data-cid="\w+"/g, '')).toMatch(/^<ul><!--\{\w+--><!--\[--><li>a<\/li><!--\[--><li>b<\/li><!--\}--><\/ul>$/);
+	});
+
+	it('should render conditional templates', () => {
+		const template = createTemplate('<div><template if="${ data.a }"><p>A</p></template><template else><p>B</p></template></div>');
+
+		expect(renderToString(template, { data: { a: true } })).toContain('<p>A</p>');
+		expect(renderToString(template, { data: { a: false } })).toContain('<p>B</p>');
+	});
+
+	it('should mark the rendered branch of conditional templates', () => {
+		const template = createTemplate('<div><template if="${ data.a }"><p>A</p></template><template else><p>B</p></template></div>');
+
+		expect(renderToString(template, { data: { a: true } })).toMatch(/<!--\{\w+@0--><p>A<\/p><!--\}-->/);
+		expect(renderToString(template, { data: { a: false } })).toMatch(/<!--\{\w+@1--><p>B<\/p><!--\}-->/);
+	});
+
+	it('should render the same template multiple times', () => {
+		const template = createTemplate('<p>${ data.n }</p>');
+
+		expect(renderToString(template, { data: { n: 1 } })).toContain('>1</p>');
+		expect(renderToString(template, { data: { n: 2 } })).toContain('>2</p>');
+	});
+
+	it('should not add event listeners or watches', () => {
+		const template = createTemplate('<button onclick="host.go()" watch-host="change">${ host.label }</button>');
+
+		expect(() => renderToString(template, { host: { label: 'Go' } })).not.toThrow();
+	});
+
+	it('should not include the sweep flag attribute', () => {
+		const template = createTemplate('<p>${ host.text }</p>');
+		const html = renderToString(template, { host: { text: 'foo' } });
+
+		expect(html).not.toContain(configs.get('sweepFlag'));
+	});
+
+	it('should disable the serverRendering configuration option when it\'s done', () => {
+		const template = createTemplate('<p>${ host.text }</p>');
+
+		renderToString(template, { host: { text: 'foo' } });
+		expect(configs.get('serverRendering')).toBe(false);
+	});
+});
+
+describe('hydrate', () => {
+	function renderAndHydrate(template, data, hydrationData = data) {
+		const host = template.ownerDocument.createElement('div');
+
+		host.innerHTML = renderToString(template, { host, data });
+		hydrate(host, template, hydrationData);
+
+		return host;
+	}
+
+	function getHTML(host) {
+		return host.innerHTML.replace(/ data-sweep=""/g, '');
+	}
+
+	function dispatch(target, type) {
+		const event = target.ownerDocument.createEvent('Event');
+
+		event.initEvent(type, true, true);
+		target.dispatchEvent(event);
+	}
+
+	afterEach(() => {
+		setConfigs({ devMode: false });
+	});
+
+	it('should reuse the server-rendered elements', () => {
+		const template = createTemplate('<ul><template for="item" each="${ data.items }"><li>${ item }</li></template></ul>');
+		const host = template.ownerDocument.createElement('div');
+
+		host.innerHTML = renderToString(template, { host, data: { items: ['a', 'b'] } });
+		const items = Array.from(host.querySelectorAll('li'));
+		hydrate(host, template, { items: ['a', 'b'] });
+
+		expect(Array.from(host.querySelectorAll('li'))).toEqual(items);
+		expect(getHTML(host)).toBe('<ul><!----><li>a</li><li>b</li><!----></ul>');
+	});
+
+	it('should add event listeners and watches', () => {
+		const template = createTemplate('<button onclick="host.clicks = (host.clicks || 0) + 1" watch-host="update">${ host.clicks || 0 }</button>');
+		const host = renderAndHydrate(template, {});
+		const button = host.querySelector('button');
+
+		dispatch(button, 'click');
+		dispatch(host, 'update');
+		flushSync();
+
+		expect(host.clicks).toBe(1);
+		expect(button.textContent).toBe('1');
+	});
+
+	it('should hydrate the items of iterating templates with their iteration data', () => {
+		const template = createTemplate('<ul><template for="item" each="${ data.items }"><li onclick="host.clicked = item">${ item }</li></template></ul>');
+		const host = renderAndHydrate(template, { items: ['a', 'b'] });
+
+		dispatch(host.querySelectorAll('li')[1], 'click');
+
+		expect(host.clicked).toBe('b');
+	});
+
+	it('should refresh the hydrated items that are kept when the collection changes', () => {
+		const template = createTemplate('<ul><template for="item, i" each="${ data.items }" watch-host="update"><li>${ i }:${ item }</li></template></ul>');
+		const data = { items: ['a', 'b'] };
+		const host = renderAndHydrate(template, data);
+		const [liA, liB] = Array.from(host.querySelectorAll('li'));
+
+		data.items = ['b', 'a'];
+		dispatch(host, 'update');
+		flushSync();
+
+		expect(Array.from(host.querySelectorAll('li'))).toEqual([liB, liA]);
+		expect(getHTML(host)).toBe('<ul><!----><li>0:b</li><li>1:a</li><!----></ul>');
+	});
+
+	it('should restore text parts that were rendered as empty text nodes', () => {
+		const template = createTemplate('<p watch-host="update">${ host.text || \'\' }<b>-</b></p>');
+		const host = renderAndHydrate(template, {});
+
+		host.text = 'foo';
+		dispatch(host, 'update');
+		flushSync();
+
+		expect(getHTML(host)).toBe('<p>foo<b>-</b></p>');
+	});
+
+	it('should replace blocks that don\'t match the data', () => {
+		const template = createTemplate('<div><template if="${ data.a }"><p>A</p></template><template else><p>B</p></template></div>');
+		const host = renderAndHydrate(template, { a: true }, { a: false });
+
+		expect(getHTML(host)).toBe('<div><!----><p>B</p><!----></div>');
+	});
+
+	it('should report mismatches in dev mode', () => {
+		const template = createTemplate('<ul><template for="item" each="${ data.items }"><li>${ item }</li></template></ul>');
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+		setConfigs({ devMode: true });
+		const host = renderAndHydrate(template, { items: ['a', 'b'] }, { items: ['c'] });
+
+		expect(warn).toHaveBeenCalledTimes(1);
+		expect(warn.mock.calls[0][0]).toMatch(/^Hydration mismatch: expected 1 items/);
+		expect(getHTML(host)).toBe('<ul><!----><li>c</li><!----></ul>');
+		warn.mockRestore();
+	});
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+import configs from './configs.js';
+
+/**
+ * Reports an error thrown while infusing an element (or a nested template). The error is passed,
+ * along with the `info` object, to the `onError` function (if the `onError` configuration option
+ * is set). Then, if the element belongs to an error boundary (a nested template followed by a
+ * "catch" template), the `boundary` handles the error by rendering the "catch" template instead of
+ * the contents of the nested template. If there's no `boundary` and no `onError` function, the
+ * error is thrown again.
+ *
+ * When this function returns (instead of throwing), the caller skips whatever failed (for
+ * instance, the part that threw the error) and continues infusing the rest of the template.
+ *
+ * @function reportError
+ * @param {*} error The error that was thrown.
+ * @param {Object} info An object with the following attributes:
+ *     * `element`: The element (or template) that was being infused.
+ *     * `contextId`: The ID of the context function of the element.
+ *     * `part`: The part that was being infused (`null` if the error was thrown by the context
+ *       function).
+ *     * `event`: The event that triggered the infusion (`undefined` the first time the element is
+ *       infused).
+ * @param {Object} [boundary] The error boundary of the element, if there's one.
+ */
+export default function reportError(error, info, boundary) {
+	const onError = configs.get('onError');
+
+	if (typeof onError === 'function') {
+		onError(error, info);
+	}
+
+	if (boundary) {
+		boundary.handle(error, info);
+	} else if (typeof onError !== 'function') {
+		throw error;
+	}
+}
+
+/**
+ * Reports an error thrown asynchronously (for instance, the rejection of a promise) using
+ * `reportError`. Since there's no caller to throw the error to, an error that is not handled by
+ * the `onError` function or an error boundary is logged using the console, instead of being thrown
+ * again, so that it doesn't become an unhandled promise rejection.
+ *
+ * @function reportAsyncError
+ * @param {*} error The error that was thrown.
+ * @param {Object} info The same `info` object passed to `reportError`.
+ * @param {Object} [boundary] The error boundary of the element, if there's one.
+ */
+export function reportAsyncError(error, info, boundary) {
+	try {
+		reportError(error, info, boundary);
+	} catch (unhandledError) {
+		// eslint-disable-next-line no-console
+		console.error(unhandledError);
+	}
+}
\ No newline at end of file
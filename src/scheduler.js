@@ -0,0 +1,167 @@
+import configs from './configs.js';
+import { reportAsyncError } from './reportError.js';
+
+/**
+ * Queued tasks. Keys identify each task (for instance, the element to infuse) and values are
+ * objects with the `run` function of the task, the latest `event`, and the `parts` to infuse.
+ */
+const queue = new Map();
+
+// Indicates whether a flush of the `queue` has been requested.
+let isScheduled = false;
+
+/**
+ * Maximum number of passes over the `queue` in a single flush. Tasks that keep queuing themselves
+ * (for instance, a part that changes a store property that it reads) would never end the flush.
+ */
+const MAX_FLUSH_PASSES = 100;
+
+/**
+ * Merges the parts of two infusions of the same element. If either of them infuses all parts
+ * ('*'), the result is '*'. Otherwise, the result is an array with the parts of both.
+ *
+ * @function mergeParts
+ * @param {(string|number|Array)} queued The parts of the queued infusion.
+ * @param {(string|number|Array)} parts The parts of the new infusion.
+ * @returns {(string|Array)} The merged parts.
+ */
+function mergeParts(queued, parts) {
+	if (queued === '*' || parts === '*') {
+		return '*';
+	}
+
+	const merged = Array.isArray(queued) ? queued.slice() : [queued];
+
+	for (const part of Array.isArray(parts) ? parts : [parts]) {
+		if (!merged.includes(part)) {
+			merged.push(part);
+		}
+	}
+
+	return merged;
+}
+
+/**
+ * Executes all the queued tasks. Tasks queued while flushing (for instance, by infusions that
+ * change the properties of a store) are executed in the same flush. If a task throws an error, the
+ * remaining tasks are still executed. If tasks are still being queued after `MAX_FLUSH_PASSES`
+ * passes, the cycle is reported using `reportAsyncError` and the remaining tasks are dropped.
+ *
+ * @function flush
+ * @param {Function} onTaskError The function that handles the errors thrown by the tasks. It
+ *     receives the error and the `event` of the task.
+ */
+function flush(onTaskError) {
+	isScheduled = false;
+
+	for (let passes = 0; queue.size > 0; passes += 1) {
+		if (passes === MAX_FLUSH_PASSES) {
+			const [key, { event }] = queue.entries().next().value;
+			const error = new Error(`Infusions were still being queued after ${ MAX_FLUSH_PASSES } passes of the same flush (for instance, by a part that changes a store property that it reads). The remaining infusions were dropped.`);
+
+			queue.clear();
+
+			// The key of a task is usually the element to infuse (or a watch callback).
+			reportAsyncError(error, {
+				element: typeof key === 'function' ? null : key,
+				contextId: null,
+				part: null,
+				event,
+			});
+
+			return;
+		}
+
+		const tasks = Array.from(queue.values());
+
+		queue.clear();
+
+		for (const { run, event, parts } of tasks) {
+			try {
+				run(event, parts);
+			} catch (error) {
+				onTaskError(error, event);
+			}
+		}
+	}
+}
+
+/**
+ * Executes all the queued tasks right away (see `flush`) and throws the first error thrown by
+ * them, once all of them have been executed.
+ *
+ * @function flushSync
+ * @throws {*} The first error thrown by the queued tasks.
+ */
+export function flushSync() {
+	const errors = [];
+
+	flush(error => errors.push(error));
+
+	if (errors.length > 0) {
+		throw errors[0];
+	}
+}
+
+/**
+ * Executes all the queued tasks (see `flush`) when a requested flush is due. There's no caller to
+ * throw errors to, so they're reported using `reportAsyncError`.
+ *
+ * @function flushScheduled
+ */
+function flushScheduled() {
+	flush((error, event) => {
+		reportAsyncError(error, { element: null, contextId: null, part: null, event });
+	});
+}
+
+/**
+ * Requests a flush of the queue in the next microtask or, if the `scheduler` configuration option
+ * is "animationFrame" (and `requestAnimationFrame` is available), in the next animation frame.
+ *
+ * @function requestFlush
+ */
+function requestFlush() {
+	if (isScheduled) {
+		return;
+	}
+
+	isScheduled = true;
+
+	if (configs.get('scheduler') === 'animationFrame' && typeof requestAnimationFrame === 'function') {
+		requestAnimationFrame(flushScheduled);
+	} else {
+		Promise.resolve().then(flushScheduled);
+	}
+}
+
+/**
+ * Queues a task (for instance, the re-infusion of an element). A task queued multiple times (with
+ * the same `key`) before the queue is flushed is executed only once, with the latest `event` and,
+ * if the task infuses `parts`, the parts of all of them (see `mergeParts`). If the `scheduler`
+ * configuration option is "sync", the task is executed right away.
+ *
+ * @function schedule
+ * @param {*} key The value that identifies the task (for instance, the element to infuse).
+ * @param {Function} run The function that executes the task. It receives the `event` and the
+ *     `parts`.
+ * @param {Event} [event] The `Event` instance (or value) that triggered the task.
+ * @param {(string|number|Array)} [parts] The parts to infuse.
+ */
+export default function schedule(key, run, event, parts) {
+	if (configs.get('scheduler') === 'sync') {
+		run(event, parts);
+		return;
+	}
+
+	const task = queue.get(key);
+
+	if (task) {
+		task.event = event;
+		task.parts = parts === undefined ? task.parts : mergeParts(task.parts, parts);
+	} else {
+		queue.set(key, { run, event, parts });
+	}
+
+	requestFlush();
+}
\ No newline at end of file
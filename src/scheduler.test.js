@@ -0,0 +1,147 @@
+import schedule, { flushSync } from './scheduler.js';
+import { setConfigs } from './configs.js';
+
+describe('schedule', () => {
+	it('should execute the queued tasks in a microtask', async () => {
+		const run = jest.fn();
+
+		schedule('a', run, 'event');
+		expect(run).not.toHaveBeenCalled();
+
+		await Promise.resolve();
+		expect(run).toHaveBeenCalledWith('event', undefined);
+	});
+
+	it('should execute tasks queued with the same key only once', () => {
+		const run = jest.fn();
+
+		schedule('a', run, 'first', 'class');
+		schedule('a', run, 'second', ['title', 'class']);
+		schedule('a', run, 'third', 0);
+		flushSync();
+
+		expect(run).toHaveBeenCalledTimes(1);
+		expect(run).toHaveBeenCalledWith('third', ['class', 'title', 0]);
+	});
+
+	it('should infuse all parts if one of the merged tasks infuses all parts', () => {
+		const run = jest.fn();
+
+		schedule('a', run, undefined, 'class');
+		schedule('a', run, undefined, '*');
+		schedule('a', run, undefined, 'title');
+		flushSync();
+
+		expect(run).toHaveBeenCalledWith(undefined, '*');
+	});
+
+	it('should execute tasks queued while flushing in the same flush', () => {
+		const second = jest.fn();
+
+		schedule('a', () => schedule('b', second));
+		flushSync();
+
+		expect(second).toHaveBeenCalledTimes(1);
+	});
+
+	it('should report tasks that keep queuing themselves and drop them', () => {
+		const element = { id: 'looping' };
+		const other = jest.fn();
+		const onError = jest.fn();
+		let runs = 0;
+		const run = () => {
+			runs += 1;
+			schedule(element, run, 'event');
+		};
+
+		setConfigs({ onError });
+
+		try {
+			schedule(element, run, 'event');
+			schedule('other', other);
+			flushSync();
+
+			expect(runs).toBe(100);
+			expect(other).toHaveBeenCalledTimes(1);
+			expect(onError).toHaveBeenCalledTimes(1);
+			expect(onError.mock.calls[0][0].message).toMatch(/still being queued after 100 passes/);
+			expect(onError.mock.calls[0][1]).toEqual({
+				element, contextId: null, part: null, event: 'event',
+			});
+
+			// The queue was dropped, so nothing is left to flush.
+			runs = 0;
+			flushSync();
+			expect(runs).toBe(0);
+		} finally {
+			setConfigs({ onError: null });
+		}
+	});
+
+	it('should execute all tasks and throw the first error', () => {
+		const run = jest.fn();
+
+		schedule('a', () => { throw new Error('first'); });
+		schedule('b', () => { throw new Error('second'); });
+		schedule('c', run);
+
+		expect(() => flushSync()).toThrowError('first');
+		expect(run).toHaveBeenCalledTimes(1);
+	});
+
+	it('should report the errors of scheduled flushes instead of throwing them', async () => {
+		const run = jest.fn();
+		const onError = jest.fn();
+		const unhandled = jest.fn();
+
+		setConfigs({ onError });
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			schedule('a', () => { throw new Error('first'); }, 'event');
+			schedule('b', run);
+			await new Promise(done => setTimeout(done));
+
+			expect(onError).toHaveBeenCalledTimes(1);
+			expect(onError.mock.calls[0][0].message).toBe('first');
+			expect(onError.mock.calls[0][1].event).toBe('event');
+			expect(run).toHaveBeenCalledTimes(1);
+			expect(unhandled).not.toHaveBeenCalled();
+		} finally {
+			process.removeListener('unhandledRejection', unhandled);
+			setConfigs({ onError: null });
+		}
+	});
+
+	it('should execute tasks right away if the "scheduler" option is "sync"', () => {
+		const run = jest.fn();
+
+		setConfigs({ scheduler: 'sync' });
+
+		try {
+			schedule('a', run, 'event', 'class');
+			expect(run).toHaveBeenCalledWith('event', 'class');
+		} finally {
+			setConfigs({ scheduler: 'microtask' });
+		}
+	});
+
+	it('should execute tasks in an animation frame if the "scheduler" option is "animationFrame"', () => {
+		const run = jest.fn();
+
+		global.requestAnimationFrame = jest.fn();
+		setConfigs({ scheduler: 'animationFrame' });
+
+		try {
+			schedule('a', run);
+			expect(global.requestAnimationFrame).toHaveBeenCalledTimes(1);
+			expect(run).not.toHaveBeenCalled();
+
+			global.requestAnimationFrame.mock.calls[0][0]();
+			expect(run).toHaveBeenCalledTimes(1);
+		} finally {
+			setConfigs({ scheduler: 'microtask' });
+			delete global.requestAnimationFrame;
+		}
+	});
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Elements whose contents are raw text (the contents can't contain other elements).
+ */
+const RAW_TEXT_ELEMENTS = new Set([
+	'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes',
+]);
+
+/**
+ * Encodes an integer as a Base64 VLQ, as used in the "mappings" of source maps.
+ *
+ * @function encodeVLQ
+ * @param {number} value The integer to encode.
+ * @returns {string} The encoded value.
+ */
+export function encodeVLQ(value) {
+	// The least significant bit indicates the sign.
+	let vlq = value < 0 ? ((-value) * 2) + 1 : value * 2;
+	let encoded = '';
+
+	do {
+		// Each digit contains 5 bits, the 6th bit indicates if more digits follow.
+		let digit = vlq % 32;
+		vlq = Math.floor(vlq / 32);
+
+		if (vlq > 0) {
+			digit += 32;
+		}
+
+		encoded += BASE64_CHARS[digit];
+	} while (vlq > 0);
+
+	return encoded;
+}
+
+/**
+ * Creates a function that converts offsets (positions) within the given `text` into zero-based
+ * line and column numbers.
+ *
+ * @function createLocator
+ * @param {string} text The text.
+ * @returns {Function} A function that takes an offset and returns an object with the `line` and
+ *     `column`.
+ */
+export function createLocator(text) {
+	const lineStarts = [0];
+
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === '\n') {
+			lineStarts.push(i + 1);
+		}
+	}
+
+	return (offset) => {
+		let low = 0;
+		let high = lineStarts.length - 1;
+
+		// Binary search of the last line that starts before (or at) the `offset`.
+		while (low < high) {
+			const middle = Math.ceil((low + high) / 2);
+
+			if (lineStarts[middle] <= offset) {
+				low = middle;
+			} else {
+				high = middle - 1;
+			}
+		}
+
+		return { line: low, column: offset - lineStarts[low] };
+	};
+}
+
+/**
+ * Finds the start tags in the given HTML source code, in the order in which they appear. Comments,
+ * end tags, DOCTYPEs, and the contents of raw text elements (for instance, `<script>`) are
+ * skipped. The order of the start tags matches the order of the elements in the parsed document
+ * (when traversing the contents of templates as well), except for elements that are implied by the
+ * parser (for instance, `<tbody>`).
+ *
+ * @function locateStartTags
+ * @param {string} html The HTML source code.
+ * @returns {Object[]} An array of objects with the `name` (lower case) of the element and the
+ *     `start` and `end` offsets of each start tag.
+ */
+export function locateStartTags(html) {
+	const tags = [];
+
+	for (let i = html.indexOf('<'); i !== -1; i = html.indexOf('<', i + 1)) {
+		const match = /^<([a-zA-Z][^\s/>]*)/.exec(html.substr(i, 256));
+
+		if (html.startsWith('<!--', i)) {
+			i = html.indexOf('-->', i + 4);
+		} else if (match) {
+			const name = match[1].toLowerCase();
+			let end = i + match[0].length;
+			let quote = null;
+
+			// Find the end of the start tag, ignoring ">" characters within quoted values.
+			for (; end < html.length && (quote !== null || html[end] !== '>'); end++) {
+				if (quote !== null && html[end] === quote) {
+					quote = null;
+				} else if (quote === null && (html[end] === '"' || html[end] === '\'')) {
+					quote = html[end];
+				}
+			}
+
+			tags.push({ name, start: i, end: end + 1 });
+			i = end;
+
+			// Skip the contents of raw text elements.
+			if (RAW_TEXT_ELEMENTS.has(name)) {
+				const close = html.toLowerCase().indexOf(`</${ name }`, i);
+				i = close === -1 ? html.length : close;
+			}
+		} else {
+			i = html.indexOf('>', i);
+		}
+
+		if (i === -1) {
+			break;
+		}
+	}
+
+	return tags;
+}
+
+/**
+ * Generates a source map (version 3) for the `code` generated from a single `source` file.
+ *
+ * @function createSourceMap
+ * @param {Object} options Options object.
+ * @param {string} options.code The generated code.
+ * @param {string} options.source The source code.
+ * @param {string} options.sourceFileName The name of the source file.
+ * @param {string} [options.file] The name of the generated file.
+ * @param {Object[]} options.mappings An array of objects, each one with a `generated` and an
+ *     `original` offset. The `generated` offset is a position within the generated `code` and the
+ *     `original` offset is the corresponding position within the `source`.
+ * @returns {Object} The source map.
+ */
+export default function createSourceMap(options) {
+	const { code, source, sourceFileName, file } = options;
+	const locateGenerated = createLocator(code);
+	const locateOriginal = createLocator(source);
+	const mappings = options.mappings.slice().sort((a, b) => a.generated - b.generated);
+	const lines = [];
+
+	// Values of the previous segment. All values, except for the column, are relative to them.
+	let previousLine = 0;
+	let previousColumn = 0;
+	let previousGeneratedLine = -1;
+	let previousGeneratedColumn = 0;
+
+	for (const { generated, original } of mappings) {
+		const { line, column } = locateGenerated(generated);
+		const originalLocation = locateOriginal(original);
+
+		while (lines.length <= line) {
+			lines.push([]);
+		}
+
+		// The generated column is relative to the previous segment of the same line.
+		if (line !== previousGeneratedLine) {
+			previousGeneratedColumn = 0;
+			previousGeneratedLine = line;
+		}
+
+		lines[line].push([
+			encodeVLQ(column - previousGeneratedColumn),
+			encodeVLQ(0),
+			encodeVLQ(originalLocation.line - previousLine),
+			encodeVLQ(originalLocation.column - previousColumn),
+		].join(''));
+
+		previousGeneratedColumn = column;
+		previousLine = originalLocation.line;
+		previousColumn = originalLocation.column;
+	}
+
+	const map = {
+		version: 3,
+		sources: [sourceFileName],
+		sourcesContent: [source],
+		names: [],
+		mappings: lines.map(segments => segments.join(',')).join(';'),
+	};
+
+	if (file) {
+		map.file = file;
+	}
+
+	return map;
+}
\ No newline at end of file
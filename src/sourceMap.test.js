@@ -0,0 +1,82 @@
+import createSourceMap, { createLocator, encodeVLQ, locateStartTags } from './sourceMap.js';
+
+describe('encodeVLQ', () => {
+	it('should encode small integers using a single digit', () => {
+		expect(encodeVLQ(0)).toBe('A');
+		expect(encodeVLQ(1)).toBe('C');
+		expect(encodeVLQ(-1)).toBe('D');
+		expect(encodeVLQ(15)).toBe('e');
+	});
+
+	it('should encode large integers using multiple digits', () => {
+		expect(encodeVLQ(16)).toBe('gB');
+		expect(encodeVLQ(-16)).toBe('hB');
+		expect(encodeVLQ(1000)).toBe('w+B');
+	});
+});
+
+describe('createLocator', () => {
+	it('should convert offsets into zero-based lines and columns', () => {
+		const locate = createLocator('ab\ncd\n\nef');
+
+		expect(locate(0)).toEqual({ line: 0, column: 0 });
+		expect(locate(2)).toEqual({ line: 0, column: 2 });
+		expect(locate(4)).toEqual({ line: 1, column: 1 });
+		expect(locate(6)).toEqual({ line: 2, column: 0 });
+		expect(locate(8)).toEqual({ line: 3, column: 1 });
+	});
+});
+
+describe('locateStartTags', () => {
+	it('should find start tags in order, including those in templates', () => {
+		const html = '<template><div class="a"><p>Text</p></div></template>';
+		const tags = locateStartTags(html);
+
+		expect(tags.map(tag => tag.name)).toEqual(['template', 'div', 'p']);
+		expect(tags[1]).toEqual({ name: 'div', start: 10, end: 25 });
+	});
+
+	it('should skip comments, end tags, and the contents of raw text elements', () => {
+		const html = '<!-- <a> --><script>"<b>"</script><I title="<c>">x</I>';
+		const tags = locateStartTags(html);
+
+		expect(tags.map(tag => tag.name)).toEqual(['script', 'i']);
+		expect(tags[1].end).toBe(html.length - 5);
+	});
+});
+
+describe('createSourceMap', () => {
+	it('should generate a version 3 source map', () => {
+		const map = createSourceMap({
+			code: 'abc\ndef',
+			source: 'xyz',
+			sourceFileName: 'file.html',
+			file: 'file.js',
+			mappings: [],
+		});
+
+		expect(map).toEqual({
+			version: 3,
+			file: 'file.js',
+			sources: ['file.html'],
+			sourcesContent: ['xyz'],
+			names: [],
+			mappings: '',
+		});
+	});
+
+	it('should encode the mappings relative to the previous segments', () => {
+		const map = createSourceMap({
+			code: 'abc\ndef\nghi',
+			source: 'xyz\nxyz',
+			sourceFileName: 'file.html',
+			mappings: [
+				{ generated: 9, original: 5 },
+				{ generated: 1, original: 1 },
+				{ generated: 2, original: 2 },
+			],
+		});
+
+		expect(map.mappings).toBe('CAAC,CAAC;;CACD');
+	});
+});
\ No newline at end of file
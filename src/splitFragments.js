@@ -1,4 +1,5 @@
-import configs from './configs.js';
+import { globalState } from './configs.js';
+import TemplateSyntaxError from './diagnostics.js';
 
 /**
  * Takes an array of tag function names and returns a settings object that can be used to find tag
@@ -101,13 +102,18 @@ export function createTagSettings(tags) {
  *
  * @function splitFragments
  * @param {string} input A string that may or may not contain expressions and/or template literals.
+ * @param {Object} [state=globalState] The state whose "tags" configuration option is used (see
+ *     `createState`).
  * @returns {Array} An array of fragments or `null` if the input string doesn't contain any
  *     expressions or template literals.
+ * @throws {TemplateSyntaxError} If an expression ("${") is not closed, the braces within an
+ *     expression are not balanced, or a template literal that contains an expression is not
+ *     closed.
  */
-export default function splitFragments(input) {
+export default function splitFragments(input, state = globalState) {
 	// Container for all fragments.
 	const fragments = [];
-	const tags = configs.get('tags');
+	const tags = state.configs.get('tags');
 	const settings = createTagSettings(tags);
 
 	/**
@@ -297,6 +303,27 @@ export default function splitFragments(input) {
 		}
 	}
 
+	/**
+	 * A template literal that was never closed is only an error if it contains an expression.
+	 * Otherwise, the backtick is just a character in the string.
+	 */
+	if (templateStart !== -1 && input.indexOf('${', templateStart) !== -1) {
+		throw new TemplateSyntaxError('Unclosed template literal: missing "`"', {
+			source: input,
+			offset: templateStart,
+		});
+	}
+
+	// If an expression was never closed, either "}" is missing or the braces are not balanced.
+	if (expressionStart !== -1) {
+		const reason = openedBraces > 0 ? 'Unbalanced braces in expression' : 'Unterminated expression';
+
+		throw new TemplateSyntaxError(`${ reason }: missing "}"`, {
+			source: input,
+			offset: expressionStart,
+		});
+	}
+
 	if (fragments.length === 0 || (fragments.length === 1 && fragments[0] === input)) {
 		return null;
 	}
@@ -312,13 +339,18 @@ export default function splitFragments(input) {
  * @function joinFragments
  * @param {string[]} fragments The parsed fragments.
  * @param {boolean} [isEventCallback=false] If `true`, the returned expression will be an arrow
- *     function that takes an `event` argument.
+ *     function that takes an `event` argument. If one of the fragments uses "await", the arrow
+ *     function is async and it also takes a `signal` argument (an `AbortSignal`).
+ * @param {Object} [state=globalState] The state whose configuration options are used to name the
+ *     tags, `event`, and `signal` variables (see `createState`).
  * @returns {string}
  */
-export function joinFragments(fragments, isEventCallback = false) {
+export function joinFragments(fragments, isEventCallback = false, state = globalState) {
 	let isAsync = false;
+	const { configs } = state;
 	const tagsName = configs.get('tagsName');
 	const eventName = configs.get('eventName');
+	const signalName = configs.get('signalName');
 
 	let src = fragments.map((fragment) => {
 		if (typeof fragment === 'string') {
@@ -356,7 +388,9 @@ export function joinFragments(fragments, isEventCallback = false) {
 	src = src.join(' + ');
 
 	if (isEventCallback) {
-		src = `${ isAsync ? 'async ' : '' }(${ eventName }) => ${ src }`;
+		src = isAsync
+			? `async (${ eventName }, ${ signalName }) => ${ src }`
+			: `(${ eventName }) => ${ src }`;
 	}
 
 	return src;
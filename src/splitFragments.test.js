@@ -1,5 +1,6 @@
 /* eslint-disable no-template-curly-in-string */
 import { setConfigs } from './configs.js';
+import TemplateSyntaxError from './diagnostics.js';
 import splitFragments, { joinFragments, createTagSettings } from './splitFragments.js';
 
 describe('createTagSettings', () => {
@@ -153,6 +154,45 @@ describe('splitFragments', () => {
 	});
 });
 
+describe('splitFragments with malformed input', () => {
+	function getError(input) {
+		try {
+			splitFragments(input);
+		} catch (error) {
+			return error;
+		}
+
+		return null;
+	}
+
+	it('should throw a TemplateSyntaxError if an expression is not closed', () => {
+		const error = getError('btn btn-${ host.btnType');
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error).toBeInstanceOf(SyntaxError);
+		expect(error.reason).toBe('Unterminated expression: missing "}"');
+		expect(error.offset).toBe(8);
+	});
+
+	it('should throw a TemplateSyntaxError if the braces of an expression are not balanced', () => {
+		const error = getError('${ host.fn({ a: { b: 1 } }');
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.reason).toBe('Unterminated expression: missing "}"');
+
+		expect(getError('${ { { }').reason).toBe('Unbalanced braces in expression: missing "}"');
+	});
+
+	it('should throw a TemplateSyntaxError if a template literal with expressions is not closed', () => {
+		const error = getError('Total:\n  `$${ order.total }');
+
+		expect(error).toBeInstanceOf(TemplateSyntaxError);
+		expect(error.reason).toBe('Unclosed template literal: missing "`"');
+		expect(error.line).toBe(2);
+		expect(error.column).toBe(3);
+	});
+});
+
 describe('joinFragments', () => {
 	it('should join together multiple fragments into a single line of source code', () => {
 		const fragments = splitFragments('i18n`total`: $${ order.total }');
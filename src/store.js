@@ -0,0 +1,380 @@
+/**
+ * Stores the state of each store proxy (including the proxies of nested objects and arrays). Keys
+ * are the proxies and values are objects with the following attributes:
+ *     * `target`: The object (or array) wrapped by the proxy.
+ *     * `path`: The path of the object within the store (an empty string for the root object).
+ *     * `root`: The root state object, which contains the `subscriptions` map (where keys are
+ *       paths and values are maps of callbacks and booleans, indicating if the callback must be
+ *       executed when descendants of the path change), the `descendants` map (where keys are paths
+ *       and values are sets of the subscribed paths that are descendants of the key), and the
+ *       `proxies` map (where keys are objects and values are maps of paths and proxies).
+ */
+const states = new WeakMap();
+
+/**
+ * Stack of dependency trackers (see `track`). Each tracker is a `Map` in which keys are root state
+ * objects and values are sets of paths that were read while the tracker was active.
+ */
+const trackers = [];
+
+/**
+ * Joins a `path` and a property name using a dot.
+ *
+ * @function joinPath
+ * @param {string} path The path of an object within a store.
+ * @param {string} property The name of a property of the object.
+ * @returns {string} The path of the property within the store.
+ */
+function joinPath(path, property) {
+	return path === '' ? String(property) : `${ path }.${ property }`;
+}
+
+/**
+ * Returns the object wrapped by a store proxy. Returns the given `value` if it's not a store proxy.
+ *
+ * @function unwrap
+ * @param {*} value A store proxy or any other value.
+ * @returns {*} The object wrapped by the proxy or the given `value`.
+ */
+function unwrap(value) {
+	const state = states.get(value);
+
+	return state ? state.target : value;
+}
+
+/**
+ * Indicates whether or not the given `value` is a plain object or an array. Only plain objects and
+ * arrays are wrapped by store proxies (other objects, such as `Map` or `Date` instances, can't be
+ * wrapped since their methods don't work on proxies).
+ *
+ * @function isObservable
+ * @param {*} value The value to check.
+ * @returns {boolean}
+ */
+function isObservable(value) {
+	if (value === null || typeof value !== 'object') {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+
+	return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Returns the paths of the ancestors of a `path`. For instance, given "cart.items.0" it returns
+ * ["cart", "cart.items"].
+ *
+ * @function getAncestors
+ * @param {string} path The path of a property within a store.
+ * @returns {string[]} The paths of the ancestors, from the outermost to the innermost.
+ */
+function getAncestors(path) {
+	const names = path.split('.');
+
+	return names.slice(1).map((name, i) => names.slice(0, i + 1).join('.'));
+}
+
+/**
+ * Executes the callbacks subscribed to the changed `path` and its descendants (for instance,
+ * "user.name" is a descendant of "user"), which are affected when an ancestor is replaced.
+ * Callbacks subscribed to ancestors of the changed `path` (for instance, "user" is an ancestor of
+ * "user.name") are only executed if they were subscribed to changes of descendants. Each callback
+ * is executed only once, even if it's subscribed to multiple affected paths. Only the affected
+ * paths are looked up (see `subscribePath`), instead of every subscription of the store.
+ *
+ * @function notify
+ * @param {Object} root The root state object of the store.
+ * @param {Object} change The change object, which is passed to each callback.
+ */
+function notify(root, change) {
+	const { path } = change;
+	const { subscriptions, descendants: descendantPaths } = root;
+	const matches = new Map();
+	const affectedPaths = [path, ...(descendantPaths.get(path) || [])];
+	const add = (callbacks, isAncestor) => {
+		for (const [callback, descendants] of callbacks) {
+			if ((!isAncestor || descendants) && !matches.has(callback)) {
+				matches.set(callback, callbacks);
+			}
+		}
+	};
+
+	for (const ancestor of getAncestors(path)) {
+		if (subscriptions.has(ancestor)) {
+			add(subscriptions.get(ancestor), true);
+		}
+	}
+
+	for (const affectedPath of affectedPaths) {
+		if (subscriptions.has(affectedPath)) {
+			add(subscriptions.get(affectedPath), false);
+		}
+	}
+
+	// Execute the callbacks, unless a previous callback unsubscribed them.
+	for (const [callback, callbacks] of matches) {
+		if (callbacks.has(callback)) {
+			callback(change);
+		}
+	}
+}
+
+/**
+ * Adds the given `path` to the active dependency tracker, if there's one.
+ *
+ * @function record
+ * @param {Object} root The root state object of the store.
+ * @param {string} path The path of the property that was read.
+ */
+function record(root, path) {
+	const tracker = trackers[trackers.length - 1];
+
+	if (!tracker) {
+		return;
+	}
+
+	let paths = tracker.get(root);
+
+	if (!paths) {
+		paths = new Set();
+		tracker.set(root, paths);
+	}
+
+	paths.add(path);
+}
+
+/**
+ * Subscribes a `callback` to changes of a `path` (relative to the root of a store). The first
+ * subscription to a `path` adds it to the `descendants` index of each of its ancestors, so that
+ * `notify` can find the subscribed descendants of a changed path without scanning every
+ * subscription. The last unsubscription removes it.
+ *
+ * @function subscribePath
+ * @param {Object} root The root state object of the store.
+ * @param {string} path The path of the property to watch.
+ * @param {Function} callback The function to execute when the property changes.
+ * @param {boolean} descendants Indicates whether or not the `callback` must be executed when
+ *     descendants of the `path` change.
+ * @returns {Function} A function that unsubscribes the `callback`.
+ */
+function subscribePath(root, path, callback, descendants) {
+	const { subscriptions, descendants: descendantPaths } = root;
+	let callbacks = subscriptions.get(path);
+
+	if (!callbacks) {
+		callbacks = new Map();
+		subscriptions.set(path, callbacks);
+
+		for (const ancestor of getAncestors(path)) {
+			if (!descendantPaths.has(ancestor)) {
+				descendantPaths.set(ancestor, new Set());
+			}
+
+			descendantPaths.get(ancestor).add(path);
+		}
+	}
+
+	callbacks.set(callback, descendants);
+
+	return () => {
+		callbacks.delete(callback);
+
+		if (callbacks.size === 0 && subscriptions.get(path) === callbacks) {
+			subscriptions.delete(path);
+
+			for (const ancestor of getAncestors(path)) {
+				const paths = descendantPaths.get(ancestor);
+
+				paths.delete(path);
+
+				if (paths.size === 0) {
+					descendantPaths.delete(ancestor);
+				}
+			}
+		}
+	};
+}
+
+/**
+ * Creates (or returns a previously created) proxy for an object within a store.
+ *
+ * @function createProxy
+ * @param {Object} target The object (or array) to wrap.
+ * @param {string} path The path of the `target` within the store.
+ * @param {Object} root The root state object of the store.
+ * @returns {Proxy} The store proxy.
+ */
+function createProxy(target, path, root) {
+	let paths = root.proxies.get(target);
+
+	if (!paths) {
+		paths = new Map();
+		root.proxies.set(target, paths);
+	}
+
+	if (paths.has(path)) {
+		return paths.get(path);
+	}
+
+	const proxy = new Proxy(target, {
+		get(obj, property, receiver) {
+			const value = Reflect.get(obj, property, receiver);
+			const isOwn = Object.prototype.hasOwnProperty.call(obj, property);
+
+			// Ignore symbols and properties of the prototype chain (for instance, array methods).
+			if (typeof property === 'symbol' || (!isOwn && property in obj)) {
+				return value;
+			}
+
+			record(root, joinPath(path, property));
+
+			// Wrap nested objects and arrays.
+			if (!isObservable(value) || !isOwn) {
+				return value;
+			}
+
+			return createProxy(value, joinPath(path, property), root);
+		},
+		set(obj, property, newValue) {
+			const value = unwrap(newValue);
+			const oldValue = obj[property];
+			const oldLength = Array.isArray(obj) ? obj.length : undefined;
+
+			Reflect.set(obj, property, value);
+
+			if (value !== oldValue && typeof property !== 'symbol') {
+				notify(root, { path: joinPath(path, property), value, oldValue });
+			}
+
+			// Adding items to an array changes its length without setting the "length" property.
+			if (oldLength !== undefined && property !== 'length' && obj.length !== oldLength) {
+				notify(root, {
+					path: joinPath(path, 'length'),
+					value: obj.length,
+					oldValue: oldLength,
+				});
+			}
+
+			return true;
+		},
+		deleteProperty(obj, property) {
+			const had = Object.prototype.hasOwnProperty.call(obj, property);
+			const oldValue = obj[property];
+
+			Reflect.deleteProperty(obj, property);
+
+			if (had && typeof property !== 'symbol') {
+				notify(root, { path: joinPath(path, property), value: undefined, oldValue });
+			}
+
+			return true;
+		},
+	});
+
+	paths.set(path, proxy);
+	states.set(proxy, { target, path, root });
+
+	return proxy;
+}
+
+/**
+ * Creates an observable data store. The returned store is a proxy of the given `state` object.
+ * Changes made through the store (including changes to nested objects and arrays) execute the
+ * callbacks subscribed to the paths of the changed properties (see `subscribe`).
+ *
+ * Stores can be watched by elements using watches, where the event map contains paths instead of
+ * event types. For instance, the following element will be re-infused whenever `store.user.name`
+ * or `store.cart.items` (or any of its items) change:
+ *
+ *     <p watch-store="user.name; cart.items">${ store.user.name }: ${ store.cart.items.length }</p>
+ *
+ * @function createStore
+ * @param {Object} [state={}] The initial state of the store.
+ * @returns {Proxy} The store.
+ */
+export default function createStore(state = {}) {
+	const root = { subscriptions: new Map(), descendants: new Map(), proxies: new WeakMap() };
+
+	return createProxy(unwrap(state), '', root);
+}
+
+/**
+ * Indicates whether or not the given `value` is a store (or a nested object of a store).
+ *
+ * @function isStore
+ * @param {*} value The value to check.
+ * @returns {boolean} `true` if the `value` is a store, `false` otherwise.
+ */
+export function isStore(value) {
+	return states.has(value);
+}
+
+/**
+ * Subscribes a `callback` to changes of a `path` within the given `store`. The `callback` will be
+ * executed when the value at the `path` changes, when any of its ancestors is replaced, or when
+ * any of its descendants change. The `callback` receives a change object with the following
+ * attributes:
+ *     * `path`: The path (within the root store) of the changed property.
+ *     * `value`: The new value of the property.
+ *     * `oldValue`: The previous value of the property.
+ *
+ * @function subscribe
+ * @param {Proxy} store The store (or a nested object of a store).
+ * @param {string} path The path of the property to watch, relative to the given `store`. For
+ *     instance: "user.name" or "cart.items".
+ * @param {Function} callback The function to execute when the property changes.
+ * @returns {Function} A function that unsubscribes the `callback`.
+ */
+export function subscribe(store, path, callback) {
+	const state = states.get(store);
+
+	if (!state) {
+		throw new TypeError('The `store` must be a store created using `createStore`.');
+	}
+
+	return subscribePath(state.root, joinPath(state.path, path.trim()), callback, true);
+}
+
+/**
+ * Executes the given function and keeps track of all the properties of stores that are read while
+ * the function is executed.
+ *
+ * @function track
+ * @param {Function} fn The function to execute.
+ * @returns {Object} An object with the `value` returned by `fn` and its `dependencies` (which
+ *     can be used with `subscribeDependencies`).
+ */
+export function track(fn) {
+	const dependencies = new Map();
+
+	trackers.push(dependencies);
+
+	try {
+		return { value: fn(), dependencies };
+	} finally {
+		trackers.pop();
+	}
+}
+
+/**
+ * Subscribes a `callback` to changes of the properties tracked by `track`. Unlike `subscribe`, the
+ * `callback` is not executed when descendants of the tracked properties change, since the
+ * properties of descendants that were read are tracked as well.
+ *
+ * @function subscribeDependencies
+ * @param {Map} dependencies The dependencies returned by `track`.
+ * @param {Function} callback The function to execute when any of the properties change.
+ * @returns {Function} A function that unsubscribes the `callback` from all the dependencies.
+ */
+export function subscribeDependencies(dependencies, callback) {
+	const unsubscribers = [];
+
+	for (const [root, paths] of dependencies) {
+		for (const path of paths) {
+			unsubscribers.push(subscribePath(root, path, callback, false));
+		}
+	}
+
+	return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
\ No newline at end of file
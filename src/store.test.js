@@ -0,0 +1,217 @@
+import createStore, {
+	isStore,
+	subscribe,
+	subscribeDependencies,
+	track,
+} from './store.js';
+
+describe('createStore', () => {
+	it('should return a store that reflects the initial state', () => {
+		const store = createStore({ user: { name: 'Ana' }, items: [1, 2] });
+
+		expect(isStore(store)).toBe(true);
+		expect(store.user.name).toBe('Ana');
+		expect(store.items.length).toBe(2);
+	});
+
+	it('should wrap nested objects and arrays', () => {
+		const store = createStore({ user: { name: 'Ana' }, items: [], date: new Date() });
+
+		expect(isStore(store.user)).toBe(true);
+		expect(isStore(store.items)).toBe(true);
+		expect(isStore(store.date)).toBe(false);
+	});
+
+	it('should return the same proxy when a nested object is accessed twice', () => {
+		const store = createStore({ user: { name: 'Ana' } });
+
+		expect(store.user).toBe(store.user);
+	});
+
+	it('should not store proxies in the state', () => {
+		const state = { a: { b: 1 }, c: null };
+		const store = createStore(state);
+
+		store.c = store.a;
+
+		expect(isStore(state.c)).toBe(false);
+		expect(state.c).toBe(state.a);
+	});
+});
+
+describe('subscribe', () => {
+	let store;
+	let callback;
+
+	beforeEach(() => {
+		store = createStore({ user: { name: 'Ana', age: 30 }, cart: { items: [] } });
+		callback = jest.fn();
+	});
+
+	it('should throw if the first argument is not a store', () => {
+		expect(() => subscribe({}, 'user', callback)).toThrowError(TypeError);
+	});
+
+	it('should execute the callback when the property changes', () => {
+		subscribe(store, 'user.name', callback);
+		store.user.name = 'Bea';
+
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(callback).toHaveBeenCalledWith({ path: 'user.name', value: 'Bea', oldValue: 'Ana' });
+	});
+
+	it('should not execute the callback when the value doesn\'t change', () => {
+		subscribe(store, 'user.name', callback);
+		store.user.name = 'Ana';
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it('should not execute the callback when other properties change', () => {
+		subscribe(store, 'user.name', callback);
+		store.user.age = 31;
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it('should execute the callback when a descendant changes', () => {
+		subscribe(store, 'user', callback);
+		store.user.age = 31;
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it('should execute the callback when an ancestor is replaced', () => {
+		subscribe(store, 'user.name', callback);
+		store.user = { name: 'Bea' };
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it('should execute the callback when an array is mutated', () => {
+		subscribe(store, 'cart.items', callback);
+		store.cart.items.push('book');
+
+		expect(callback).toHaveBeenCalled();
+		expect(store.cart.items.length).toBe(1);
+	});
+
+	it('should execute the callback when a property is deleted', () => {
+		subscribe(store, 'user.age', callback);
+		delete store.user.age;
+
+		expect(callback).toHaveBeenCalledWith({ path: 'user.age', value: undefined, oldValue: 30 });
+	});
+
+	it('should use paths relative to nested objects', () => {
+		subscribe(store.user, 'name', callback);
+		store.user.name = 'Bea';
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it('should return a function to unsubscribe the callback', () => {
+		const unsubscribe = subscribe(store, 'user.name', callback);
+
+		unsubscribe();
+		store.user.name = 'Bea';
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it('should only execute the callbacks of affected paths among many subscriptions', () => {
+		const others = jest.fn();
+
+		for (let i = 0; i < 100; i++) {
+			subscribe(store, `cart.item${ i }`, others);
+		}
+
+		subscribe(store, 'user.name', callback);
+		subscribe(store, 'user.name.length', callback);
+		store.user = { name: 'Bea' };
+		store.user.name = 'Cy';
+
+		expect(callback).toHaveBeenCalledTimes(2);
+		expect(others).not.toHaveBeenCalled();
+	});
+
+	it('should execute the callbacks of descendants subscribed again after unsubscribing', () => {
+		subscribe(store, 'user.name', callback)();
+		subscribe(store, 'user.name', callback);
+		store.user = { name: 'Bea' };
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('track', () => {
+	it('should return the value returned by the function', () => {
+		const { value } = track(() => 'foo');
+
+		expect(value).toBe('foo');
+	});
+
+	it('should track the properties read by the function', () => {
+		const store = createStore({ user: { name: 'Ana', age: 30 } });
+		const { dependencies } = track(() => store.user.name);
+		const [paths] = Array.from(dependencies.values());
+
+		expect(dependencies.size).toBe(1);
+		expect(Array.from(paths)).toEqual(['user', 'user.name']);
+	});
+
+	it('should not track properties read after the function is executed', () => {
+		const store = createStore({ a: 1, b: 2 });
+		const { dependencies } = track(() => store.a);
+
+		expect(store.b).toBe(2);
+		expect(Array.from(dependencies.values())[0].has('b')).toBe(false);
+	});
+});
+
+describe('subscribeDependencies', () => {
+	let store;
+	let callback;
+
+	beforeEach(() => {
+		store = createStore({ user: { name: 'Ana', age: 30 }, items: [] });
+		callback = jest.fn();
+	});
+
+	it('should execute the callback once when a tracked property changes', () => {
+		const { dependencies } = track(() => store.user.name);
+
+		subscribeDependencies(dependencies, callback);
+		store.user.name = 'Bea';
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not execute the callback when an untracked sibling property changes', () => {
+		const { dependencies } = track(() => store.user.name);
+
+		subscribeDependencies(dependencies, callback);
+		store.user.age = 31;
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it('should execute the callback when items are added to a tracked array', () => {
+		const { dependencies } = track(() => store.items.length);
+
+		subscribeDependencies(dependencies, callback);
+		store.items.push('book');
+
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it('should return a function to unsubscribe the callback', () => {
+		const { dependencies } = track(() => store.user.name);
+		const unsubscribe = subscribeDependencies(dependencies, callback);
+
+		unsubscribe();
+		store.user.name = 'Bea';
+
+		expect(callback).not.toHaveBeenCalled();
+	});
+});
\ No newline at end of file
@@ -8,10 +8,21 @@ import configs from './configs.js';
 export const queues = new WeakMap();
 
 /**
- * Adds a callback to the element's queue of callbacks.
+ * Node type of elements. Only elements can have the flag attribute, other nodes (for instance,
+ * comment nodes used as anchors) are found by iterating over the nodes of the DOM.
+ */
+const ELEMENT_NODE = 1;
+
+/**
+ * Value of `NodeFilter.SHOW_COMMENT`, used to iterate over comment nodes.
+ */
+const SHOW_COMMENT = 0x80;
+
+/**
+ * Adds a callback to the element's queue of callbacks. The `element` can also be a comment node.
  *
  * @function add
- * @param {Element} element The element.
+ * @param {(Element|Comment)} element The element or comment node.
  * @param {Function} callback A function that cleans up some data associated with the `element`.
  */
 export function addCleanupFunction(element, callback) {
@@ -22,7 +33,10 @@ export function addCleanupFunction(element, callback) {
 	if (!queue) {
 		queue = new Set();
 		queues.set(element, queue);
-		element.setAttribute(configs.get('sweepFlag'), '');
+
+		if (element.nodeType === ELEMENT_NODE) {
+			element.setAttribute(configs.get('sweepFlag'), '');
+		}
 	}
 
 	// Add the given `callback` to the element's `queue`.
@@ -34,7 +48,7 @@ export function addCleanupFunction(element, callback) {
  * This is meant to be called when an element is removed from the DOM.
  *
  * @function sweepElement
- * @param {Element} element The element.
+ * @param {(Element|Comment)} element The element or comment node.
  */
 export function sweepElement(element) {
 	// Get the `queue` of callbacks for the given `element`.
@@ -53,21 +67,30 @@ export function sweepElement(element) {
 	// Clear the `queue`, remove it from `queues`, and remove the flag attribute.
 	queue.clear();
 	queues.delete(element);
-	element.removeAttribute(configs.get('sweepFlag'));
+
+	if (element.nodeType === ELEMENT_NODE) {
+		element.removeAttribute(configs.get('sweepFlag'));
+	}
 }
 
 /**
  * Searches for all elements, descendants of `element`, that have the flag attribute and "sweeps"
  * them (using `sweepElement`). The given `element` will also be sweept if it has the flag
- * attribute.
+ * attribute. Comment nodes that have a queue of callbacks are also sweept.
  *
  * @function sweep
- * @param {Element} element Descendants of this `element` that have the flag attribute will be
- *     "sweept". The `element` itself will also be sweept if it has the flag attribute.
- * @param {(ShadowRoot|Element)} root The element's shadow root or the element itself (if it
- *     doesn't use a Shadow DOM).
+ * @param {(Element|Comment)} element Descendants of this `element` that have the flag attribute
+ *     will be "sweept". The `element` itself will also be sweept if it has the flag attribute.
+ * @param {(ShadowRoot|Element|Comment)} root The element's shadow root or the element itself (if
+ *     it doesn't use a Shadow DOM).
  */
 export default function sweep(element, root) {
+	// Comment nodes have no descendants, sweep them directly.
+	if (element.nodeType !== ELEMENT_NODE) {
+		sweepElement(element);
+		return;
+	}
+
 	const selector = `[${ configs.get('sweepFlag') }]`;
 	const elements = Array.from(root.querySelectorAll(selector));
 
@@ -75,5 +98,15 @@ export default function sweep(element, root) {
 		elements.push(element);
 	}
 
+	// Find all comment nodes (within `root`) that have a queue of callbacks.
+	const doc = root.ownerDocument || root;
+	const iterator = doc.createNodeIterator(root, SHOW_COMMENT);
+
+	for (let node; (node = iterator.nextNode()) !== null;) {
+		if (queues.has(node)) {
+			elements.push(node);
+		}
+	}
+
 	elements.forEach(sweepElement);
 }
\ No newline at end of file
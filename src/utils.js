@@ -38,4 +38,27 @@ export function result(object, property) {
 	const value = object[property];
 
 	return typeof value === 'function' ? value.call(object) : value;
+}
+
+/**
+ * Determines if the given value is a promise (or any other "thenable" object).
+ *
+ * @function isThenable
+ * @param {*} value The value.
+ * @returns {boolean} `true` if the `value` has a `then` method.
+ */
+export function isThenable(value) {
+	return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * Turns a camel case string into a hyphenated (lower case) string. For instance, given "firstName"
+ * it will return "first-name".
+ *
+ * @function hyphenate
+ * @param {string} camelCased The camel case string.
+ * @returns {string} The hyphenated version of the camel case string.
+ */
+export function hyphenate(camelCased) {
+	return camelCased.replace(/([a-z\d])([A-Z])/g, '$1-$2').toLowerCase();
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { camelCase, uniqueId } from './utils.js';
+import { camelCase, hyphenate, isThenable, uniqueId } from './utils.js';
 
 describe('camelCase', () => {
 	it('should turn hyphenated strings into camelCase', () => {
@@ -11,6 +11,17 @@ describe('camelCase', () => {
 	});
 });
 
+describe('hyphenate', () => {
+	it('should turn camelCase strings into hyphenated strings', () => {
+		expect(hyphenate('variableName')).toBe('variable-name');
+		expect(hyphenate('dateOfBirth')).toBe('date-of-birth');
+	});
+
+	it('should return the same string if it\'s not camelCase', () => {
+		expect(hyphenate('user')).toBe('user');
+	});
+});
+
 describe('uniqueId', () => {
 	it('should return an unique id using the given prefix', () => {
 		const id = uniqueId('foo');
@@ -30,4 +41,17 @@ describe('uniqueId', () => {
 
 		expect(a).not.toBe(b);
 	});
+});
+
+describe('isThenable', () => {
+	it('should return true for promises and thenable objects', () => {
+		expect(isThenable(Promise.resolve())).toBe(true);
+		expect(isThenable({ then() {} })).toBe(true);
+	});
+
+	it('should return false for other values', () => {
+		expect(isThenable(null)).toBe(false);
+		expect(isThenable({ then: true })).toBe(false);
+		expect(isThenable(() => {})).toBe(false);
+	});
 });
\ No newline at end of file